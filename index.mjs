@@ -1,38 +1,137 @@
 import dotenv from 'dotenv';
 import { program, InvalidArgumentError } from 'commander';
 import { resolve } from 'node:path';
-import { writeFileSync } from 'fs';
+import { readFileSync, writeFileSync } from 'fs';
 
-import { logger, GITHUB_URL_RE } from './lib/utils.mjs';
+import { logger, createGitHubUrlRegex, DEFAULT_API_URL, DEFAULT_SERVER_URL } from './lib/utils.mjs';
 import { RecursiveActionScanner } from './lib/scanner.mjs';
 import { WorkflowParser } from './lib/workflowParser.mjs';
+import { DirectoryParser } from './lib/directoryParser.mjs';
+import { ContentCache } from './lib/contentCache.mjs';
+import { GitHubClient } from './lib/githubClient.mjs';
+import { Policy, SEVERITY_LEVELS, meetsThreshold } from './lib/policy.mjs';
+import { AdvisoryDatabase } from './lib/advisories.mjs';
+import { Pinner } from './lib/pinner.mjs';
+import { OrganizationScanner, VISIBILITIES } from './lib/orgScanner.mjs';
+import { loadPopularActions } from './lib/typosquat.mjs';
+import { DEFAULT_LOCKFILE, createLockfile, readLockfile, verifyLockfile } from './lib/lockfile.mjs';
+import { generateSarifReport } from './lib/sarif.mjs';
+import { generateCycloneDxReport, generateSpdxReport } from './lib/sbom.mjs';
+import { generateMermaidReport, generateDotReport, generateHtmlReport } from './lib/graph.mjs';
+
+// Any server: --api-url may not have been parsed yet when option values are validated
+const REPOSITORY_URL_RE = /^https?:\/\/[^\/]+\/[^\/]+\/[^\/]+/;
 
 function validateUrl(url) {
   // Allow both full URLs and owner/repo format
   const ownerRepoPattern = /^[a-zA-Z0-9_.-]+\/[a-zA-Z0-9_.-]+$/;
-  if (!url.match(GITHUB_URL_RE) && !url.match(ownerRepoPattern)) {
+  if (!url.match(REPOSITORY_URL_RE) && !url.match(ownerRepoPattern)) {
     throw new InvalidArgumentError("Invalid Github URL or owner/repo format");
   }
   return url;
 }
 
-function parseGitHubUrl(url) {
-  const match = url.match(GITHUB_URL_RE);
+/**
+ * Split a repository URL on the configured server into owner, repo and ref
+ */
+function parseGitHubUrl(url, options) {
+  const { serverUrl } = GitHubClient.resolveUrls(options);
+  const match = url.match(createGitHubUrlRegex([serverUrl]));
   if (!match) {
-    throw new Error("Invalid GitHub URL");
+    throw new Error(`Invalid GitHub URL (expected ${serverUrl}/owner/repo)`);
   }
   return match.groups;
 }
 
+function openContentCache(options) {
+  return options.cacheDir ? new ContentCache(options.cacheDir) : null;
+}
+
+function validateSeverity(level) {
+  if (!SEVERITY_LEVELS.includes(level)) {
+    throw new InvalidArgumentError(`Must be one of: ${SEVERITY_LEVELS.join(', ')}`);
+  }
+  return level;
+}
+
+/**
+ * Client for the configured server and, with --github-com-fallback, a github.com
+ * client for actions that server doesn't have
+ * @returns {Object} - {client, fallbackClient}
+ */
+function createClients(options) {
+  const client = new GitHubClient({
+    concurrency: options.concurrency,
+    apiUrl: options.apiUrl,
+    serverUrl: options.serverUrl
+  });
+  if (!options.githubComFallback) {
+    return { client, fallbackClient: null };
+  }
+  if (client.isGitHubCom) {
+    logger.warn('--github-com-fallback has no effect when scanning github.com itself');
+    return { client, fallbackClient: null };
+  }
+  // The enterprise token is not valid on github.com; without GITHUB_COM_TOKEN requests are unauthenticated
+  const fallbackClient = new GitHubClient({
+    concurrency: options.concurrency,
+    token: process.env.GITHUB_COM_TOKEN || '',
+    apiUrl: DEFAULT_API_URL,
+    serverUrl: DEFAULT_SERVER_URL
+  });
+  return { client, fallbackClient };
+}
+
+function createScanner(options, scannerOptions = {}) {
+  return new RecursiveActionScanner({
+    maxDepth: options.maxDepth,
+    contentCache: openContentCache(options),
+    ...createClients(options),
+    // scan-dir, lock and verify read the default policy file of the checkout they scan
+    policy: Policy.load(options.policy, options.checkoutDir),
+    advisories: AdvisoryDatabase.load(options.advisories),
+    popularActions: loadPopularActions(options.popularActions),
+    ...scannerOptions
+  });
+}
+
+/**
+ * Set a nonzero exit code (2) when policy violations reach the --fail-on threshold
+ */
+function enforcePolicy(results, failOn) {
+  const violations = results.policy?.violations || [];
+  const failing = violations.filter(violation => meetsThreshold(violation.severity, failOn));
+  if (failing.length > 0) {
+    logger.error(`${failing.length} policy violations at or above '${failOn}'`);
+    process.exitCode = 2;
+  }
+}
+
 function outputResults(results, outputPath, format) {
   let output;
   
   if (format === 'json') {
     output = JSON.stringify(results, null, 2);
+  } else if (format === 'sarif') {
+    output = JSON.stringify(generateSarifReport(results), null, 2);
+  } else if (format === 'cyclonedx') {
+    output = JSON.stringify(generateCycloneDxReport(results), null, 2);
+  } else if (format === 'spdx') {
+    output = JSON.stringify(generateSpdxReport(results), null, 2);
+  } else if (format === 'mermaid') {
+    output = generateMermaidReport(results);
+  } else if (format === 'dot') {
+    output = generateDotReport(results);
+  } else if (format === 'html') {
+    output = generateHtmlReport(results);
   } else {
     output = generateTextReport(results);
   }
   
+  writeOutput(output, outputPath);
+}
+
+function writeOutput(output, outputPath) {
   if (outputPath) {
     writeFileSync(outputPath, output);
     logger.info(`Results written to ${outputPath}`);
@@ -41,6 +140,107 @@ function outputResults(results, outputPath, format) {
   }
 }
 
+/**
+ * Diff reports only have json and text renderings
+ */
+function outputDiffResults(results, outputPath, format) {
+  if (format !== 'json' && format !== 'text') {
+    logger.warn(`Format ${format} is not supported for diff reports, writing text`);
+  }
+  writeOutput(format === 'json' ? JSON.stringify(results, null, 2) : generateDiffTextReport(results), outputPath);
+}
+
+function describeNodeType(node) {
+  if (node.type === 'docker-image') {
+    return node.pinned ? ' [docker-image]' : ' [docker-image, unpinned]';
+  }
+  if (node.type === 'npm-package') {
+    return node.locked ? ' [npm]' : ' [npm, unlocked]';
+  }
+  if (['reusable-workflow', 'composite', 'docker', 'javascript'].includes(node.type)) {
+    return ` [${node.type}]`;
+  }
+  return '';
+}
+
+function renderDependencyTree(rootFullName, edges, nodes) {
+  const children = new Map();
+  for (const edge of edges) {
+    if (!children.has(edge.from)) children.set(edge.from, []);
+    children.get(edge.from).push(edge);
+  }
+  const nodesByName = new Map(nodes.map(node => [node.fullName, node]));
+  const expanded = new Set();
+  let tree = '';
+
+  const walk = (fullName, indent, ancestors) => {
+    for (const edge of children.get(fullName) || []) {
+      const node = nodesByName.get(edge.to) || { fullName: edge.to };
+      const step = edge.job ? ` ← ${edge.job}${edge.step !== null ? ` step ${edge.step}` : ''}` : '';
+      tree += `${indent}- ${node.fullName}${describeNodeType(node)}${step}`;
+
+      if (ancestors.has(edge.to)) {
+        tree += ' (cycle)\n';
+      } else if (expanded.has(edge.to) && children.has(edge.to)) {
+        tree += ' (see above)\n';
+      } else {
+        const truncated = node.truncated ? ' ✂️ truncated by --max-depth' : '';
+        tree += node.url ? ` (${node.url})${truncated}\n` : `${truncated}\n`;
+        expanded.add(edge.to);
+        walk(edge.to, `${indent}  `, new Set([...ancestors, edge.to]));
+      }
+    }
+  };
+
+  walk(rootFullName, '  ', new Set([rootFullName]));
+  return tree;
+}
+
+function describeExposedSecrets(exposure) {
+  const received = new Map();
+  const add = (secret, how) => received.set(secret, [...(received.get(secret) || []), how]);
+  for (const [input, secrets] of Object.entries(exposure.inputs)) {
+    // Reusable workflow calls list their secrets: entries next to the inputs
+    secrets.forEach(secret => add(secret, input.startsWith('secrets') ? input : `input ${input}`));
+  }
+  exposure.env.forEach(secret => add(secret, 'env'));
+  return Array.from(received, ([secret, how]) => `${secret === '*' ? 'all secrets' : secret} (${how.join(', ')})`).join(', ');
+}
+
+function describePermissions(exposure) {
+  if (exposure.permissions === null) {
+    return 'repository default';
+  }
+  if (typeof exposure.permissions === 'string') {
+    return exposure.permissions;
+  }
+  const scopes = Object.entries(exposure.permissions).map(([scope, access]) => `${scope}: ${access}`);
+  return scopes.length > 0 ? scopes.join(', ') : 'none';
+}
+
+const HEALTH_ICONS = { ok: '✅', warning: '⚠️', error: '❌', unknown: '❔' };
+
+function describeHealth(health) {
+  const issues = health.issues.map(issue => issue.message).join(', ');
+  return `${HEALTH_ICONS[health.status]} ${issues || health.status}`;
+}
+
+function renderAdvisories(advisories, title) {
+  if (!advisories?.length) {
+    return '';
+  }
+  let section = `\n## ${title} (${advisories.length})\n`;
+  for (const match of advisories) {
+    const icon = match.reason ? '❔' : ['critical', 'high'].includes(match.severity) ? '❌' : '⚠️';
+    const fixed = match.fixed.length > 0 ? ` (fixed in ${match.fixed.join(', ')})` : '';
+    const unchecked = match.reason ? ` — unchecked (${match.reason})` : '';
+    section += `- ${icon} ${match.id} [${match.severity}] ${match.fullName}: ${match.summary}${fixed}${unchecked}\n`;
+    section += `  ${match.url}\n`;
+    section += `  Path: ${match.path.join(' → ')}\n`;
+  }
+  return section;
+}
+
 function generateTextReport(results) {
   const { summary, rootActions, allUniqueActions } = results;
   
@@ -51,7 +251,18 @@ Generated: ${results.timestamp}
 ## Summary
 - Root actions scanned: ${summary.totalRootActions}
 - Total unique actions found: ${summary.totalUniqueActions}
+- npm packages bundled by JavaScript actions: ${summary.totalNpmPackages ?? 0}
+- Docker images not pinned by digest: ${summary.unpinnedDockerImages ?? 0}
+- Actions not pinned to a commit SHA: ${summary.unpinnedActions ?? 0}
 - Max recursion depth: ${summary.maxDepthUsed}
+- Actions truncated by --max-depth: ${summary.truncatedActions ?? 0}
+- Dependency cycles: ${summary.cycles ?? 0}
+- Security findings: ${summary.securityFindings ?? 0} (${summary.impostorCommits ?? 0} impostor commits, ${summary.unverifiedCommits ?? 0} unverified commits, ${summary.typosquats ?? 0} possible typosquats)
+- Known advisories: ${summary.advisories ?? 'not checked'}${summary.uncheckedAdvisories ? ` (${summary.uncheckedAdvisories} unchecked)` : ''}
+- Actions on deprecated runtimes: ${summary.deprecatedRuntimes ?? 0}
+- Archived or disabled actions: ${summary.archivedActions ?? 0}
+- Stale actions: ${summary.staleActions ?? 0}
+- Root actions receiving secrets: ${summary.exposedActions ?? 0} (${summary.inheritedSecrets ?? 0} inherited by dependencies)
 
 ## Root Actions\n`;
 
@@ -62,9 +273,7 @@ Generated: ${results.timestamp}
       report += `- Dependencies found: ${rootAction.totalDependencies}\n`;
       if (rootAction.dependencies.length > 0) {
         report += `- Dependency tree:\n`;
-        for (const dep of rootAction.dependencies) {
-          report += `  - ${dep.fullName} (${dep.url})\n`;
-        }
+        report += renderDependencyTree(rootAction.fullName, results.edges, allUniqueActions);
       }
     } else {
       report += `- Status: ❌ Failed\n`;
@@ -72,15 +281,276 @@ Generated: ${results.timestamp}
     }
   }
 
-  report += `\n## All Unique Actions (${allUniqueActions.length})\n`;
-  for (const action of allUniqueActions) {
+  const actionNodes = allUniqueActions.filter(action => action.type !== 'npm-package');
+  report += `\n## All Unique Actions (${actionNodes.length})\n`;
+  for (const action of actionNodes) {
     const type = action.isRootAction ? '(ROOT)' : '';
-    report += `- ${action.fullName} ${type}\n  ${action.url}\n`;
+    report += `- ${action.fullName} ${type}${describeNodeType(action).trim()}\n  ${action.url}\n`;
+    if (action.docker?.dockerfile) {
+      report += `  Dockerfile: ${action.docker.dockerfile}\n`;
+    }
+    if (action.npm) {
+      const lockfile = action.npm.lockfile || 'no lockfile';
+      report += `  npm: ${action.npm.totalPackages} packages (${action.npm.manifest}, ${lockfile})\n`;
+    }
+  }
+
+  const healthRows = actionNodes.filter(action => action.type !== 'docker-image' && action.health);
+  if (healthRows.length > 0) {
+    report += `\n## Action Health\n`;
+    report += `| Action | Runtime | Last push | Health |\n`;
+    report += `|--------|---------|-----------|--------|\n`;
+    for (const action of healthRows) {
+      const lastPush = action.repository?.pushedAt ? action.repository.pushedAt.slice(0, 10) : '-';
+      report += `| ${action.fullName} | ${action.runtime || '-'} | ${lastPush} | ${describeHealth(action.health)} |\n`;
+    }
+  }
+
+  report += renderAdvisories(results.advisories, 'Advisories');
+  report += renderAdvisories(results.uncheckedAdvisories, 'Advisories Not Checked');
+
+  if (results.policy) {
+    const { violations, source } = results.policy;
+    report += `\n## Policy Violations (${violations.length})\n`;
+    report += `Policy: ${source}\n`;
+    for (const violation of violations) {
+      const icon = violation.severity === 'error' ? '❌' : '⚠️';
+      report += `- ${icon} [${violation.rule}] ${violation.message}\n`;
+      report += `  Path: ${violation.path.join(' → ')}\n`;
+    }
+  }
+
+  if (results.securityFindings?.length > 0) {
+    report += `\n## Security Findings (${results.securityFindings.length})\n`;
+    for (const finding of results.securityFindings) {
+      const icon = finding.severity === 'error' ? '❌' : '⚠️';
+      report += `- ${icon} [${finding.rule}] ${finding.message}\n`;
+      if (finding.file) {
+        report += `  File: ${finding.file}${finding.line ? `:${finding.line}` : ''}\n`;
+      } else {
+        report += `  Path: ${finding.path.join(' → ')}\n`;
+      }
+    }
+  }
+
+  const exposed = (results.exposure || []).filter(entry => entry.secrets.length > 0 || entry.writeScopes?.length > 0);
+  if (exposed.length > 0) {
+    report += `\n## Secret & Permission Exposure (${exposed.length})\n`;
+    for (const entry of exposed) {
+      const where = entry.step !== null ? `${entry.job} step ${entry.step}` : `job ${entry.job}`;
+      report += `- ${entry.fullName} ← ${entry.file}${entry.line ? `:${entry.line}` : ''} (${where})\n`;
+      report += `  Secrets: ${describeExposedSecrets(entry) || 'none'}\n`;
+      report += `  Permissions: ${describePermissions(entry)}\n`;
+      for (const inherited of entry.inherited) {
+        report += `  ⚠️ Inherited by ${inherited.fullName}: ${describeExposedSecrets(inherited)}\n`;
+        report += `    Path: ${inherited.path.join(' → ')}\n`;
+      }
+    }
+  }
+
+  if (results.truncated?.length > 0) {
+    report += `\n## Truncated by --max-depth (${results.truncated.length})\n`;
+    report += `These actions were reached at the maximum depth; their dependencies were not scanned.\n`;
+    for (const fullName of results.truncated) {
+      report += `- ${fullName}\n`;
+    }
+  }
+
+  if (results.cycles?.length > 0) {
+    report += `\n## Dependency Cycles (${results.cycles.length})\n`;
+    for (const cycle of results.cycles) {
+      report += `- ${cycle.join(' → ')}\n`;
+    }
+  }
+
+  if (results.pinning?.length > 0) {
+    report += `\n## Pinning (${results.pinning.length} unpinned)\n`;
+    for (const unpinned of results.pinning) {
+      const resolved = unpinned.resolvedSha ? ` → ${unpinned.resolvedSha}` : ' (unresolved)';
+      report += `- ${unpinned.fullName} [${unpinned.pinStatus}]${resolved}\n`;
+      report += `  Path: ${unpinned.path.join(' → ')}\n`;
+    }
+  }
+
+  const npmPackages = allUniqueActions.filter(action => action.type === 'npm-package');
+  if (npmPackages.length > 0) {
+    report += `\n## npm Packages (${npmPackages.length})\n`;
+    for (const pkg of npmPackages) {
+      const direct = pkg.direct ? ' (direct)' : '';
+      report += `- ${pkg.name}@${pkg.version}${direct}\n`;
+    }
+  }
+
+  const dockerImages = allUniqueActions.filter(action => action.type === 'docker-image');
+  if (dockerImages.length > 0) {
+    report += `\n## Docker Images (${dockerImages.length})\n`;
+    for (const image of dockerImages) {
+      const pin = image.pinned ? '✅ pinned by digest' : '⚠️ not pinned by digest';
+      report += `- ${image.image} - ${pin}\n`;
+    }
+  }
+
+  if (results.requestStats) {
+    const stats = results.requestStats;
+    report += `\n## Request Statistics\n`;
+    report += `- API requests: ${stats.requests} (${stats.httpCalls} HTTP calls, ${stats.retries} retries)\n`;
+    report += `- Cache hits: ${stats.cacheHits}, refs revalidated: ${stats.refsRevalidated}\n`;
+    report += `- Rate limit waits: ${stats.rateLimitWaits} (${stats.rateLimitWaitSeconds}s)\n`;
+  }
+
+  return report;
+}
+
+function describeDiffNode(node) {
+  // Docker images already say whether they are pinned
+  const unpinned = node.type !== 'docker-image' && node.pinStatus && node.pinStatus !== 'sha';
+  return `${describeNodeType(node)}${unpinned ? ' ⚠️ unpinned' : ''}`;
+}
+
+function generateDiffTextReport(results) {
+  const { summary } = results;
+  const count = summary.newThirdPartyActions;
+  const headline = count === 0
+    ? 'This PR adds no new third-party actions to your CI.'
+    : `This PR adds ${count} new third-party action${count === 1 ? '' : 's'} to your CI.`;
+
+  let report = `
+# Recursive Action Scanner Diff Report
+Generated: ${results.timestamp}
+Repository: ${results.repository} (base ${results.base.ref}, head ${results.head.ref})
+
+**${headline}**
+
+## Summary
+- Added to the dependency graph: ${summary.added} (${summary.addedUnpinned} unpinned)
+- Changed version: ${summary.changed}
+- Removed from the dependency graph: ${summary.removed}
+- Unique actions: ${results.base.summary.totalUniqueActions} → ${results.head.summary.totalUniqueActions}
+`;
+
+  if (results.added.length > 0) {
+    report += `\n## Added (${results.added.length})\n`;
+    for (const node of results.added) {
+      report += `- ${node.fullName}${describeDiffNode(node)}\n`;
+      report += `  Path: ${node.path.join(' → ')}\n`;
+    }
+  }
+
+  if (results.changed.length > 0) {
+    report += `\n## Changed (${results.changed.length})\n`;
+    for (const node of results.changed) {
+      report += `- ${node.previous} → ${node.fullName}${describeDiffNode(node)}\n`;
+      report += `  Path: ${node.path.join(' → ')}\n`;
+    }
+  }
+
+  if (results.removed.length > 0) {
+    report += `\n## Removed (${results.removed.length})\n`;
+    for (const node of results.removed) {
+      report += `- ${node.fullName}${describeNodeType(node)}\n`;
+    }
+  }
+
+  report += renderAdvisories(results.advisories, 'Advisories Introduced');
+  report += renderAdvisories(results.uncheckedAdvisories, 'Advisories Not Checked');
+
+  if (results.policy) {
+    const { violations, source } = results.policy;
+    report += `\n## Policy Violations Introduced (${violations.length})\n`;
+    report += `Policy: ${source}\n`;
+    for (const violation of violations) {
+      const icon = violation.severity === 'error' ? '❌' : '⚠️';
+      report += `- ${icon} [${violation.rule}] ${violation.message}\n`;
+      report += `  Path: ${violation.path.join(' → ')}\n`;
+    }
   }
 
   return report;
 }
 
+/**
+ * Scan the workflows and local actions of a checkout for the lock and verify commands
+ * @returns {Promise<Object>} - Scan report
+ */
+async function scanCheckoutWorkflows(path, options) {
+  const directoryParser = new DirectoryParser(resolve(path));
+  const scanner = createScanner({ ...options, checkoutDir: directoryParser.rootDir });
+  logger.info(`Scanning workflows of ${directoryParser.rootDir}`);
+  const actionReferences = await directoryParser.scanRepositoryWorkflows(directoryParser.rootDir);
+  return await scanner.scanActionList(actionReferences, directoryParser.locations);
+}
+
+function generateVerifyTextReport(results) {
+  const { summary } = results;
+  let report = `
+# Actions Lockfile Verification
+Generated: ${results.timestamp}
+Lockfile: ${results.lockfile}
+
+## Summary
+- Locked actions: ${summary.lockedActions}
+- Actions in the dependency graph: ${summary.currentActions}
+- Mismatches: ${summary.mismatches}
+`;
+
+  if (results.mismatches.length === 0) {
+    report += `\n✅ Every action still resolves to its locked commit and content.\n`;
+    return report;
+  }
+
+  report += `\n## Mismatches (${results.mismatches.length})\n`;
+  for (const mismatch of results.mismatches) {
+    report += `- ❌ [${mismatch.code}] ${mismatch.message}\n`;
+    if (mismatch.path.length > 1) {
+      report += `  Path: ${mismatch.path.join(' → ')}\n`;
+    }
+  }
+  return report;
+}
+
+function validateVisibility(visibility) {
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new InvalidArgumentError(`Must be one of: ${VISIBILITIES.join(', ')}`);
+  }
+  return visibility;
+}
+
+function generateOrgTextReport(results) {
+  const { summary } = results;
+  let report = `
+# Recursive Action Scanner Organization Report
+Generated: ${results.timestamp}
+Source: ${results.source}
+
+## Summary
+- Repositories: ${summary.repositories} (${summary.scanned} scanned, ${summary.failed} failed, ${summary.skippedByFilters} left out by filters)
+- Unique actions: ${summary.uniqueActions}
+- Versions in use: ${summary.uniqueVersions} (${summary.unpinnedVersions} unpinned)
+`;
+
+  report += `\n## Action Inventory (${results.inventory.length})\n`;
+  for (const entry of results.inventory) {
+    const direct = entry.directlyUsedBy.length;
+    const count = entry.repositories.length;
+    report += `- ${entry.name} [${entry.type}]: ${count} ${count === 1 ? 'repository' : 'repositories'}` +
+      `${direct < count ? ` (${direct} directly)` : ''}\n`;
+    for (const version of entry.versions) {
+      const unpinned = version.pinStatus && version.pinStatus !== 'sha' && version.pinStatus !== 'digest';
+      const sha = version.resolvedSha && version.resolvedSha !== version.ref ? ` (${version.resolvedSha.slice(0, 12)})` : '';
+      report += `  - ${version.ref ?? 'no ref'}${sha}${unpinned ? ' ⚠️ unpinned' : ''}: ${version.repositories.join(', ')}\n`;
+    }
+  }
+
+  const failed = results.repositories.filter(repository => !repository.success);
+  if (failed.length > 0) {
+    report += `\n## Failed Repositories (${failed.length})\n`;
+    for (const repository of failed) {
+      report += `- ❌ ${repository.repository}: ${repository.error}\n`;
+    }
+  }
+  return report;
+}
+
 async function main() {
   dotenv.config();
   
@@ -91,36 +561,66 @@ async function main() {
     .option('-e, --env <path>', '.env file path.', '.env')
     .option('-m, --max-depth <depth>', 'Max recursion depth', parseInt, 5)
     .option('--output <path>', 'Output file path.')
-    .option('-f, --format <format>', 'Output format (json|text)', 'text');
+    .option('-f, --format <format>', 'Output format (json|text|sarif|cyclonedx|spdx|mermaid|dot|html)', 'text')
+    .option('--cache-dir <path>', 'Directory for the persistent cache of fetched action files')
+    .option('-c, --concurrency <number>', 'Max concurrent GitHub API requests', parseInt, 4)
+    .option('--policy <path>', 'Policy file (defaults to .action-scanner.yml if present)')
+    .option('--advisories <dir>', 'Directory of OSV advisory records (GitHub Advisory Database) to match actions against')
+    .option('--popular-actions <path>', 'File of owner/repo names, one per line, to check for typosquats in addition to the built-in list')
+    .option('--api-url <url>', 'GitHub REST API URL, e.g. https://ghes.example.com/api/v3 (default: GITHUB_API_URL or https://api.github.com)')
+    .option('--server-url <url>', 'GitHub web URL used in repository URLs and reports (default: derived from the API URL, or GITHUB_SERVER_URL)')
+    .option('--github-com-fallback', 'Read actions the configured server does not have from github.com, like GHES with GitHub Connect (token: GITHUB_COM_TOKEN)');
 
   program.command("scan-pr")
     .description("Scan actions from a Pull Request")
     .requiredOption('-u, --url <string>', 'GitHub repository URL', validateUrl)
     .requiredOption('-p, --pr <number>', 'Pull Request number', parseInt)
-    .action(async ({ url, pr }, _options) => {
+    .option('--fail-on <severity>', 'Exit with code 2 on policy violations at or above this severity (none|warning|error)', validateSeverity, 'none')
+    .action(async ({ url, pr, failOn }, _options) => {
       const options = { ..._options.opts(), ..._options.parent.opts() };
-      const { owner, repo } = parseGitHubUrl(url);
-      const scanner = new RecursiveActionScanner({ maxDepth: options.maxDepth });
       
       try {
+        const { owner, repo } = parseGitHubUrl(url, options);
+        const scanner = createScanner(options);
         const results = await scanner.scanFromPR(owner, repo, pr);
         outputResults(results, options.output, options.format);
+        enforcePolicy(results, failOn);
       } catch (e) {
         logger.error(`Scan failed: ${e.message}`);
         process.exit(1);
       }
     });
 
+  program.command("scan-diff")
+    .description("Compare the full dependency graphs of a Pull Request's base and head")
+    .requiredOption('-u, --url <string>', 'GitHub repository URL', validateUrl)
+    .requiredOption('-p, --pr <number>', 'Pull Request number', parseInt)
+    .option('--fail-on <severity>', 'Exit with code 2 on introduced policy violations at or above this severity (none|warning|error)', validateSeverity, 'none')
+    .action(async ({ url, pr, failOn }, _options) => {
+      const options = { ..._options.opts(), ..._options.parent.opts() };
+      
+      try {
+        const { owner, repo } = parseGitHubUrl(url, options);
+        const scanner = createScanner(options);
+        const results = await scanner.scanDiff(owner, repo, pr);
+        outputDiffResults(results, options.output, options.format);
+        enforcePolicy(results, failOn);
+      } catch (e) {
+        logger.error(`Diff scan failed: ${e.message}`);
+        process.exit(1);
+      }
+    });
+
   program.command("scan-commit")
     .description("Scan actions from a specific commit")
     .requiredOption('-u, --url <string>', 'GitHub repository URL', validateUrl)
     .requiredOption('-s, --sha <string>', 'Commit SHA')
     .action(async ({ url, sha }, _options) => {
       const options = { ..._options.opts(), ..._options.parent.opts() };
-      const { owner, repo } = parseGitHubUrl(url);
-      const scanner = new RecursiveActionScanner({ maxDepth: options.maxDepth });
       
       try {
+        const { owner, repo } = parseGitHubUrl(url, options);
+        const scanner = createScanner(options);
         const results = await scanner.scanFromCommit(owner, repo, sha);
         outputResults(results, options.output, options.format);
       } catch (e) {
@@ -134,9 +634,9 @@ async function main() {
     .requiredOption('-a, --action <string>', 'Action reference (org/action@ref)')
     .action(async ({ action }, _options) => {
       const options = { ..._options.opts(), ..._options.parent.opts() };
-      const scanner = new RecursiveActionScanner({ maxDepth: options.maxDepth });
       
       try {
+        const scanner = createScanner(options);
         const results = await scanner.scanActionList([action]);
         outputResults(results, options.output, options.format);
       } catch (e) {
@@ -157,31 +657,21 @@ async function main() {
         process.exit(1);
       }
       
-      const workflowParser = new WorkflowParser(githubToken);
-      const scanner = new RecursiveActionScanner({ maxDepth: options.maxDepth });
-      
       try {
+        const scanner = createScanner(options);
+        const workflowParser = new WorkflowParser(githubToken, scanner.client);
         logger.info(`Starting repository workflow scan for ${url}`);
         const actionReferences = await workflowParser.scanRepositoryWorkflows(url);
         
         if (actionReferences.length === 0) {
           logger.info('No GitHub Actions found in repository workflows');
-          const emptyResults = {
-            timestamp: new Date().toISOString(),
-            summary: {
-              totalRootActions: 0,
-              totalUniqueActions: 0,
-              maxDepthUsed: options.maxDepth
-            },
-            rootActions: [],
-            allUniqueActions: []
-          };
+          const emptyResults = scanner.generateReport(new Map(), workflowParser.securityFindings);
           outputResults(emptyResults, options.output, options.format);
           return;
         }
         
         logger.info(`Found ${actionReferences.length} unique actions, starting recursive scan`);
-        const results = await scanner.scanActionList(actionReferences);
+        const results = await scanner.scanActionList(actionReferences, workflowParser.locations, workflowParser.securityFindings, workflowParser.exposures);
         outputResults(results, options.output, options.format);
       } catch (e) {
         logger.error(`Repository scan failed: ${e.message}`);
@@ -189,6 +679,239 @@ async function main() {
       }
     });
 
+  program.command("scan-org")
+    .description("Scan the workflows of every repository in an organization (or a list) and build one action inventory")
+    .option('--org <name>', 'Organization whose repositories to scan')
+    .option('--repos-file <path>', 'File of repositories to scan instead, one owner/repo or URL per line')
+    .option('--include-archived', 'Also scan archived repositories')
+    .option('--include-forks', 'Also scan forks')
+    .option('--topic <topics...>', 'Only scan repositories with any of these topics')
+    .option('--visibility <visibility>', `Only scan repositories with this visibility (${VISIBILITIES.join('|')})`, validateVisibility, 'all')
+    .option('--checkpoint <path>', 'JSON Lines file recording each scanned repository; rerun with the same file to resume')
+    .action(async ({ org, reposFile, includeArchived, includeForks, topic, visibility, checkpoint }, _options) => {
+      const options = { ..._options.opts(), ..._options.parent.opts() };
+      
+      if (!org === !reposFile) {
+        logger.error('Exactly one of --org or --repos-file is required');
+        process.exit(1);
+      }
+      if (!process.env.GITHUB_TOKEN) {
+        logger.error('GITHUB_TOKEN environment variable is required for repository scanning');
+        process.exit(1);
+      }
+      if (options.format !== 'json' && options.format !== 'text') {
+        logger.warn(`Format ${options.format} is not supported for organization reports, writing text`);
+      }
+      
+      try {
+        const scanner = createScanner(options);
+        const orgScanner = new OrganizationScanner(scanner, { checkpoint });
+        let repositories;
+        let skipped = 0;
+        if (org) {
+          ({ repositories, skipped } = await orgScanner.listRepositories(org, {
+            includeArchived,
+            includeForks,
+            topics: topic,
+            visibility
+          }));
+        } else {
+          repositories = orgScanner.readRepositoriesFile(reposFile);
+        }
+        
+        logger.info(`Scanning ${repositories.length} repositories`);
+        const results = await orgScanner.scan(repositories, { source: org || reposFile, skipped });
+        writeOutput(options.format === 'json' ? JSON.stringify(results, null, 2) : generateOrgTextReport(results), options.output);
+      } catch (e) {
+        logger.error(`Organization scan failed: ${e.message}`);
+        process.exit(1);
+      }
+    });
+
+  program.command("scan-dir")
+    .description("Scan a local checkout's workflows, local actions, markdown and terraform files")
+    .option('-p, --path <path>', 'Path to the repository checkout', '.')
+    .option('--no-remote', 'Only report first-level references, without fetching anything from GitHub')
+    .action(async ({ path, remote }, _options) => {
+      const options = { ..._options.opts(), ..._options.parent.opts() };
+      
+      if (remote && !process.env.GITHUB_TOKEN) {
+        logger.warn('GITHUB_TOKEN is not set; recursive scanning uses unauthenticated API requests. Pass --no-remote to skip them');
+      }
+      
+      const directoryParser = new DirectoryParser(resolve(path));
+      try {
+        const scanner = createScanner({ ...options, checkoutDir: directoryParser.rootDir }, { remote });
+        logger.info(`Starting directory scan for ${resolve(path)}`);
+        const actionReferences = await directoryParser.scanDirectory();
+        
+        if (!remote) {
+          logger.info('Remote scanning disabled, reporting first-level references only');
+        }
+        const results = await scanner.scanActionList(actionReferences, directoryParser.locations, directoryParser.securityFindings, directoryParser.exposures);
+        outputResults(results, options.output, options.format);
+      } catch (e) {
+        logger.error(`Directory scan failed: ${e.message}`);
+        process.exit(1);
+      }
+    });
+
+  program.command("pin")
+    .description("Rewrite a local checkout's workflow and composite action uses: to commit SHAs")
+    .option('-p, --path <path>', 'Path to the repository checkout', '.')
+    .option('--dry-run', 'Print a unified diff instead of writing the files')
+    .option('--update', 'Move pins to the newest release within the same major version')
+    .action(async ({ path, dryRun, update }, _options) => {
+      const options = { ..._options.opts(), ..._options.parent.opts() };
+      
+      try {
+        const { client, fallbackClient } = createClients(options);
+        const pinner = new Pinner(client, {
+          update,
+          contentCache: openContentCache(options),
+          fallbackClient
+        });
+        logger.info(`Pinning actions in ${resolve(path)}`);
+        const results = await pinner.pinCheckout(resolve(path), dryRun);
+        const count = results.reduce((total, result) => total + result.changes.length, 0);
+        
+        if (dryRun && results.length > 0) {
+          writeOutput(results.map(result => result.diff).join(''), options.output);
+        }
+        logger.info(`${dryRun ? 'Would rewrite' : 'Rewrote'} ${count} references in ${results.length} files`);
+      } catch (e) {
+        logger.error(`Pinning failed: ${e.message}`);
+        process.exit(1);
+      }
+    });
+
+  program.command("lock")
+    .description("Write the resolved commit and action.yml hash of every action a checkout's workflows reach to a lockfile")
+    .option('-p, --path <path>', 'Path to the repository checkout', '.')
+    .option('-l, --lockfile <path>', `Lockfile path (default: ${DEFAULT_LOCKFILE} in the checkout)`)
+    .action(async ({ path, lockfile }, _options) => {
+      const options = { ..._options.opts(), ..._options.parent.opts() };
+      const lockfilePath = lockfile || resolve(path, DEFAULT_LOCKFILE);
+      
+      try {
+        const report = await scanCheckoutWorkflows(path, options);
+        const contents = createLockfile(report, options.maxDepth);
+        writeFileSync(lockfilePath, JSON.stringify(contents, null, 2) + '\n');
+        logger.info(`Locked ${Object.keys(contents.actions).length} actions in ${lockfilePath}`);
+      } catch (e) {
+        logger.error(`Locking failed: ${e.message}`);
+        process.exit(1);
+      }
+    });
+
+  program.command("verify")
+    .description("Re-scan a checkout's workflows and exit with code 2 if any action no longer matches the lockfile")
+    .option('-p, --path <path>', 'Path to the repository checkout', '.')
+    .option('-l, --lockfile <path>', `Lockfile path (default: ${DEFAULT_LOCKFILE} in the checkout)`)
+    .action(async ({ path, lockfile }, _options) => {
+      const options = { ..._options.opts(), ..._options.parent.opts() };
+      const lockfilePath = lockfile || resolve(path, DEFAULT_LOCKFILE);
+      
+      try {
+        const locked = readLockfile(lockfilePath);
+        // Scan as deep as the lock was taken, otherwise cut-off nodes look removed
+        const report = await scanCheckoutWorkflows(path, { ...options, maxDepth: locked.maxDepth || options.maxDepth });
+        const mismatches = verifyLockfile(locked, report);
+        const results = {
+          timestamp: new Date().toISOString(),
+          lockfile: lockfilePath,
+          verified: mismatches.length === 0,
+          summary: {
+            lockedActions: Object.keys(locked.actions).length,
+            currentActions: report.allUniqueActions.filter(node => node.type !== 'docker-image' && node.type !== 'npm-package').length,
+            mismatches: mismatches.length
+          },
+          mismatches
+        };
+        
+        writeOutput(options.format === 'json' ? JSON.stringify(results, null, 2) : generateVerifyTextReport(results), options.output);
+        if (mismatches.length > 0) {
+          logger.error(`${mismatches.length} actions do not match ${lockfilePath}`);
+          process.exitCode = 2;
+        }
+      } catch (e) {
+        logger.error(`Verification failed: ${e.message}`);
+        process.exit(1);
+      }
+    });
+
+  program.command("render")
+    .description("Render a JSON report written by an earlier scan in another --format, without scanning again")
+    .requiredOption('-i, --input <path>', 'JSON report (scan --format json --output)')
+    .action(({ input }, _options) => {
+      const options = { ..._options.opts(), ..._options.parent.opts() };
+
+      try {
+        const results = JSON.parse(readFileSync(input, 'utf8'));
+        // Diff reports carry the base and head summaries instead of a graph
+        if (results.head && results.base) {
+          outputDiffResults(results, options.output, options.format);
+        } else {
+          outputResults(results, options.output, options.format);
+        }
+      } catch (e) {
+        logger.error(`Rendering ${input} failed: ${e.message}`);
+        process.exit(1);
+      }
+    });
+
+  const cacheCommand = program.command("cache")
+    .description("Inspect, prune, export or import the on-disk cache given by --cache-dir");
+
+  const requireContentCache = (command) => {
+    const contentCache = openContentCache(command.optsWithGlobals());
+    if (!contentCache) {
+      logger.error('--cache-dir is required for cache commands');
+      process.exit(1);
+    }
+    return contentCache;
+  };
+
+  cacheCommand.command("info")
+    .description("Show the number of cached files and refs and their size")
+    .action((_args, command) => {
+      console.log(JSON.stringify(requireContentCache(command).info(), null, 2));
+    });
+
+  cacheCommand.command("prune")
+    .description("Remove cache entries older than the given number of days")
+    .option('--older-than <days>', 'Age in days (0 removes everything)', parseInt, 30)
+    .action(({ olderThan }, command) => {
+      const removed = requireContentCache(command).prune(olderThan);
+      logger.info(`Removed ${removed} cache entries older than ${olderThan} days`);
+    });
+
+  cacheCommand.command("export")
+    .description("Export the whole cache as a single JSON document (to --output or stdout)")
+    .action((_args, command) => {
+      const options = command.optsWithGlobals();
+      const bundle = JSON.stringify(requireContentCache(command).export());
+      if (options.output) {
+        writeFileSync(options.output, bundle);
+        logger.info(`Cache exported to ${options.output}`);
+      } else {
+        console.log(bundle);
+      }
+    });
+
+  cacheCommand.command("import")
+    .description("Restore cache entries from a document written by cache export")
+    .requiredOption('-i, --input <path>', 'Exported cache file')
+    .action(({ input }, command) => {
+      try {
+        const written = requireContentCache(command).import(JSON.parse(readFileSync(input, 'utf8')));
+        logger.info(`Imported ${written} cache entries from ${input}`);
+      } catch (e) {
+        logger.error(`Cache import failed: ${e.message}`);
+        process.exit(1);
+      }
+    });
+
   program.parse();
 }
 
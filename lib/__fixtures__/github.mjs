@@ -0,0 +1,144 @@
+import { GitHubClient } from '../githubClient.mjs';
+
+const FULL_SHA_RE = /^[a-f0-9]{40}$/;
+
+function httpError(status, message = 'Not Found') {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * A GitHubClient whose octokit serves an in-memory set of repositories instead of
+ * the API. Repositories are keyed by owner/repo:
+ *
+ *   {
+ *     defaultBranch: 'main',
+ *     branches: { main: sha }, tags: { v1: sha },
+ *     files: { 'action.yml': '...' },           // the same at every ref
+ *     filesAt: { [sha]: { 'action.yml': '...' } }, // overrides for one commit
+ *     ancestors: { [ref name]: [sha, ...] },    // commits behind each branch or tag
+ *     metadata: { archived, pushed_at, ... }
+ *   }
+ *
+ * Tests may change the repositories between scans. Every request is recorded in
+ * client.calls as 'method owner/repo detail'.
+ * @param {Object} repositories - owner/repo → repository
+ * @param {Object} options - {orgs: login → listForOrg entries, pulls: 'owner/repo#n' →
+ *                           {pull, files}, commits: 'owner/repo@sha' → {files}, apiUrl}
+ * @returns {GitHubClient}
+ */
+function createFakeClient(repositories = {}, options = {}) {
+  const client = new GitHubClient({ token: 'test', apiUrl: options.apiUrl });
+  const calls = [];
+  client.calls = calls;
+
+  const repository = (owner, repo) => {
+    const found = repositories[`${owner}/${repo}`];
+    if (!found) throw httpError(404);
+    return found;
+  };
+  const commitOf = (found, ref) => {
+    if (ref === undefined) return found.branches?.[found.defaultBranch || 'main'];
+    if (found.tags?.[ref]) return found.tags[ref];
+    if (found.branches?.[ref]) return found.branches[ref];
+    if (FULL_SHA_RE.test(ref)) return ref;
+    throw httpError(404, `No commit found for the ref ${ref}`);
+  };
+  const filesAt = (found, sha) => ({ ...found.files, ...found.filesAt?.[sha] });
+
+  const octokit = {
+    rest: {
+      repos: {
+        async get({ owner, repo }) {
+          calls.push(`repos.get ${owner}/${repo}`);
+          const found = repository(owner, repo);
+          return { data: { full_name: `${owner}/${repo}`, default_branch: found.defaultBranch || 'main', ...found.metadata } };
+        },
+        async getContent({ owner, repo, path, ref }) {
+          calls.push(`repos.getContent ${owner}/${repo} ${path}@${ref}`);
+          const files = filesAt(repository(owner, repo), commitOf(repository(owner, repo), ref));
+          if (typeof files[path] === 'string') {
+            return { data: { type: 'file', name: path.split('/').pop(), path, content: Buffer.from(files[path]).toString('base64') } };
+          }
+          const entries = new Map();
+          for (const file of Object.keys(files).filter(file => files[file] !== null && file.startsWith(`${path}/`))) {
+            const [name, ...rest] = file.substring(path.length + 1).split('/');
+            entries.set(name, { type: rest.length > 0 ? 'dir' : 'file', name, path: `${path}/${name}` });
+          }
+          if (entries.size === 0) throw httpError(404);
+          return { data: Array.from(entries.values()) };
+        },
+        async listTags({ owner, repo }) {
+          calls.push(`repos.listTags ${owner}/${repo}`);
+          const found = repository(owner, repo);
+          return { data: Object.entries(found.tags || {}).map(([name, sha]) => ({ name, commit: { sha } })) };
+        },
+        async listBranches({ owner, repo }) {
+          calls.push(`repos.listBranches ${owner}/${repo}`);
+          const found = repository(owner, repo);
+          return { data: Object.entries(found.branches || {}).map(([name, sha]) => ({ name, commit: { sha } })) };
+        },
+        async compareCommitsWithBasehead({ owner, repo, basehead }) {
+          calls.push(`repos.compareCommitsWithBasehead ${owner}/${repo} ${basehead}`);
+          const found = repository(owner, repo);
+          const [base, head] = basehead.split('...');
+          const known = Object.values(found.ancestors || {}).some(shas => shas.includes(head)) ||
+            Object.values({ ...found.branches, ...found.tags }).includes(head);
+          if (!known) throw httpError(404);
+          if (commitOf(found, base) === head) return { data: { status: 'identical' } };
+          return { data: { status: found.ancestors?.[base]?.includes(head) ? 'behind' : 'diverged' } };
+        },
+        async listForOrg({ org }) {
+          calls.push(`repos.listForOrg ${org}`);
+          if (!options.orgs?.[org]) throw httpError(404);
+          return { data: options.orgs[org] };
+        },
+        async getCommit({ owner, repo, ref }) {
+          calls.push(`repos.getCommit ${owner}/${repo} ${ref}`);
+          const commit = options.commits?.[`${owner}/${repo}@${ref}`];
+          if (!commit) throw httpError(404);
+          return { data: { sha: ref, files: commit.files } };
+        }
+      },
+      git: {
+        async getRef({ owner, repo, ref }) {
+          calls.push(`git.getRef ${owner}/${repo} ${ref}`);
+          const found = repository(owner, repo);
+          const [, kind, name] = ref.match(/^(tags|heads)\/(.+)$/);
+          const sha = (kind === 'tags' ? found.tags : found.branches)?.[name];
+          if (!sha) throw httpError(404);
+          return { data: { ref: `refs/${ref}`, object: { type: 'commit', sha } }, headers: { etag: `"${sha}"` } };
+        },
+        async getTag({ owner, repo, tag_sha }) {
+          calls.push(`git.getTag ${owner}/${repo} ${tag_sha}`);
+          throw httpError(404);
+        }
+      },
+      pulls: {
+        async get({ owner, repo, pull_number }) {
+          calls.push(`pulls.get ${owner}/${repo}#${pull_number}`);
+          const pull = options.pulls?.[`${owner}/${repo}#${pull_number}`];
+          if (!pull) throw httpError(404);
+          return { data: pull.pull };
+        },
+        async listFiles({ owner, repo, pull_number }) {
+          calls.push(`pulls.listFiles ${owner}/${repo}#${pull_number}`);
+          const pull = options.pulls?.[`${owner}/${repo}#${pull_number}`];
+          if (!pull) throw httpError(404);
+          return { data: pull.files };
+        }
+      }
+    },
+    // Every fake list fits on one page
+    async paginate(method, parameters) {
+      return (await method(parameters)).data;
+    }
+  };
+
+  client.octokit = octokit;
+  return client;
+}
+
+// Deterministic 40-character commit SHAs for fixtures
+const sha = (seed) => seed.repeat(40).substring(0, 40);
+
+export { createFakeClient, httpError, sha };
@@ -1,133 +1,575 @@
-import { Octokit } from 'octokit';
-import { logger, GITHUB_URL_RE, ACTION_NAME_REGEX, actionSteps } from './utils.mjs';
+import { logger, ACTION_NAME_REGEX, REUSABLE_WORKFLOW_PATH_RE, actionSteps } from './utils.mjs';
 import YAML from 'yaml';
+import { posix } from 'node:path';
+import { createHash } from 'node:crypto';
+import { DockerImage, extractBaseImages } from './docker.mjs';
+import { NpmPackage } from './npm.mjs';
+import { resolveRef } from './pinning.mjs';
+import { GitHubClient, selectClient } from './githubClient.mjs';
+import { checkWorkflowSecurity } from './securityChecks.mjs';
+import { fetchRepositoryMetadata, assessHealth } from './health.mjs';
+import { verifyCommitReachable } from './impostor.mjs';
+import { listVersionTags } from './advisories.mjs';
 
+/**
+ * Per-scan registry of Action nodes. Keeps the depth bookkeeping and detected cycles
+ * of one scan separate from any other scan in the process. Ref, repository and
+ * commit lookups can be shared with other scans through options.resolutions.
+ */
 class ActionCache {
-  static actions = []
-  static register(action) {
-    ActionCache.actions.push(action)
-  }
-  static find(owner, repo, ref, subPath = '') {
-    for (const _action of ActionCache.actions) {
-      if (
-        _action.owner === owner &&
-        _action.repo === repo &&
-        _action.ref === ref &&
-        _action.subPath === subPath
-      ) {
-        logger.debug(`ActionCache HIT ${owner}/${repo}@${ref}/${subPath}`)
-        return _action
-      }
+  constructor(options = {}) {
+    const resolutions = options.resolutions || ActionCache.createResolutions()
+    this.actions = new Map()
+    this.pins = resolutions.pins
+    this.repositories = resolutions.repositories
+    this.commits = resolutions.commits
+    this.tags = resolutions.tags
+    // owner/repo → client of the server the repository is read from
+    this.hosts = resolutions.hosts
+    // owner/repo@ref:path → pending file content
+    this.files = resolutions.files
+    this.cycles = new Map()
+    // Optional on-disk ContentCache shared across scans and runs
+    this.contentCache = options.contentCache || null
+    this.client = options.client || new GitHubClient()
+    // github.com client for repositories the configured server doesn't have
+    this.fallbackClient = options.fallbackClient || null
+  }
+  /**
+   * Empty lookup maps, for options.resolutions of the ActionCaches that share them
+   * @returns {Object} - {pins, repositories, commits, tags, hosts, files}
+   */
+  static createResolutions() {
+    return {
+      pins: new Map(),
+      repositories: new Map(),
+      commits: new Map(),
+      tags: new Map(),
+      hosts: new Map(),
+      files: new Map()
+    }
+  }
+  static key(owner, repo, ref, subPath = '') {
+    return `${owner}/${repo}@${ref}/${subPath}`
+  }
+  register(action) {
+    this.actions.set(ActionCache.key(action.owner, action.repo, action.ref, action.subPath), action)
+  }
+  find(owner, repo, ref, subPath = '') {
+    const found = this.actions.get(ActionCache.key(owner, repo, ref, subPath))
+    if (found !== undefined) {
+      logger.debug(`ActionCache HIT ${owner}/${repo}@${ref}/${subPath}`)
     }
+    return found
   }
-  static findOrCreate(owner, repo, ref, subPath = '') {
-    const found = ActionCache.find(owner, repo, ref, subPath)
+  findOrCreate(owner, repo, ref, subPath = '') {
+    const found = this.find(owner, repo, ref, subPath)
     if (found !== undefined) return found;
-    return new Action(owner, repo, ref, subPath);
+    return new Action(owner, repo, ref, subPath, this);
+  }
+  recordCycle(path) {
+    const names = path.map(action => action.fullName)
+    const key = names.join(' -> ')
+    if (!this.cycles.has(key)) {
+      logger.warn(`Dependency cycle detected: ${key}`)
+      this.cycles.set(key, names)
+    }
+  }
+  get truncated() {
+    return Array.from(this.actions.values()).filter(action => action.truncated)
   }
 }
 
 class Action {
-  constructor(owner, repo, ref, subPath = '') {
+  constructor(owner, repo, ref, subPath = '', cache = new ActionCache()) {
     this.owner = owner;
     this.repo = repo;
     this.ref = ref;
     this.subPath = subPath;
-    this.dependencies = new Set();
-    this.scanned = false;
+    this.type = REUSABLE_WORKFLOW_PATH_RE.test(subPath) ? 'reusable-workflow' : 'action';
+    this.parents = new Set();
+    this.edges = [];
+    // Shallowest depth this action's children were expanded at in the current scan
+    this.expandedAt = Infinity;
+    this.truncated = false;
+    this.cache = cache;
     
-    ActionCache.register(this);
+    cache.register(this);
+  }
+
+  /**
+   * Every node reachable from this action through its edges (transitive dependencies)
+   */
+  get dependencies() {
+    const reachable = new Set();
+    const queue = [this];
+    while (queue.length > 0) {
+      for (const edge of queue.shift().edges) {
+        if (edge.node !== this && !reachable.has(edge.node)) {
+          reachable.add(edge.node);
+          queue.push(edge.node);
+        }
+      }
+    }
+    return reachable;
   }
 
   get fullName() {
     return `${this.owner}/${this.repo}@${this.ref}${this.subPath ? '/' + this.subPath : ''}`;
   }
 
+  get isReusableWorkflow() {
+    return this.type === 'reusable-workflow';
+  }
+
   get url() {
-    return `https://github.com/${this.owner}/${this.repo}/tree/${this.ref}${this.subPath ? '/' + this.subPath : ''}`;
+    const view = this.isReusableWorkflow ? 'blob' : 'tree';
+    const { serverUrl } = this.client || this.cache.client;
+    return `${serverUrl}/${this.owner}/${this.repo}/${view}/${this.ref}${this.subPath ? '/' + this.subPath : ''}`;
   }
 
-  static fromUsesString(usesString) {
+  static fromUsesString(usesString, cache, parent = null) {
+    if (DockerImage.isDockerUses(usesString)) {
+      return DockerImage.fromUsesString(usesString);
+    }
+
+    if (usesString.startsWith('./') || usesString.startsWith('../')) {
+      return Action.fromLocalPath(usesString, cache, parent);
+    }
+
     const match = usesString.match(ACTION_NAME_REGEX);
     if (!match) {
       throw new Error(`Invalid action reference: ${usesString}`);
     }
     
     const { org, action, subPath, ref } = match.groups;
-    return ActionCache.findOrCreate(org, action, ref, subPath || '');
+    return cache.findOrCreate(org, action, ref, subPath || '');
+  }
+
+  /**
+   * Resolve a local `uses: ./path` against the repository and ref of the action that contains it
+   * @param {string} localPath - Local path from the uses: string
+   * @param {ActionCache} cache - Cache of the current scan
+   * @param {Action|null} parent - Action whose steps reference the local path
+   * @returns {Action} - Action in the parent's repository at the parent's ref
+   */
+  static fromLocalPath(localPath, cache, parent) {
+    if (!parent) {
+      throw new Error(`Local action reference ${localPath} has no host repository to resolve against`);
+    }
+    
+    // Local paths are relative to the repository root, not to the referencing action
+    const subPath = posix.normalize(localPath).replace(/\/+$/, '');
+    if (subPath === '..' || subPath.startsWith('../')) {
+      throw new Error(`Local action reference ${localPath} escapes ${parent.owner}/${parent.repo}`);
+    }
+    
+    logger.debug(`Resolved local action ${localPath} in ${parent.fullName} to ${parent.owner}/${parent.repo}/${subPath}`);
+    return cache.findOrCreate(parent.owner, parent.repo, parent.ref, subPath === '.' ? '' : subPath);
+  }
+
+  /**
+   * Record a direct parent→child edge and the step that introduced it
+   * @param {Object} node - Child node (Action, DockerImage or NpmPackage)
+   * @param {string|null} jobKey - Job key, 'composite' for action steps, null for non-step edges
+   * @param {number|null} stepIdx - Step index within the job, null for job-level uses
+   */
+  addEdge(node, jobKey = null, stepIdx = null) {
+    // Image and package nodes are not cached, so compare by name to keep rescans idempotent
+    const exists = this.edges.some(edge =>
+      edge.node.fullName === node.fullName && edge.jobKey === jobKey && edge.stepIdx === stepIdx
+    );
+    if (!exists) {
+      this.edges.push({ node, jobKey, stepIdx });
+      node.parents?.add(this);
+    }
+  }
+
+  /**
+   * The client for the server this action's repository is read from, decided once
+   * per owner/repo (see selectClient)
+   * @returns {Promise<GitHubClient>}
+   */
+  async getClient() {
+    if (this.client) return this.client;
+    
+    const key = `${this.owner}/${this.repo}`.toLowerCase();
+    if (!this.cache.hosts.has(key)) {
+      this.cache.hosts.set(key, selectClient(this.cache.client, this.cache.fallbackClient, this.owner, this.repo));
+    }
+    this.client = await this.cache.hosts.get(key);
+    return this.client;
   }
 
-  async getActionYaml() {
-    if (this._actionYaml !== undefined) return this._actionYaml;
+  /**
+   * Classify this action's ref as sha, tag or branch and resolve it to a commit.
+   * Resolutions are shared by every action in the same owner/repo@ref.
+   * @returns {Promise<Object>} - {status, sha}
+   */
+  async resolvePin() {
+    if (this.pin !== undefined) return this.pin;
     
-    const octokit = new Octokit({ auth: process.env?.GITHUB_TOKEN });
+    const key = `${this.owner}/${this.repo}@${this.ref}`;
+    const { octokit } = await this.getClient();
+    if (!this.cache.pins.has(key)) {
+      this.cache.pins.set(key, resolveRef(octokit, this.owner, this.repo, this.ref, this.cache.contentCache));
+    }
+    this.pin = await this.cache.pins.get(key);
+    return this.pin;
+  }
+
+  /**
+   * Fetch the metadata of this action's repository (archived, disabled, last push,
+   * fork). Shared by every action in the same owner/repo.
+   * @returns {Promise<Object|null>} - Repository metadata, or null if it could not be fetched
+   */
+  async fetchRepository() {
+    if (this.repository !== undefined) return this.repository;
     
-    const possiblePaths = [
+    const key = `${this.owner}/${this.repo}`.toLowerCase();
+    const { octokit } = await this.getClient();
+    if (!this.cache.repositories.has(key)) {
+      this.cache.repositories.set(key, fetchRepositoryMetadata(octokit, this.owner, this.repo));
+    }
+    this.repository = await this.cache.repositories.get(key);
+    return this.repository;
+  }
+
+  /**
+   * Check that the commit this action is pinned to belongs to its repository rather
+   * than only to a fork of it. Shared by every action pinned to the same commit.
+   * @returns {Promise<Object|null>} - {reachable, ref}, or null if the action is not SHA-pinned
+   */
+  async verifyCommit() {
+    if (this.commit !== undefined) return this.commit;
+    if (this.pin?.status !== 'sha') return null;
+    
+    const key = `${this.owner}/${this.repo}@${this.pin.sha}`.toLowerCase();
+    const { octokit } = await this.getClient();
+    if (!this.cache.commits.has(key)) {
+      this.cache.commits.set(key, verifyCommitReachable(octokit, this.owner, this.repo, this.pin.sha));
+    }
+    this.commit = await this.cache.commits.get(key);
+    return this.commit;
+  }
+
+  /**
+   * Find the version tags that point at the commit this action resolved to, so a SHA,
+   * branch or floating tag ref can be matched against advisories by the release it
+   * stands for. The tags are listed once per owner/repo.
+   * @returns {Promise<Array|null>} - Tag names, or null if the commit or the tags are unknown
+   */
+  async findVersionTags() {
+    if (this.versionTags !== undefined) return this.versionTags;
+    
+    const { sha } = await this.resolvePin();
+    const key = `${this.owner}/${this.repo}`.toLowerCase();
+    const { octokit } = await this.getClient();
+    if (!this.cache.tags.has(key)) {
+      this.cache.tags.set(key, listVersionTags(octokit, this.owner, this.repo));
+    }
+    const tags = await this.cache.tags.get(key);
+    this.versionTags = sha && tags ? tags.filter(tag => tag.sha === sha.toLowerCase()).map(tag => tag.name) : null;
+    return this.versionTags;
+  }
+
+  /**
+   * Fetch a file from this action's repository at the action's ref, once per
+   * owner/repo@ref and path
+   * @param {string} path - Path relative to the repository root
+   * @returns {Promise<string|null>} - File content, or null if it could not be fetched
+   */
+  fetchFile(path) {
+    const key = `${this.owner.toLowerCase()}/${this.repo.toLowerCase()}@${this.ref}:${path}`;
+    if (!this.cache.files.has(key)) {
+      this.cache.files.set(key, this.downloadFile(path));
+    }
+    return this.cache.files.get(key);
+  }
+
+  /**
+   * Download a file for fetchFile. With an on-disk content cache the ref is resolved
+   * to a commit first and the file is looked up by that commit, so unchanged files
+   * are never downloaded twice.
+   * @param {string} path - Path relative to the repository root
+   * @returns {Promise<string|null>} - File content, or null if it could not be fetched
+   */
+  async downloadFile(path) {
+    const contentCache = this.cache.contentCache;
+    const sha = contentCache ? (await this.resolvePin()).sha : null;
+    
+    if (sha) {
+      const cached = contentCache.getObject(this.owner, this.repo, sha, path);
+      if (cached !== undefined) return cached.content;
+    }
+    
+    try {
+      const { data } = await (await this.getClient()).octokit.rest.repos.getContent({
+        owner: this.owner,
+        repo: this.repo,
+        path: path,
+        ref: sha || this.ref
+      });
+      
+      if (data.type === 'file') {
+        const content = Buffer.from(data.content, 'base64').toString();
+        if (sha) contentCache.putObject(this.owner, this.repo, sha, path, content);
+        return content;
+      }
+    } catch (e) {
+      logger.debug(`Failed to get ${path}: ${e.message}`);
+      // A missing file at a fixed commit stays missing
+      if (sha && e.status === 404) contentCache.putObject(this.owner, this.repo, sha, path, null);
+    }
+    return null;
+  }
+
+  /**
+   * Fetch and parse action.yml (or the workflow file of a reusable workflow) once;
+   * concurrent callers share the same pending fetch
+   * @returns {Promise<Object|null>} - Parsed YAML, or null if not found
+   */
+  getActionYaml() {
+    if (this._actionYaml === undefined) {
+      this._actionYaml = this.loadActionYaml();
+    }
+    return this._actionYaml;
+  }
+
+  async loadActionYaml() {
+    // Reusable workflows are referenced by their file path, actions by their directory
+    const possiblePaths = this.isReusableWorkflow ? [this.subPath] : [
       this.subPath ? `${this.subPath}/action.yml` : 'action.yml',
       this.subPath ? `${this.subPath}/action.yaml` : 'action.yaml'
     ];
     
     for (const path of possiblePaths) {
-      try {
-        const { data } = await octokit.rest.repos.getContent({
-          owner: this.owner,
-          repo: this.repo,
-          path: path,
-          ref: this.ref
-        });
-        
-        if (data.type === 'file') {
-          const content = Buffer.from(data.content, 'base64').toString();
-          this._actionYaml = YAML.parse(content);
-          return this._actionYaml;
+      const content = await this.fetchFile(path);
+      if (content !== null) {
+        // Recorded by lockfiles, so a changed action.yml at the same ref is noticed
+        this.contentHash = `sha256:${createHash('sha256').update(content).digest('hex')}`;
+        const actionYaml = YAML.parse(content);
+        const using = String(actionYaml?.runs?.using || '');
+        this.runtime = using || null;
+        if (using === 'docker') {
+          this.type = 'docker';
+        } else if (/^node\d+$/.test(using)) {
+          this.type = 'javascript';
+        } else if (using === 'composite') {
+          this.type = 'composite';
         }
+        return actionYaml;
+      }
+    }
+    
+    if (this.isReusableWorkflow) {
+      logger.warn(`Reusable workflow ${this.subPath} not found for ${this.fullName}`);
+    } else {
+      logger.warn(`No action.yml or action.yaml found for ${this.fullName}`);
+    }
+    this.notFound = true;
+    return null;
+  }
+
+  /**
+   * Resolve the images a Docker container action runs: either the registry image
+   * from runs.image, or the base images of the Dockerfile it builds
+   * @param {Object} runs - The runs section of action.yml
+   * @returns {Promise<Array>} - Array of DockerImage nodes
+   */
+  async scanDockerImages(runs) {
+    const image = String(runs.image || '');
+    
+    if (DockerImage.isDockerUses(image)) {
+      this.docker = { image, dockerfile: null, baseImages: [] };
+      return [new DockerImage(image.substring('docker://'.length), 'runs.image')];
+    }
+    
+    const dockerfile = posix.normalize(posix.join(this.subPath || '.', image || 'Dockerfile'));
+    this.docker = { image, dockerfile, baseImages: [] };
+    
+    const content = await this.fetchFile(dockerfile);
+    if (content === null) {
+      logger.warn(`Dockerfile ${dockerfile} not found for ${this.fullName}`);
+      return [];
+    }
+    
+    this.docker.baseImages = extractBaseImages(content);
+    return this.docker.baseImages.map(baseImage => new DockerImage(baseImage, 'dockerfile'));
+  }
+
+  /**
+   * Resolve the npm packages a JavaScript action bundles from its package.json and
+   * package-lock.json. The action directory is searched first, then the repository root.
+   * @returns {Promise<Array>} - Array of NpmPackage nodes
+   */
+  async scanNpmPackages() {
+    const directories = this.subPath ? [this.subPath, ''] : [''];
+    
+    for (const directory of directories) {
+      const manifestPath = directory ? `${directory}/package.json` : 'package.json';
+      const manifest = await this.fetchFile(manifestPath);
+      if (manifest === null) continue;
+      
+      const lockfilePath = directory ? `${directory}/package-lock.json` : 'package-lock.json';
+      const lockfile = await this.fetchFile(lockfilePath);
+      
+      try {
+        const packages = NpmPackage.fromManifest(
+          JSON.parse(manifest),
+          lockfile !== null ? JSON.parse(lockfile) : null
+        );
+        this.npm = {
+          manifest: manifestPath,
+          lockfile: lockfile !== null ? lockfilePath : null,
+          totalPackages: packages.length
+        };
+        return packages;
       } catch (e) {
-        logger.debug(`Failed to get ${path}: ${e.message}`);
+        logger.warn(`Failed to parse npm manifest for ${this.fullName}: ${e.message}`);
+        return [];
       }
     }
     
-    logger.warn(`No action.yml or action.yaml found for ${this.fullName}`);
-    this._actionYaml = null;
-    return this._actionYaml;
+    logger.debug(`No package.json found for ${this.fullName}`);
+    return [];
   }
 
-  async scanDependencies(maxDepth = 5, currentDepth = 0) {
-    if (this.scanned || currentDepth >= maxDepth) {
+  /**
+   * Expand this action's children. An action already expanded at the same or a
+   * shallower depth is not walked again; one first reached near the depth limit is
+   * rescanned when a later path reaches it with more depth budget left.
+   * @param {number} maxDepth - Maximum recursion depth
+   * @param {number} currentDepth - Depth of this action below the root
+   * @param {Array} ancestors - Actions on the path from the root to this action
+   * @returns {Promise<Array>} - Transitive dependencies found so far
+   */
+  async scanDependencies(maxDepth = 5, currentDepth = 0, ancestors = []) {
+    if (currentDepth >= this.expandedAt) {
+      return Array.from(this.dependencies);
+    }
+    if (currentDepth >= maxDepth) {
+      // Only mark as truncated if no other path has expanded it
+      if (this.expandedAt === Infinity) {
+        this.truncated = true;
+      }
       return Array.from(this.dependencies);
     }
     
-    logger.info(`Scanning ${this.fullName} (depth: ${currentDepth})`);
-    this.scanned = true;
+    const firstExpansion = this.expandedAt === Infinity;
+    if (firstExpansion) {
+      logger.info(`Scanning ${this.fullName} (depth: ${currentDepth})`);
+    } else {
+      logger.info(`Rescanning ${this.fullName} at shallower depth ${currentDepth} (was ${this.expandedAt})`);
+    }
+    this.expandedAt = currentDepth;
+    this.truncated = false;
     
     const actionYaml = await this.getActionYaml();
     if (!actionYaml) return Array.from(this.dependencies);
     
+    if (firstExpansion) {
+      // Composite actions and reusable workflows run their steps in the caller's job
+      this.securityFindings = checkWorkflowSecurity(actionYaml);
+    }
+    if (firstExpansion && this.type === 'docker') {
+      const images = await this.scanDockerImages(actionYaml.runs);
+      images.forEach(image => this.addEdge(image));
+    } else if (firstExpansion && this.type === 'javascript') {
+      const packages = await this.scanNpmPackages();
+      packages.forEach(pkg => this.addEdge(pkg));
+    }
+    
+    const children = [];
     for (const [jobKey, job, step, stepIdx] of actionSteps(actionYaml)) {
       if (step?.uses) {
         try {
-          const dependencyAction = Action.fromUsesString(step.uses);
-          this.dependencies.add(dependencyAction);
-          
-          const nestedDeps = await dependencyAction.scanDependencies(maxDepth, currentDepth + 1);
-          nestedDeps.forEach(dep => this.dependencies.add(dep));
+          const dependencyAction = Action.fromUsesString(step.uses, this.cache, this);
+          this.addEdge(dependencyAction, jobKey, stepIdx);
+          children.push(dependencyAction);
         } catch (e) {
           logger.warn(`Failed to parse uses: ${step.uses} - ${e.message}`);
         }
       }
     }
     
+    // Fetch the next level concurrently, then walk it in order so depth and cycle
+    // bookkeeping stays deterministic
+    if (currentDepth + 1 < maxDepth) {
+      await Promise.all(children.map(child => child.getActionYaml?.().catch(() => null)));
+    }
+    
+    const path = [...ancestors, this];
+    for (const dependencyAction of children) {
+      if (path.includes(dependencyAction)) {
+        this.cache.recordCycle([...path, dependencyAction]);
+        continue;
+      }
+      try {
+        await dependencyAction.scanDependencies(maxDepth, currentDepth + 1, path);
+      } catch (e) {
+        logger.warn(`Failed to scan ${dependencyAction.fullName}: ${e.message}`);
+      }
+    }
+    
     return Array.from(this.dependencies);
   }
 
-  toJSON() {
-    return {
+  toSummary() {
+    const summary = {
       fullName: this.fullName,
+      url: this.url,
       owner: this.owner,
       repo: this.repo,
       ref: this.ref,
       subPath: this.subPath,
-      url: this.url,
-      dependencies: Array.from(this.dependencies).map(dep => dep.toJSON())
+      type: this.type,
+      host: (this.client || this.cache.client).host
+    };
+    if (this.truncated) {
+      summary.truncated = true;
+    }
+    if (this.notFound) {
+      summary.notFound = true;
+    }
+    if (this.pin) {
+      summary.pinStatus = this.pin.status;
+      summary.resolvedSha = this.pin.sha;
+    }
+    if (this.contentHash) {
+      summary.contentHash = this.contentHash;
+    }
+    if (this.commit) {
+      summary.commitReachable = this.commit.reachable;
+    }
+    if (this.versionTags) {
+      summary.versionTags = this.versionTags;
+    }
+    if (this.referenceFindings?.length > 0) {
+      summary.referenceFindings = this.referenceFindings;
+    }
+    if (this.docker) {
+      summary.docker = this.docker;
+    }
+    if (this.npm) {
+      summary.npm = this.npm;
+    }
+    if (this.runtime) {
+      summary.runtime = this.runtime;
+    }
+    if (this.repository) {
+      summary.repository = this.repository;
+    }
+    if (this.runtime || this.repository !== undefined) {
+      summary.health = assessHealth(this.runtime, this.repository);
+    }
+    return summary;
+  }
+
+  toJSON() {
+    return {
+      ...this.toSummary(),
+      dependencies: Array.from(this.dependencies).map(dep => dep.toSummary())
     };
   }
 }
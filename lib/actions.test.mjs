@@ -0,0 +1,90 @@
+import { Action, ActionCache } from './actions.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const REUSABLE_WORKFLOW = `
+on: workflow_call
+jobs:
+  build:
+    uses: org/shared/.github/workflows/build.yml@v2
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - run: npm test
+`;
+
+describe('reusable workflows', () => {
+  test('a uses: reference to a workflow file is a reusable-workflow node', () => {
+    const cache = new ActionCache({ client: createFakeClient() });
+    const workflow = Action.fromUsesString('org/workflows/.github/workflows/ci.yml@v1', cache);
+
+    expect(workflow.type).toBe('reusable-workflow');
+    expect(workflow.subPath).toBe('.github/workflows/ci.yml');
+    expect(workflow.url).toBe('https://github.com/org/workflows/blob/v1/.github/workflows/ci.yml');
+    expect(Action.fromUsesString('org/workflows/setup@v1', cache).type).toBe('action');
+  });
+
+  test('job-level and step uses of the workflow file become its children', async () => {
+    const client = createFakeClient({
+      'org/workflows': { tags: { v1: sha('1') }, files: { '.github/workflows/ci.yml': REUSABLE_WORKFLOW } },
+      'org/shared': { tags: { v2: sha('2') }, files: { '.github/workflows/build.yml': 'on: workflow_call\njobs: {}\n' } },
+      'actions/checkout': { tags: { v4: sha('4') }, files: { 'action.yml': 'runs:\n  using: node20\n  main: dist/index.js\n' } }
+    });
+    const cache = new ActionCache({ client });
+    const workflow = Action.fromUsesString('org/workflows/.github/workflows/ci.yml@v1', cache);
+
+    await workflow.scanDependencies(5);
+
+    expect(workflow.edges.map(edge => [edge.node.fullName, edge.jobKey, edge.stepIdx])).toEqual([
+      ['org/shared@v2/.github/workflows/build.yml', 'build', null],
+      ['actions/checkout@v4', 'test', 0]
+    ]);
+    expect(workflow.edges[0].node.type).toBe('reusable-workflow');
+    expect(client.calls).toContain('repos.getContent org/workflows .github/workflows/ci.yml@v1');
+    expect(client.calls.some(call => call.includes('org/workflows action.yml'))).toBe(false);
+  });
+
+  test('a missing workflow file marks the node as not found', async () => {
+    const cache = new ActionCache({ client: createFakeClient({ 'org/workflows': { tags: { v1: sha('1') }, files: {} } }) });
+    const workflow = Action.fromUsesString('org/workflows/.github/workflows/gone.yml@v1', cache);
+
+    expect(await workflow.getActionYaml()).toBeNull();
+    expect(workflow.toSummary().notFound).toBe(true);
+  });
+});
+
+describe('local actions inside remote actions', () => {
+  test('resolve against the repository and ref of the action that uses them', async () => {
+    const client = createFakeClient({
+      'org/toolkit': {
+        tags: { v3: sha('3') },
+        files: {
+          'setup/action.yml': 'runs:\n  using: composite\n  steps:\n    - uses: ./internal/install/\n',
+          'internal/install/action.yml': 'runs:\n  using: node20\n  main: index.js\n'
+        }
+      }
+    });
+    const cache = new ActionCache({ client });
+    const setup = Action.fromUsesString('org/toolkit/setup@v3', cache);
+
+    await setup.scanDependencies(5);
+
+    const [install] = setup.edges.map(edge => edge.node);
+    expect(install.fullName).toBe('org/toolkit@v3/internal/install');
+    expect(install.type).toBe('javascript');
+    expect(client.calls).toContain('repos.getContent org/toolkit internal/install/action.yml@v3');
+  });
+
+  test('may not leave the host repository', () => {
+    const cache = new ActionCache({ client: createFakeClient() });
+    const parent = Action.fromUsesString('org/toolkit/setup@v3', cache);
+
+    expect(() => Action.fromUsesString('./../other', cache, parent)).toThrow('escapes org/toolkit');
+    expect(Action.fromUsesString('./', cache, parent).fullName).toBe('org/toolkit@v3');
+  });
+
+  test('need a host repository', () => {
+    expect(() => Action.fromUsesString('./local', new ActionCache({ client: createFakeClient() })))
+      .toThrow('has no host repository');
+  });
+});
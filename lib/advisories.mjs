@@ -0,0 +1,259 @@
+import { existsSync, readdirSync, readFileSync, statSync } from 'node:fs';
+import { join } from 'node:path';
+import { logger } from './utils.mjs';
+import { Policy } from './policy.mjs';
+
+const ECOSYSTEM = 'GitHub Actions';
+const VERSION_RE = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?$/i;
+
+/**
+ * Parse a tag such as v4, v4.1 or 4.1.2. Missing components are null, because a
+ * floating major tag like v4 moves across every 4.x.y release.
+ * @param {string} ref - Tag or version
+ * @returns {Array|null} - [major, minor, patch], or null if the ref is not a version
+ */
+function parseVersion(ref) {
+  const match = String(ref).match(VERSION_RE);
+  if (!match) return null;
+  return match.slice(1).map(part => (part === undefined ? null : Number(part)));
+}
+
+function compareVersions(a, b) {
+  for (let i = 0; i < 3; i++) {
+    const difference = (a[i] ?? 0) - (b[i] ?? 0);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+/**
+ * Lowest and highest release a possibly partial version can stand for: v4 covers
+ * 4.0.0 up to (not including) 5.0.0
+ * @returns {Array} - [lowest, exclusive upper bound]
+ */
+function versionBounds(version) {
+  const [major, minor, patch] = version;
+  if (minor === null) return [[major, 0, 0], [major + 1, 0, 0]];
+  if (patch === null) return [[major, minor, 0], [major, minor + 1, 0]];
+  return [version, [major, minor, patch + 1]];
+}
+
+/**
+ * Whether any release the version may point at lies in an OSV SEMVER/ECOSYSTEM range
+ * @param {Array} version - Parsed version
+ * @param {Array} events - The range's events ({introduced}, {fixed}, {last_affected})
+ * @returns {boolean}
+ */
+function inRange(version, events) {
+  const [low, high] = versionBounds(version);
+  let introduced = null;
+
+  for (const event of events) {
+    if (event.introduced !== undefined) {
+      introduced = event.introduced === '0' ? [0, 0, 0] : parseVersion(event.introduced);
+      continue;
+    }
+    if (!introduced) continue;
+
+    const fixed = event.fixed !== undefined ? parseVersion(event.fixed) : null;
+    const lastAffected = event.last_affected !== undefined ? parseVersion(event.last_affected) : null;
+    // [introduced, fixed) or [introduced, last_affected] overlaps [low, high)
+    const startsBeforeEnd = compareVersions(introduced, high) < 0;
+    const endsAfterStart = fixed ? compareVersions(fixed, low) > 0 : lastAffected ? compareVersions(lastAffected, low) >= 0 : true;
+    if ((fixed || lastAffected) && startsBeforeEnd && endsAfterStart) return true;
+    introduced = null;
+  }
+
+  return introduced !== null && compareVersions(introduced, high) < 0;
+}
+
+/**
+ * Version tags of a repository and the commits they point to, for mapping a commit
+ * back to the releases it is part of
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Array|null>} - Array of {name, sha}, or null if the tags could not be listed
+ */
+async function listVersionTags(octokit, owner, repo) {
+  try {
+    const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 });
+    return tags
+      .filter(tag => parseVersion(tag.name))
+      .map(tag => ({ name: tag.name, sha: tag.commit.sha.toLowerCase() }));
+  } catch (e) {
+    logger.warn(`Failed to list tags of ${owner}/${repo}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Local copy of GitHub Advisory Database records in OSV JSON format. Only records
+ * for the "GitHub Actions" ecosystem are kept, indexed by owner/repo.
+ */
+class AdvisoryDatabase {
+  constructor(advisories = [], source = null) {
+    this.source = source;
+    this.packages = new Map();
+    for (const advisory of advisories) {
+      for (const affected of advisory.affected || []) {
+        if (affected.package?.ecosystem !== ECOSYSTEM || !affected.package.name) continue;
+        const name = affected.package.name.toLowerCase();
+        if (!this.packages.has(name)) this.packages.set(name, []);
+        this.packages.get(name).push({ advisory, affected });
+      }
+    }
+  }
+
+  /**
+   * Read every .json file below a directory, e.g. a checkout of github/advisory-database
+   * @param {string|undefined} dir - Advisory directory
+   * @returns {AdvisoryDatabase|null} - null if no directory was given
+   */
+  static load(dir) {
+    if (!dir) return null;
+    if (!existsSync(dir) || !statSync(dir).isDirectory()) {
+      throw new Error(`Advisory directory not found: ${dir}`);
+    }
+
+    const advisories = [];
+    const walk = (current) => {
+      for (const entry of readdirSync(current, { withFileTypes: true })) {
+        const path = join(current, entry.name);
+        if (entry.isDirectory()) {
+          walk(path);
+        } else if (entry.isFile() && entry.name.endsWith('.json')) {
+          try {
+            advisories.push(JSON.parse(readFileSync(path, 'utf8')));
+          } catch (e) {
+            logger.warn(`Skipping advisory ${path}: ${e.message}`);
+          }
+        }
+      }
+    };
+    walk(dir);
+
+    const database = new AdvisoryDatabase(advisories, dir);
+    logger.info(`Loaded advisories for ${database.packages.size} actions from ${dir}`);
+    return database;
+  }
+
+  /**
+   * Whether any advisory names the owner/repo
+   * @returns {boolean}
+   */
+  has(owner, repo) {
+    return this.packages.has(`${owner}/${repo}`.toLowerCase());
+  }
+
+  /**
+   * Versions an action's ref stands for: the ref itself if it is a full version tag,
+   * otherwise the full version tags found on the commit it resolved to (versionTags).
+   * A floating tag like v4 only stands for every 4.x.y release when its commit
+   * carries no full version tag or could not be resolved.
+   * @param {Object} node - Action entry of the report's allUniqueActions
+   * @returns {Array} - Parsed versions
+   */
+  static versionsOf(node) {
+    const version = parseVersion(node.ref);
+    if (version && version[2] !== null) return [version];
+    const tagged = (node.versionTags || []).map(parseVersion).filter(Boolean);
+    const releases = tagged.filter(tag => tag[2] !== null);
+    if (releases.length > 0) return releases;
+    return version ? [version] : tagged;
+  }
+
+  /**
+   * Whether an affected entry covers the action's ref: a listed version or commit,
+   * a SEMVER/ECOSYSTEM range containing the tag, or a GIT range naming the commit
+   * @param {Object} affected - OSV affected entry
+   * @param {Object} node - Action entry of the report's allUniqueActions
+   * @returns {boolean}
+   */
+  static affects(affected, node) {
+    const commits = [node.ref, node.resolvedSha].filter(Boolean).map(sha => sha.toLowerCase());
+    const versions = AdvisoryDatabase.versionsOf(node);
+
+    const listed = (affected.versions || []).some(listedVersion => {
+      if (commits.includes(String(listedVersion).toLowerCase())) return true;
+      const parsed = parseVersion(listedVersion);
+      return parsed !== null && versions.some(version => {
+        const [low, high] = versionBounds(version);
+        return compareVersions(parsed, low) >= 0 && compareVersions(parsed, high) < 0;
+      });
+    });
+    if (listed) return true;
+
+    return (affected.ranges || []).some(range => {
+      if (range.type === 'GIT') {
+        // Commits between the events can't be ordered without the repository's history
+        return (range.events || []).some(event =>
+          commits.includes(String(event.introduced ?? event.last_affected ?? '').toLowerCase()));
+      }
+      return versions.some(version => inRange(version, range.events || []));
+    });
+  }
+
+  /**
+   * Whether an affected entry describes versions that a ref without a version can't
+   * be compared against
+   * @param {Object} affected - OSV affected entry
+   * @returns {boolean}
+   */
+  static hasVersions(affected) {
+    return (affected.versions || []).some(version => parseVersion(version)) ||
+           (affected.ranges || []).some(range => range.type !== 'GIT');
+  }
+
+  /**
+   * Match every action of a scan report against the advisories. Advisories that an
+   * action's ref can't be compared against, because it is a commit or branch that no
+   * version tag points at, are reported as unchecked instead of being dropped.
+   * @param {Object} report - Scan report
+   * @returns {Object} - {matches, unchecked}: arrays of {id, aliases, summary, severity,
+   *                     url, fullName, fixed, path}; unchecked entries also have a reason
+   */
+  evaluate(report) {
+    const paths = Policy.findPaths(report);
+    const matches = new Map();
+    const unchecked = new Map();
+
+    for (const node of report.allUniqueActions) {
+      if (node.type === 'docker-image' || node.type === 'npm-package') continue;
+      for (const { advisory, affected } of this.packages.get(`${node.owner}/${node.repo}`.toLowerCase()) || []) {
+        const key = `${advisory.id} ${node.fullName}`;
+        const entry = () => ({
+          id: advisory.id,
+          aliases: advisory.aliases || [],
+          summary: advisory.summary || advisory.details?.split('\n')[0] || '',
+          severity: String(advisory.database_specific?.severity || 'unknown').toLowerCase(),
+          url: advisory.references?.find(reference => reference.type === 'ADVISORY')?.url ||
+               `https://github.com/advisories/${advisory.id}`,
+          fullName: node.fullName,
+          fixed: (affected.ranges || [])
+            .flatMap(range => range.events || [])
+            .map(event => event.fixed)
+            .filter(Boolean),
+          path: paths.get(node.fullName) || [node.fullName]
+        });
+
+        if (AdvisoryDatabase.affects(affected, node)) {
+          matches.set(key, entry());
+        } else if (AdvisoryDatabase.versionsOf(node).length === 0 && AdvisoryDatabase.hasVersions(affected)) {
+          unchecked.set(key, {
+            ...entry(),
+            reason: node.pinStatus === 'sha' ? 'SHA-pinned' : `${node.pinStatus || 'ref'} ${node.ref}`
+          });
+        }
+      }
+    }
+
+    // An advisory with several affected entries may match one and not another
+    for (const key of matches.keys()) {
+      unchecked.delete(key);
+    }
+    return { matches: Array.from(matches.values()), unchecked: Array.from(unchecked.values()) };
+  }
+}
+
+export { AdvisoryDatabase, listVersionTags, parseVersion, compareVersions };
@@ -0,0 +1,218 @@
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { AdvisoryDatabase, parseVersion, compareVersions } from './advisories.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const FIXED_SHA = sha('fe');
+const VULNERABLE_SHA = sha('9a');
+
+// tj-actions/changed-files style: every release before 46.0.1 is affected
+const ADVISORY = {
+  id: 'GHSA-test-0001',
+  aliases: ['CVE-2025-0001'],
+  summary: 'Secrets leak into logs',
+  database_specific: { severity: 'HIGH' },
+  affected: [{
+    package: { ecosystem: 'GitHub Actions', name: 'org/changed' },
+    ranges: [{ type: 'ECOSYSTEM', events: [{ introduced: '0' }, { fixed: '46.0.1' }] }]
+  }]
+};
+
+const node = (ref, extra = {}) => ({ fullName: `org/changed@${ref}`, owner: 'org', repo: 'changed', ref, type: 'composite', ...extra });
+
+function report(nodes) {
+  return {
+    rootActions: nodes.map(entry => ({ fullName: entry.fullName })),
+    allUniqueActions: nodes,
+    edges: []
+  };
+}
+
+describe('parseVersion', () => {
+  test('parses full and partial version tags', () => {
+    expect(parseVersion('v4')).toEqual([4, null, null]);
+    expect(parseVersion('V4.1')).toEqual([4, 1, null]);
+    expect(parseVersion('46.0.1')).toEqual([46, 0, 1]);
+    expect(parseVersion('main')).toBeNull();
+    expect(parseVersion(FIXED_SHA)).toBeNull();
+    expect(compareVersions([4, 1, null], [4, 0, 9])).toBeGreaterThan(0);
+  });
+});
+
+describe('AdvisoryDatabase.affects', () => {
+  const [affected] = ADVISORY.affected;
+
+  test('matches version tags inside the range, including floating major tags that did not resolve', () => {
+    expect(AdvisoryDatabase.affects(affected, node('v45.0.0'))).toBe(true);
+    expect(AdvisoryDatabase.affects(affected, node('v46'))).toBe(true);
+    expect(AdvisoryDatabase.affects(affected, node('v46.0.1'))).toBe(false);
+    expect(AdvisoryDatabase.affects(affected, node('v47'))).toBe(false);
+  });
+
+  test('matches commit and branch refs through the version tags on their commit', () => {
+    expect(AdvisoryDatabase.affects(affected, node(VULNERABLE_SHA, { versionTags: ['v45.0.7'] }))).toBe(true);
+    expect(AdvisoryDatabase.affects(affected, node('main', { versionTags: ['v46.0.1'] }))).toBe(false);
+    expect(AdvisoryDatabase.affects(affected, node(VULNERABLE_SHA))).toBe(false);
+  });
+
+  test('matches a floating tag by the releases on the commit it resolved to', () => {
+    expect(AdvisoryDatabase.affects(affected, node('v46', { resolvedSha: FIXED_SHA, versionTags: ['v46.0.1', 'v46'] }))).toBe(false);
+    expect(AdvisoryDatabase.affects(affected, node('v45', { resolvedSha: VULNERABLE_SHA, versionTags: ['v45.0.7', 'v45'] }))).toBe(true);
+    expect(AdvisoryDatabase.affects(affected, node('v46', { resolvedSha: FIXED_SHA, versionTags: ['v46'] }))).toBe(true);
+  });
+
+  test('matches listed versions and commits named by GIT ranges', () => {
+    const listed = { versions: ['1.2.3', VULNERABLE_SHA] };
+    const git = { ranges: [{ type: 'GIT', events: [{ introduced: VULNERABLE_SHA }] }] };
+
+    expect(AdvisoryDatabase.affects(listed, node('v1.2'))).toBe(true);
+    expect(AdvisoryDatabase.affects(listed, node('v1.3'))).toBe(false);
+    expect(AdvisoryDatabase.affects(listed, node('v1', { resolvedSha: VULNERABLE_SHA.toUpperCase() }))).toBe(true);
+    expect(AdvisoryDatabase.affects(git, node(VULNERABLE_SHA))).toBe(true);
+  });
+
+  test('ends a range at last_affected', () => {
+    const range = { ranges: [{ type: 'SEMVER', events: [{ introduced: '2.0.0' }, { last_affected: '2.1.0' }] }] };
+
+    expect(AdvisoryDatabase.affects(range, node('v2.1.0'))).toBe(true);
+    expect(AdvisoryDatabase.affects(range, node('v2.1.1'))).toBe(false);
+    expect(AdvisoryDatabase.affects(range, node('v1'))).toBe(false);
+  });
+});
+
+describe('AdvisoryDatabase.evaluate', () => {
+  const database = new AdvisoryDatabase([ADVISORY, {
+    id: 'GHSA-other-ecosystem',
+    affected: [{ package: { ecosystem: 'npm', name: 'org/changed' }, versions: ['1.0.0'] }]
+  }]);
+
+  test('reports matches with severity, fixed versions, URL and path', () => {
+    const { matches, unchecked } = database.evaluate(report([node('v45')]));
+
+    expect(matches).toEqual([{
+      id: 'GHSA-test-0001',
+      aliases: ['CVE-2025-0001'],
+      summary: 'Secrets leak into logs',
+      severity: 'high',
+      url: 'https://github.com/advisories/GHSA-test-0001',
+      fullName: 'org/changed@v45',
+      fixed: ['46.0.1'],
+      path: ['org/changed@v45']
+    }]);
+    expect(unchecked).toEqual([]);
+  });
+
+  test('reports advisories it cannot compare a commit or branch against as unchecked', () => {
+    const { matches, unchecked } = database.evaluate(report([
+      node(VULNERABLE_SHA, { pinStatus: 'sha', resolvedSha: VULNERABLE_SHA }),
+      node('main', { pinStatus: 'branch', resolvedSha: FIXED_SHA })
+    ]));
+
+    expect(matches).toEqual([]);
+    expect(unchecked.map(entry => [entry.id, entry.fullName, entry.reason])).toEqual([
+      ['GHSA-test-0001', `org/changed@${VULNERABLE_SHA}`, 'SHA-pinned'],
+      ['GHSA-test-0001', 'org/changed@main', 'branch main']
+    ]);
+  });
+
+  test('does not report commits whose version tags are outside the range', () => {
+    const { matches, unchecked } = database.evaluate(report([
+      node(FIXED_SHA, { pinStatus: 'sha', resolvedSha: FIXED_SHA, versionTags: ['v46.0.1'] })
+    ]));
+
+    expect(matches).toEqual([]);
+    expect(unchecked).toEqual([]);
+  });
+});
+
+describe('AdvisoryDatabase.load', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'advisories-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('reads the GitHub Actions records below a directory and skips broken files', () => {
+    mkdirSync(join(dir, 'github-reviewed', '2025'), { recursive: true });
+    writeFileSync(join(dir, 'github-reviewed', '2025', 'GHSA-test-0001.json'), JSON.stringify(ADVISORY));
+    writeFileSync(join(dir, 'broken.json'), '{');
+
+    const database = AdvisoryDatabase.load(dir);
+
+    expect(database.has('Org', 'Changed')).toBe(true);
+    expect(database.has('org', 'other')).toBe(false);
+    expect(AdvisoryDatabase.load(undefined)).toBeNull();
+    expect(() => AdvisoryDatabase.load(join(dir, 'missing'))).toThrow('Advisory directory not found');
+  });
+});
+
+describe('advisories in a scan', () => {
+  const repositories = () => ({
+    'org/changed': {
+      tags: { 'v45.0.7': VULNERABLE_SHA, v45: VULNERABLE_SHA, 'v46.0.1': FIXED_SHA, v46: FIXED_SHA, latest: FIXED_SHA },
+      branches: { main: FIXED_SHA, 'release/v45': VULNERABLE_SHA },
+      files: { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' }
+    }
+  });
+
+  test('maps a SHA pin to its release tags and flags the vulnerable release', async () => {
+    const client = createFakeClient(repositories());
+    const scanner = new RecursiveActionScanner({ client, advisories: new AdvisoryDatabase([ADVISORY]) });
+
+    const report = await scanner.scanActionList([`org/changed@${VULNERABLE_SHA}`, `org/changed@${FIXED_SHA}`]);
+
+    expect(report.advisories.map(match => match.fullName)).toEqual([`org/changed@${VULNERABLE_SHA}`]);
+    expect(report.uncheckedAdvisories).toEqual([]);
+    expect(report.allUniqueActions.map(entry => entry.versionTags)).toEqual([['v45.0.7', 'v45'], ['v46.0.1', 'v46']]);
+    expect(report.summary).toMatchObject({ advisories: 1, uncheckedAdvisories: 0 });
+  });
+
+  test('maps branch refs to the release tags on their commit, listing the tags once', async () => {
+    const client = createFakeClient(repositories());
+    const scanner = new RecursiveActionScanner({ client, advisories: new AdvisoryDatabase([ADVISORY]) });
+
+    const report = await scanner.scanActionList(['org/changed@main', 'org/changed@release/v45']);
+
+    expect(report.advisories.map(match => match.fullName)).toEqual(['org/changed@release/v45']);
+    expect(client.calls.filter(call => call.startsWith('repos.listTags'))).toEqual(['repos.listTags org/changed']);
+  });
+
+  test('maps floating tags to the release they currently point at', async () => {
+    const client = createFakeClient(repositories());
+    const scanner = new RecursiveActionScanner({ client, advisories: new AdvisoryDatabase([ADVISORY]) });
+
+    const report = await scanner.scanActionList(['org/changed@v46', 'org/changed@v45']);
+
+    expect(report.advisories.map(match => match.fullName)).toEqual(['org/changed@v45']);
+    expect(report.allUniqueActions.map(entry => entry.versionTags)).toEqual([['v46.0.1', 'v46'], ['v45.0.7', 'v45']]);
+  });
+
+  test('reports the advisory as unchecked when no release tag is on the commit', async () => {
+    const untagged = sha('7b');
+    const client = createFakeClient(repositories());
+    const scanner = new RecursiveActionScanner({ client, advisories: new AdvisoryDatabase([ADVISORY]) });
+
+    const report = await scanner.scanActionList([`org/changed@${untagged}`]);
+
+    expect(report.advisories).toEqual([]);
+    expect(report.uncheckedAdvisories).toEqual([expect.objectContaining({
+      id: 'GHSA-test-0001',
+      fullName: `org/changed@${untagged}`,
+      reason: 'SHA-pinned'
+    })]);
+    expect(report.summary.uncheckedAdvisories).toBe(1);
+  });
+
+  test('does not list tags of repositories without advisories or of full version refs', async () => {
+    const client = createFakeClient(repositories());
+    const scanner = new RecursiveActionScanner({ client, advisories: new AdvisoryDatabase([]) });
+
+    await scanner.scanActionList(['org/changed@main']);
+    const withAdvisory = createFakeClient(repositories());
+    await new RecursiveActionScanner({ client: withAdvisory, advisories: new AdvisoryDatabase([ADVISORY]) })
+      .scanActionList(['org/changed@v45.0.7']);
+
+    expect(client.calls.filter(call => call.startsWith('repos.listTags'))).toEqual([]);
+    expect(withAdvisory.calls.filter(call => call.startsWith('repos.listTags'))).toEqual([]);
+  });
+});
@@ -0,0 +1,225 @@
+import { existsSync, mkdirSync, readdirSync, readFileSync, rmSync, statSync, writeFileSync } from 'node:fs';
+import { dirname, join, resolve, sep } from 'node:path';
+import { createHash } from 'node:crypto';
+import { logger } from './utils.mjs';
+
+const CACHE_FORMAT_VERSION = 1;
+// GitHub owner and repository names; . and .. would address the directories around them
+const NAME_RE = /^(?!\.{1,2}$)[\w.-]+$/;
+const COMMIT_SHA_RE = /^[a-fA-F0-9]{40}$/;
+
+/**
+ * Hash of a cached file, carried in exports so import can tell a damaged or edited
+ * bundle entry from the file that was fetched
+ * @param {string|null} content - File content, null for a missing file
+ * @returns {string|null}
+ */
+function hashContent(content) {
+  return content === null ? null : `sha256:${createHash('sha256').update(content).digest('hex')}`;
+}
+
+/**
+ * On-disk cache of fetched repository files and ref resolutions.
+ *
+ * File contents are content-addressed by the commit SHA they were fetched at, so
+ * they never go stale:  objects/<owner>/<repo>/<sha>/<path>.json
+ * Mutable refs (tags, branches) store the commit they resolved to together with the
+ * ETag of the git refs response, so they can be revalidated with a conditional
+ * request:  refs/<owner>/<repo>/<ref>.json
+ */
+class ContentCache {
+  constructor(dir) {
+    this.dir = resolve(dir);
+    this.stats = { hits: 0, misses: 0, revalidated: 0 };
+  }
+
+  /**
+   * File of a cache entry. Keys also come from imported bundles, so anything that is
+   * not a plain owner, repo and commit SHA, or that would land outside the cache
+   * directory, has no entry.
+   * @returns {string|null} - Absolute path, or null for an invalid key
+   */
+  entryPath(section, owner, repo, ...rest) {
+    if (!NAME_RE.test(String(owner)) || !NAME_RE.test(String(repo))) return null;
+    const file = resolve(this.dir, section, owner, repo, ...rest);
+    return file.startsWith(this.dir + sep) ? file : null;
+  }
+
+  objectPath(owner, repo, sha, path) {
+    if (!COMMIT_SHA_RE.test(String(sha))) return null;
+    return this.entryPath('objects', owner, repo, sha, `${encodeURIComponent(path)}.json`);
+  }
+
+  refPath(owner, repo, ref) {
+    return this.entryPath('refs', owner, repo, `${encodeURIComponent(ref)}.json`);
+  }
+
+  readEntry(file) {
+    if (!file || !existsSync(file)) return undefined;
+    try {
+      return JSON.parse(readFileSync(file, 'utf8'));
+    } catch (e) {
+      logger.warn(`Ignoring corrupt cache entry ${file}: ${e.message}`);
+      return undefined;
+    }
+  }
+
+  writeEntry(file, entry) {
+    if (!file) {
+      logger.warn(`Not caching ${entry.owner}/${entry.repo}: invalid cache key`);
+      return false;
+    }
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(entry));
+    return true;
+  }
+
+  /**
+   * Look up a file fetched at a commit
+   * @returns {Object|undefined} - {content} (null content means the file does not exist), or undefined on a miss
+   */
+  getObject(owner, repo, sha, path) {
+    const entry = this.readEntry(this.objectPath(owner, repo, sha, path));
+    if (entry === undefined) {
+      this.stats.misses++;
+      return undefined;
+    }
+    this.stats.hits++;
+    logger.debug(`ContentCache HIT ${owner}/${repo}@${sha}/${path}`);
+    return entry;
+  }
+
+  putObject(owner, repo, sha, path, content) {
+    this.writeEntry(this.objectPath(owner, repo, sha, path), {
+      owner, repo, sha, path, content, fetchedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Look up a previous resolution of a tag or branch
+   * @returns {Object|undefined} - {status, sha, gitRef, etag}
+   */
+  getRef(owner, repo, ref) {
+    return this.readEntry(this.refPath(owner, repo, ref));
+  }
+
+  putRef(owner, repo, ref, resolution) {
+    this.writeEntry(this.refPath(owner, repo, ref), {
+      owner, repo, ref, ...resolution, checkedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * List every entry file below a cache section
+   * @param {string} section - 'objects' or 'refs'
+   * @returns {Array} - Absolute file paths
+   */
+  listFiles(section) {
+    const files = [];
+    const walk = (dir) => {
+      if (!existsSync(dir)) return;
+      for (const entry of readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(fullPath);
+        } else if (entry.name.endsWith('.json')) {
+          files.push(fullPath);
+        }
+      }
+    };
+    walk(join(this.dir, section));
+    return files;
+  }
+
+  /**
+   * Summarise the cache contents
+   * @returns {Object} - Entry counts, size on disk and per-repository object counts
+   */
+  info() {
+    const objects = this.listFiles('objects');
+    const refs = this.listFiles('refs');
+    const repositories = {};
+    for (const file of objects) {
+      const entry = this.readEntry(file);
+      if (!entry) continue;
+      const name = `${entry.owner}/${entry.repo}`;
+      repositories[name] = (repositories[name] || 0) + 1;
+    }
+
+    return {
+      dir: this.dir,
+      objects: objects.length,
+      refs: refs.length,
+      bytes: [...objects, ...refs].reduce((total, file) => total + statSync(file).size, 0),
+      repositories
+    };
+  }
+
+  /**
+   * Delete entries last written more than the given number of days ago
+   * @param {number} olderThanDays - Age threshold; 0 removes everything
+   * @returns {number} - Number of entries removed
+   */
+  prune(olderThanDays) {
+    const cutoff = Date.now() - olderThanDays * 24 * 60 * 60 * 1000;
+    let removed = 0;
+    for (const file of [...this.listFiles('objects'), ...this.listFiles('refs')]) {
+      if (statSync(file).mtimeMs <= cutoff) {
+        rmSync(file);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  /**
+   * Bundle every entry into a single JSON document
+   * @returns {Object} - {version, objects, refs}
+   */
+  export() {
+    return {
+      version: CACHE_FORMAT_VERSION,
+      objects: this.listFiles('objects')
+        .map(file => this.readEntry(file))
+        .filter(entry => entry)
+        .map(entry => ({ ...entry, contentHash: hashContent(entry.content) })),
+      refs: this.listFiles('refs').map(file => this.readEntry(file)).filter(entry => entry)
+    };
+  }
+
+  /**
+   * Restore entries from a document produced by export(). Objects whose content does
+   * not match their contentHash, and refs that don't name a commit, are skipped.
+   * @param {Object} bundle - {version, objects, refs}
+   * @returns {number} - Number of entries written; entries with invalid keys are skipped
+   */
+  import(bundle) {
+    if (bundle?.version !== CACHE_FORMAT_VERSION) {
+      throw new Error(`Unsupported cache export version: ${bundle?.version}`);
+    }
+    if (!Array.isArray(bundle.objects) || !Array.isArray(bundle.refs)) {
+      throw new Error('Invalid cache export: objects and refs must be arrays');
+    }
+    let written = 0;
+    for (const entry of bundle.objects) {
+      const valid = (typeof entry?.content === 'string' || entry?.content === null) &&
+        typeof entry.path === 'string' && entry.contentHash === hashContent(entry.content);
+      if (!valid) {
+        logger.warn(`Skipping cache export object ${entry?.owner}/${entry?.repo}@${entry?.sha}/${entry?.path}: content does not match its hash`);
+        continue;
+      }
+      const { contentHash, ...object } = entry;
+      if (this.writeEntry(this.objectPath(entry.owner, entry.repo, entry.sha, entry.path), object)) written++;
+    }
+    for (const entry of bundle.refs) {
+      if (typeof entry?.ref !== 'string' || !COMMIT_SHA_RE.test(String(entry.sha))) {
+        logger.warn(`Skipping cache export ref ${entry?.owner}/${entry?.repo}@${entry?.ref}: no commit SHA`);
+        continue;
+      }
+      if (this.writeEntry(this.refPath(entry.owner, entry.repo, entry.ref), entry)) written++;
+    }
+    return written;
+  }
+}
+
+export { ContentCache };
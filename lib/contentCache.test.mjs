@@ -0,0 +1,110 @@
+import { mkdtempSync, rmSync, existsSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { ContentCache } from './contentCache.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const object = (fields) => ({ ...fields, contentHash: `sha256:${createHash('sha256').update(fields.content).digest('hex')}` });
+
+describe('ContentCache', () => {
+  let parent;
+  let dir;
+
+  beforeEach(() => {
+    parent = mkdtempSync(join(tmpdir(), 'content-cache-'));
+    dir = join(parent, 'cache');
+  });
+
+  afterEach(() => {
+    rmSync(parent, { recursive: true, force: true });
+  });
+
+  test('stores files by commit, including files known to be missing', () => {
+    const cache = new ContentCache(dir);
+
+    expect(cache.getObject('org', 'action', sha('1'), 'action.yml')).toBeUndefined();
+    cache.putObject('org', 'action', sha('1'), 'action.yml', 'runs: {}');
+    cache.putObject('org', 'action', sha('1'), 'action.yaml', null);
+
+    expect(cache.getObject('org', 'action', sha('1'), 'action.yml').content).toBe('runs: {}');
+    expect(cache.getObject('org', 'action', sha('1'), 'action.yaml').content).toBeNull();
+    expect(cache.stats).toEqual({ hits: 2, misses: 1, revalidated: 0 });
+    expect(cache.getRef('org', 'action', 'v1')).toBeUndefined();
+    cache.putRef('org', 'action', 'release/v1', { status: 'branch', sha: sha('2'), gitRef: 'heads/release/v1', etag: '"e"' });
+    expect(cache.getRef('org', 'action', 'release/v1')).toMatchObject({ status: 'branch', sha: sha('2'), etag: '"e"' });
+    expect(cache.info()).toMatchObject({ objects: 2, refs: 1, repositories: { 'org/action': 2 } });
+  });
+
+  test('export and import round-trip every entry', () => {
+    const source = new ContentCache(join(parent, 'source'));
+    source.putObject('org', 'action', sha('1'), 'sub/action.yml', 'runs: {}');
+    source.putRef('org', 'action', 'v1', { status: 'tag', sha: sha('1') });
+
+    const target = new ContentCache(dir);
+    expect(target.import(source.export())).toBe(2);
+    expect(target.getObject('org', 'action', sha('1'), 'sub/action.yml').content).toBe('runs: {}');
+    expect(target.prune(0)).toBe(2);
+    expect(target.info()).toMatchObject({ objects: 0, refs: 0 });
+  });
+
+  test('import skips entries whose keys would write outside the cache directory', () => {
+    const cache = new ContentCache(dir);
+    const bundle = {
+      version: 1,
+      objects: [
+        object({ owner: '../..', repo: 'x', sha: sha('1'), path: 'action.yml', content: 'pwned' }),
+        object({ owner: 'org', repo: '..', sha: sha('1'), path: 'action.yml', content: 'pwned' }),
+        object({ owner: 'org', repo: 'action', sha: '../../../escape', path: 'action.yml', content: 'pwned' }),
+        object({ owner: 'org', repo: 'action', sha: sha('1'), path: '../../../../escape', content: 'kept' })
+      ],
+      refs: [
+        { owner: '/tmp', repo: 'x', ref: 'v1', status: 'tag', sha: sha('1') },
+        { owner: 'org', repo: 'action', ref: '../../../escape', status: 'tag', sha: sha('1') }
+      ]
+    };
+
+    expect(cache.import(bundle)).toBe(2);
+    expect(readdirSync(parent)).toEqual(['cache']);
+    expect(existsSync(join(dir, 'objects', 'org', 'action', sha('1'), `${encodeURIComponent('../../../../escape')}.json`))).toBe(true);
+    expect(cache.getObject('../..', 'x', sha('1'), 'action.yml')).toBeUndefined();
+    expect(cache.getRef('org', 'action', '../../../escape').sha).toBe(sha('1'));
+  });
+
+  test('import rejects a malformed bundle and skips objects whose content does not match their hash', () => {
+    const cache = new ContentCache(dir);
+    const kept = object({ owner: 'org', repo: 'action', sha: sha('1'), path: 'action.yml', content: 'runs: {}' });
+
+    expect(() => cache.import({ version: 1, objects: {}, refs: [] })).toThrow('Invalid cache export');
+    expect(() => cache.import({ version: 1, objects: [] })).toThrow('Invalid cache export');
+    expect(cache.import({
+      version: 1,
+      objects: [
+        kept,
+        { ...kept, path: 'edited.yml', content: 'runs: { using: node20, main: evil.js }' },
+        { owner: 'org', repo: 'action', sha: sha('1'), path: 'unhashed.yml', content: 'runs: {}' },
+        null
+      ],
+      refs: [{ owner: 'org', repo: 'action', ref: 'v1', status: 'tag', sha: null }, 'v1']
+    })).toBe(1);
+    expect(cache.getObject('org', 'action', sha('1'), 'action.yml')).not.toHaveProperty('contentHash');
+    expect(cache.getObject('org', 'action', sha('1'), 'edited.yml')).toBeUndefined();
+    expect(cache.getRef('org', 'action', 'v1')).toBeUndefined();
+  });
+
+  test('a second scan reads action files from the cache instead of the API', async () => {
+    const client = createFakeClient({
+      'org/action': { tags: { v1: sha('1') }, files: { 'action.yml': 'runs:\n  using: composite\n  steps: []\n' } }
+    });
+    const contentCache = new ContentCache(dir);
+
+    await new RecursiveActionScanner({ client, contentCache }).scanActionList(['org/action@v1']);
+    const fetches = client.calls.filter(call => call.startsWith('repos.getContent')).length;
+    await new RecursiveActionScanner({ client, contentCache }).scanActionList(['org/action@v1']);
+
+    expect(fetches).toBe(1);
+    expect(client.calls.filter(call => call.startsWith('repos.getContent'))).toHaveLength(1);
+    expect(contentCache.stats.hits).toBeGreaterThan(0);
+  });
+});
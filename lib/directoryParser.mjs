@@ -0,0 +1,134 @@
+import { readdirSync, readFileSync, existsSync, realpathSync, statSync } from 'node:fs';
+import { isAbsolute, join, relative, resolve, sep } from 'node:path';
+import { logger, REUSABLE_WORKFLOW_PATH_RE } from './utils.mjs';
+import { WorkflowParser } from './workflowParser.mjs';
+import { PRParser } from './prParser.mjs';
+
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules']);
+
+/**
+ * Reads workflows, local composite actions, markdown and terraform files from a
+ * local checkout instead of the GitHub API. The repository "URL" passed to the
+ * inherited WorkflowParser methods is the checkout directory.
+ */
+export class DirectoryParser extends WorkflowParser {
+  constructor(rootDir) {
+    super(undefined);
+    this.rootDir = resolve(rootDir);
+    this.prParser = new PRParser();
+  }
+
+  /**
+   * Read a file below the checkout root
+   * @param {string} path - Path relative to the checkout root
+   * @returns {string|null} - File content, or null if it does not exist or lies
+   *                          outside the checkout
+   */
+  readFile(path) {
+    const fullPath = resolve(this.rootDir, path);
+    if (!existsSync(fullPath) || !statSync(fullPath).isFile()) {
+      return null;
+    }
+    // Workflows choose their local paths and checkouts may contain symlinks; neither
+    // ./../x nor a link to a file elsewhere may read beyond the checkout
+    const inside = relative(realpathSync(this.rootDir), realpathSync(fullPath));
+    if (inside === '..' || inside.startsWith(`..${sep}`) || isAbsolute(inside)) {
+      logger.warn(`Ignoring ${path}: it is outside ${this.rootDir}`);
+      return null;
+    }
+    return readFileSync(fullPath, 'utf8');
+  }
+
+  /**
+   * Read all workflow files from the checkout's .github/workflows directory
+   * @returns {Promise<Array>} - Array of workflow file contents
+   */
+  async fetchWorkflowFiles() {
+    const workflowDir = join(this.rootDir, '.github', 'workflows');
+    if (!existsSync(workflowDir)) {
+      logger.warn(`${workflowDir} does not exist`);
+      return [];
+    }
+
+    const workflows = readdirSync(workflowDir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && (entry.name.endsWith('.yml') || entry.name.endsWith('.yaml')))
+      .map(entry => {
+        const path = `.github/workflows/${entry.name}`;
+        return { name: entry.name, path, content: this.readFile(path) };
+      });
+
+    logger.info(`Found ${workflows.length} workflow files in ${this.rootDir}`);
+    return workflows;
+  }
+
+  /**
+   * Read local composite actions (and local reusable workflows) from the checkout
+   * @param {string} _rootDir - Unused, the checkout root is fixed by the constructor
+   * @param {Array} localActionPaths - Array of local action paths (e.g., ["./.github/actions/yarn-install"])
+   * @returns {Promise<Array>} - Array of local action file contents
+   */
+  async fetchLocalActions(_rootDir, localActionPaths) {
+    const localActions = [];
+
+    for (const actionPath of localActionPaths) {
+      const cleanPath = actionPath.replace(/^\.\//, '');
+      const possiblePaths = REUSABLE_WORKFLOW_PATH_RE.test(cleanPath) ? [cleanPath] : [
+        `${cleanPath}/action.yml`,
+        `${cleanPath}/action.yaml`
+      ];
+
+      const path = possiblePaths.find(candidate => this.readFile(candidate) !== null);
+      if (path) {
+        localActions.push({ name: actionPath, path, content: this.readFile(path) });
+      } else {
+        logger.warn(`Local action ${actionPath} not found in ${this.rootDir}`);
+      }
+    }
+
+    return localActions;
+  }
+
+  /**
+   * Recursively list markdown and terraform files in the checkout
+   * @param {string} dir - Directory to list
+   * @returns {Array} - Paths relative to the checkout root, with forward slashes
+   */
+  listReferenceFiles(dir = this.rootDir) {
+    const files = [];
+
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.has(entry.name)) {
+          files.push(...this.listReferenceFiles(fullPath));
+        }
+      } else if (entry.isFile() && /\.(md|tf|hcl)$/.test(entry.name)) {
+        files.push(relative(this.rootDir, fullPath).split(sep).join('/'));
+      }
+    }
+
+    return files;
+  }
+
+  /**
+   * Collect every first-level action reference in the checkout: workflows, local
+   * composite actions (recursively), markdown and terraform files
+   * @returns {Promise<Array>} - Array of unique external action references
+   */
+  async scanDirectory() {
+    const actionReferences = new Set(await this.scanRepositoryWorkflows(this.rootDir));
+
+    for (const path of this.listReferenceFiles()) {
+      const content = this.readFile(path);
+      const references = this.prParser.extractReferencesForFileType(path, content);
+      if (references.length > 0) {
+        logger.info(`Found ${references.length} action references in ${path}: ${references.join(', ')}`);
+        references.forEach(reference => actionReferences.add(reference));
+        this.recordLocations(path, this.prParser.locateReferences(path, content, references));
+      }
+    }
+
+    logger.info(`Found ${actionReferences.size} unique action references in ${this.rootDir}`);
+    return Array.from(actionReferences);
+  }
+}
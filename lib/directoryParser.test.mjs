@@ -0,0 +1,82 @@
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync, symlinkSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, dirname } from 'node:path';
+import { DirectoryParser } from './directoryParser.mjs';
+
+function writeTree(root, files) {
+  for (const [path, content] of Object.entries(files)) {
+    mkdirSync(dirname(join(root, path)), { recursive: true });
+    writeFileSync(join(root, path), content);
+  }
+}
+
+describe('DirectoryParser', () => {
+  let parent;
+  let root;
+
+  beforeEach(() => {
+    parent = mkdtempSync(join(tmpdir(), 'directory-parser-'));
+    root = join(parent, 'checkout');
+    writeTree(parent, {
+      // Next to the checkout, not in it
+      'outside/action.yml': 'runs:\n  using: composite\n  steps:\n    - uses: evil/exfiltrate@v1\n'
+    });
+    writeTree(root, {
+      '.github/workflows/ci.yml': [
+        'on: push',
+        'jobs:',
+        '  build:',
+        '    runs-on: ubuntu-latest',
+        '    steps:',
+        '      - uses: actions/checkout@v4',
+        '      - uses: ./.github/actions/setup',
+        '      - uses: ./../outside'
+      ].join('\n'),
+      '.github/workflows/notes.txt': 'uses: ignored/not-yaml@v1',
+      '.github/actions/setup/action.yml': 'runs:\n  using: composite\n  steps:\n    - uses: actions/setup-node@v4\n',
+      'docs/README.md': 'Add `uses: org/documented-action@v2` to your workflow.\n',
+      'node_modules/pkg/README.md': 'uses: skipped/dependency@v1\n'
+    });
+  });
+
+  afterEach(() => {
+    rmSync(parent, { recursive: true, force: true });
+  });
+
+  test('collects references from workflows, local composite actions and markdown files', async () => {
+    const parser = new DirectoryParser(root);
+
+    const references = await parser.scanDirectory();
+
+    expect(references.sort()).toEqual(['actions/checkout@v4', 'actions/setup-node@v4', 'org/documented-action@v2']);
+    expect(parser.locations.get('actions/setup-node@v4')).toEqual([
+      expect.objectContaining({ file: '.github/actions/setup/action.yml', line: 4 })
+    ]);
+    expect(parser.locations.get('org/documented-action@v2')).toEqual([expect.objectContaining({ file: 'docs/README.md', line: 1 })]);
+  });
+
+  test('does not read local actions outside the checkout', async () => {
+    const parser = new DirectoryParser(root);
+
+    const references = await parser.scanDirectory();
+
+    expect(references).not.toContain('evil/exfiltrate@v1');
+    expect(parser.readFile('../outside/action.yml')).toBeNull();
+    expect(parser.readFile(join(parent, 'outside/action.yml'))).toBeNull();
+    expect(parser.readFile('.github/../.github/actions/setup/action.yml')).toContain('actions/setup-node@v4');
+  });
+
+  test('does not follow symlinks out of the checkout, and reads below a root of /', () => {
+    symlinkSync(join(parent, 'outside'), join(root, '.github', 'actions', 'linked'));
+    const parser = new DirectoryParser(root);
+
+    expect(parser.readFile('.github/actions/linked/action.yml')).toBeNull();
+    expect(new DirectoryParser('/').readFile(join(root, '.github/actions/setup/action.yml').slice(1))).toContain('actions/setup-node@v4');
+  });
+
+  test('returns no workflows for a checkout without .github/workflows', async () => {
+    const parser = new DirectoryParser(join(root, 'docs'));
+
+    expect(await parser.scanRepositoryWorkflows(parser.rootDir)).toEqual([]);
+  });
+});
@@ -0,0 +1,135 @@
+const DOCKER_USES_PREFIX = 'docker://';
+const IMAGE_DIGEST_RE = /@sha256:[a-fA-F0-9]{64}$/;
+const DOCKERFILE_FROM_RE = /^FROM\s+(?:--\S+\s+)*(?<image>\S+)(?:\s+AS\s+(?<stage>\S+))?/i;
+
+/**
+ * Split an image reference into registry, repository, tag and digest
+ * @param {string} image - Image reference (e.g. "ghcr.io/org/tool:1.2@sha256:...")
+ * @returns {Object} - {registry, repository, tag, digest}
+ */
+function parseImageReference(image) {
+  let rest = image;
+  let digest = null;
+  const digestIdx = rest.indexOf('@');
+  if (digestIdx !== -1) {
+    digest = rest.substring(digestIdx + 1);
+    rest = rest.substring(0, digestIdx);
+  }
+
+  let tag = null;
+  const tagIdx = rest.lastIndexOf(':');
+  if (tagIdx > rest.lastIndexOf('/')) {
+    tag = rest.substring(tagIdx + 1);
+    rest = rest.substring(0, tagIdx);
+  }
+
+  // The first component is a registry host only if it looks like one (docker.io rules)
+  let registry = 'docker.io';
+  const parts = rest.split('/');
+  if (parts.length > 1 && (parts[0].includes('.') || parts[0].includes(':') || parts[0] === 'localhost')) {
+    registry = parts.shift();
+  }
+  if (registry === 'docker.io' && parts.length === 1) {
+    parts.unshift('library');
+  }
+
+  return {
+    registry,
+    repository: parts.join('/'),
+    tag: tag || (digest ? null : 'latest'),
+    digest
+  };
+}
+
+/**
+ * Extract the base images from the FROM lines of a Dockerfile
+ * @param {string} content - Dockerfile content
+ * @returns {Array} - Array of image references (build stages and scratch excluded)
+ */
+function extractBaseImages(content) {
+  const stages = new Set();
+  const images = [];
+
+  const lines = content.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+  for (const line of lines) {
+    const match = line.trim().match(DOCKERFILE_FROM_RE);
+    if (!match) continue;
+
+    const { image, stage } = match.groups;
+    if (image.toLowerCase() !== 'scratch' && !stages.has(image)) {
+      images.push(image);
+    }
+    if (stage) {
+      stages.add(stage);
+    }
+  }
+
+  return [...new Set(images)];
+}
+
+class DockerImage {
+  constructor(image, source = 'uses') {
+    this.image = image;
+    this.source = source;
+    this.type = 'docker-image';
+    this.dependencies = new Set();
+    this.edges = [];
+  }
+
+  static fromUsesString(usesString) {
+    return new DockerImage(usesString.substring(DOCKER_USES_PREFIX.length), 'uses');
+  }
+
+  static isDockerUses(usesString) {
+    return usesString.startsWith(DOCKER_USES_PREFIX);
+  }
+
+  get fullName() {
+    return `${DOCKER_USES_PREFIX}${this.image}`;
+  }
+
+  get reference() {
+    return parseImageReference(this.image);
+  }
+
+  get pinned() {
+    return IMAGE_DIGEST_RE.test(this.image);
+  }
+
+  get url() {
+    const { registry, repository } = this.reference;
+    if (registry === 'docker.io') {
+      return repository.startsWith('library/')
+        ? `https://hub.docker.com/_/${repository.substring('library/'.length)}`
+        : `https://hub.docker.com/r/${repository}`;
+    }
+    return `https://${registry}/${repository}`;
+  }
+
+  async scanDependencies() {
+    // Images are leaves of the action graph
+    return [];
+  }
+
+  toSummary() {
+    const { registry, repository, tag, digest } = this.reference;
+    return {
+      fullName: this.fullName,
+      url: this.url,
+      type: this.type,
+      image: this.image,
+      registry,
+      repository,
+      tag,
+      digest,
+      pinned: this.pinned,
+      source: this.source
+    };
+  }
+
+  toJSON() {
+    return this.toSummary();
+  }
+}
+
+export { DockerImage, parseImageReference, extractBaseImages };
@@ -0,0 +1,78 @@
+import { DockerImage, parseImageReference, extractBaseImages } from './docker.mjs';
+import { Action, ActionCache } from './actions.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const DIGEST = `sha256:${'ab'.repeat(32)}`;
+
+describe('parseImageReference', () => {
+  test.each([
+    ['alpine', { registry: 'docker.io', repository: 'library/alpine', tag: 'latest', digest: null }],
+    ['node:20-slim', { registry: 'docker.io', repository: 'library/node', tag: '20-slim', digest: null }],
+    ['ghcr.io/org/tool:1.2', { registry: 'ghcr.io', repository: 'org/tool', tag: '1.2', digest: null }],
+    [`org/tool@${DIGEST}`, { registry: 'docker.io', repository: 'org/tool', tag: null, digest: DIGEST }],
+    [`localhost:5000/tool:dev@${DIGEST}`, { registry: 'localhost:5000', repository: 'tool', tag: 'dev', digest: DIGEST }]
+  ])('%s', (image, expected) => {
+    expect(parseImageReference(image)).toEqual(expected);
+  });
+});
+
+describe('extractBaseImages', () => {
+  test('lists external FROM images once, skipping scratch and earlier build stages', () => {
+    const dockerfile = [
+      'FROM --platform=linux/amd64 golang:1.22 AS build',
+      'RUN go build ./...',
+      'FROM build AS test',
+      'from \\',
+      '  alpine:3.19',
+      'FROM scratch',
+      'FROM golang:1.22'
+    ].join('\n');
+
+    expect(extractBaseImages(dockerfile)).toEqual(['golang:1.22', 'alpine:3.19']);
+  });
+});
+
+describe('DockerImage', () => {
+  test('docker:// references are image nodes that are pinned only by digest', () => {
+    const tagged = DockerImage.fromUsesString('docker://alpine:3.19');
+    const pinned = DockerImage.fromUsesString(`docker://ghcr.io/org/tool@${DIGEST}`);
+
+    expect(DockerImage.isDockerUses('docker://alpine')).toBe(true);
+    expect(tagged.fullName).toBe('docker://alpine:3.19');
+    expect(tagged.pinned).toBe(false);
+    expect(tagged.url).toBe('https://hub.docker.com/_/alpine');
+    expect(pinned.pinned).toBe(true);
+    expect(pinned.url).toBe('https://ghcr.io/org/tool');
+  });
+
+  test('a Docker container action gets the base images of its Dockerfile as children', async () => {
+    const client = createFakeClient({
+      'org/container': {
+        tags: { v1: sha('1') },
+        files: {
+          'lint/action.yml': 'runs:\n  using: docker\n  image: Dockerfile\n',
+          'lint/Dockerfile': 'FROM python:3.12-slim\n'
+        }
+      }
+    });
+    const action = Action.fromUsesString('org/container/lint@v1', new ActionCache({ client }));
+
+    await action.scanDependencies(5);
+
+    expect(action.type).toBe('docker');
+    expect(action.edges.map(edge => [edge.node.fullName, edge.node.source])).toEqual([['docker://python:3.12-slim', 'dockerfile']]);
+    expect(action.toSummary().docker).toEqual({ image: 'Dockerfile', dockerfile: 'lint/Dockerfile', baseImages: ['python:3.12-slim'] });
+  });
+
+  test('a Docker container action that runs a registry image gets that image as its child', async () => {
+    const client = createFakeClient({
+      'org/container': { tags: { v1: sha('1') }, files: { 'action.yml': `runs:\n  using: docker\n  image: docker://ghcr.io/org/tool@${DIGEST}\n` } }
+    });
+    const action = Action.fromUsesString('org/container@v1', new ActionCache({ client }));
+
+    await action.scanDependencies(5);
+
+    expect(action.edges.map(edge => [edge.node.fullName, edge.node.source, edge.node.pinned]))
+      .toEqual([[`docker://ghcr.io/org/tool@${DIGEST}`, 'runs.image', true]]);
+  });
+});
@@ -0,0 +1,166 @@
+import YAML, { LineCounter } from 'yaml';
+import { actionSteps } from './utils.mjs';
+
+const EXPRESSION_RE = /\$\{\{([\s\S]*?)\}\}/g;
+const SECRET_RE = /\bsecrets\s*(?:\.\s*([\w-]+)|\[\s*['"]([^'"]+)['"]\s*\])/g;
+const TOKEN_RE = /\bgithub\s*\.\s*token\b/;
+const INPUT_RE = /\binputs\s*(?:\.\s*([\w-]+)|\[\s*['"]([^'"]+)['"]\s*\])/g;
+
+/**
+ * Secrets referenced by the ${{ }} expressions in a value; github.token is reported
+ * as GITHUB_TOKEN
+ * @param {*} value - with:, env: or secrets: value
+ * @returns {Array} - Secret names
+ */
+function findSecrets(value) {
+  const secrets = new Set();
+  for (const [, expression] of String(value ?? '').matchAll(EXPRESSION_RE)) {
+    for (const match of expression.matchAll(SECRET_RE)) {
+      secrets.add(match[1] || match[2]);
+    }
+    if (TOKEN_RE.test(expression)) {
+      secrets.add('GITHUB_TOKEN');
+    }
+  }
+  return Array.from(secrets);
+}
+
+/**
+ * Names of the composite action inputs referenced by the ${{ }} expressions in a value
+ * @param {*} value - with: or env: value
+ * @returns {Array} - Input names
+ */
+function findInputs(value) {
+  const inputs = new Set();
+  for (const [, expression] of String(value ?? '').matchAll(EXPRESSION_RE)) {
+    for (const match of expression.matchAll(INPUT_RE)) {
+      inputs.add(match[1] || match[2]);
+    }
+  }
+  return Array.from(inputs);
+}
+
+/**
+ * Scopes a permissions: block grants write access to
+ * @param {string|Object|null} permissions - permissions: value, null if not set
+ * @returns {Array|null} - Scopes with write access ('*' for write-all), null when the
+ *                         repository default applies
+ */
+function writeScopes(permissions) {
+  if (permissions === null || permissions === undefined) return null;
+  if (permissions === 'write-all') return ['*'];
+  if (typeof permissions !== 'object') return [];
+  return Object.entries(permissions)
+    .filter(([, access]) => access === 'write')
+    .map(([scope]) => scope);
+}
+
+const union = (...lists) => Array.from(new Set(lists.flat())).sort();
+
+/**
+ * Which secrets and tokens each `uses:` step or reusable workflow call in a workflow
+ * receives, through with:, env: (step, job and workflow level) or secrets:, together
+ * with the effective permissions of its job
+ * @param {string} content - YAML content of a workflow or action file
+ * @returns {Array} - Array of {reference, job, step, line, column, inputs, env, secrets,
+ *                    permissions, writeScopes}; inputs maps each input to its secrets
+ */
+function extractStepExposures(content) {
+  const lineCounter = new LineCounter();
+  const document = YAML.parseDocument(content, { lineCounter });
+  if (document.errors.length > 0) {
+    return [];
+  }
+  const workflow = document.toJS();
+  if (!workflow || typeof workflow !== 'object') {
+    return [];
+  }
+
+  const envSecrets = (env) => env && typeof env === 'object' ? Object.values(env).flatMap(findSecrets) : [];
+  const exposures = [];
+
+  for (const [jobKey, job, step, stepIdx] of actionSteps(workflow)) {
+    if (typeof step?.uses !== 'string') continue;
+
+    const inputs = {};
+    for (const [input, value] of Object.entries(step.with && typeof step.with === 'object' ? step.with : {})) {
+      const secrets = findSecrets(value);
+      if (secrets.length > 0) inputs[input] = secrets;
+    }
+    // Reusable workflow calls pass secrets explicitly or inherit all of them
+    if (stepIdx === null && step.secrets === 'inherit') {
+      inputs.secrets = ['*'];
+    } else if (stepIdx === null && step.secrets && typeof step.secrets === 'object') {
+      for (const [name, value] of Object.entries(step.secrets)) {
+        const secrets = findSecrets(value);
+        if (secrets.length > 0) inputs[`secrets.${name}`] = secrets;
+      }
+    }
+
+    const isWorkflowJob = jobKey !== 'composite' || workflow.jobs?.composite === job;
+    const env = union(
+      stepIdx === null ? [] : envSecrets(step.env),
+      isWorkflowJob ? envSecrets(job?.env) : [],
+      isWorkflowJob ? envSecrets(workflow.env) : []
+    );
+    const permissions = isWorkflowJob ? (job?.permissions ?? workflow.permissions ?? null) : null;
+
+    const path = stepIdx === null ? ['jobs', jobKey, 'uses']
+      : isWorkflowJob ? ['jobs', jobKey, 'steps', stepIdx, 'uses'] : ['runs', 'steps', stepIdx, 'uses'];
+    const node = document.getIn(path, true);
+    const position = node?.range ? lineCounter.linePos(node.range[0]) : {};
+
+    exposures.push({
+      reference: step.uses.trim(),
+      job: jobKey,
+      step: stepIdx,
+      line: position.line,
+      column: position.col,
+      inputs,
+      env,
+      secrets: union(Object.values(inputs).flat(), env),
+      permissions,
+      writeScopes: writeScopes(permissions)
+    });
+  }
+
+  return exposures;
+}
+
+/**
+ * Follow secrets handed to a composite action through its inputs and environment to
+ * the `uses:` steps inside it
+ * @param {Object} actionYaml - Parsed action.yml of the composite action
+ * @param {Object} received - {inputs, env}: input name → secrets, and secrets in the
+ *                            environment the action runs in
+ * @returns {Array} - Array of {reference, step, inputs, env, secrets} for each step that
+ *                    receives at least one secret
+ */
+function traceCompositeSecrets(actionYaml, received) {
+  const exposures = [];
+
+  for (const [jobKey, , step, stepIdx] of actionSteps(actionYaml || {})) {
+    if (jobKey !== 'composite' || typeof step?.uses !== 'string') continue;
+
+    // Only secrets that reached the composite action can be passed on; composite actions
+    // have no secrets context, so ${{ secrets.* }} in action.yml reads nothing
+    const forwarded = (value) => union(findInputs(value).flatMap(input => received.inputs[input] || []));
+    const inputs = {};
+    for (const [input, value] of Object.entries(step.with && typeof step.with === 'object' ? step.with : {})) {
+      const secrets = forwarded(value);
+      if (secrets.length > 0) inputs[input] = secrets;
+    }
+    const stepEnv = step.env && typeof step.env === 'object' ? Object.values(step.env).flatMap(forwarded) : [];
+    // The composite action's own environment is inherited by every step
+    const env = union(received.env, stepEnv);
+    const secrets = union(Object.values(inputs).flat(), env);
+
+    if (secrets.length > 0) {
+      exposures.push({ reference: step.uses.trim(), step: stepIdx, inputs, env, secrets });
+    }
+  }
+
+  return exposures;
+}
+
+export { extractStepExposures, traceCompositeSecrets, findSecrets, writeScopes };
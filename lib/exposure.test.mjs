@@ -0,0 +1,179 @@
+import { extractStepExposures, traceCompositeSecrets, findSecrets, writeScopes } from './exposure.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+describe('findSecrets', () => {
+  test('finds secrets in dot and index notation and reports github.token as GITHUB_TOKEN', () => {
+    expect(findSecrets("${{ secrets.NPM_TOKEN }} ${{ secrets['DEPLOY-KEY'] }} ${{ github.token }}"))
+      .toEqual(['NPM_TOKEN', 'DEPLOY-KEY', 'GITHUB_TOKEN']);
+    expect(findSecrets('secrets.NPM_TOKEN outside an expression')).toEqual([]);
+    expect(findSecrets(undefined)).toEqual([]);
+  });
+});
+
+describe('writeScopes', () => {
+  test('lists the scopes with write access', () => {
+    expect(writeScopes(null)).toBeNull();
+    expect(writeScopes('write-all')).toEqual(['*']);
+    expect(writeScopes('read-all')).toEqual([]);
+    expect(writeScopes({ contents: 'write', issues: 'read', packages: 'write' })).toEqual(['contents', 'packages']);
+  });
+});
+
+describe('extractStepExposures', () => {
+  test('collects the secrets of with:, step, job and workflow env: and the job permissions', () => {
+    const exposures = extractStepExposures(`on: push
+env:
+  GLOBAL: \${{ secrets.GLOBAL }}
+permissions: read-all
+jobs:
+  release:
+    permissions:
+      contents: write
+    env:
+      JOB: \${{ secrets.JOB }}
+    steps:
+      - run: echo \${{ secrets.IGNORED }}
+      - uses: org/publish@v1
+        with:
+          token: \${{ github.token }}
+          name: plain
+        env:
+          STEP: \${{ secrets.STEP }}
+  call:
+    uses: org/ci/.github/workflows/build.yml@v1
+    secrets: inherit
+`);
+
+    expect(exposures).toEqual([
+      {
+        reference: 'org/publish@v1',
+        job: 'release',
+        step: 1,
+        line: 13,
+        column: 15,
+        inputs: { token: ['GITHUB_TOKEN'] },
+        env: ['GLOBAL', 'JOB', 'STEP'],
+        secrets: ['GITHUB_TOKEN', 'GLOBAL', 'JOB', 'STEP'],
+        permissions: { contents: 'write' },
+        writeScopes: ['contents']
+      },
+      {
+        reference: 'org/ci/.github/workflows/build.yml@v1',
+        job: 'call',
+        step: null,
+        line: 20,
+        column: 11,
+        inputs: { secrets: ['*'] },
+        env: ['GLOBAL'],
+        secrets: ['*', 'GLOBAL'],
+        permissions: 'read-all',
+        writeScopes: []
+      }
+    ]);
+  });
+
+  test('reports explicitly passed reusable workflow secrets by name', () => {
+    const [exposure] = extractStepExposures(`jobs:
+  call:
+    uses: org/ci/.github/workflows/build.yml@v1
+    secrets:
+      token: \${{ secrets.NPM_TOKEN }}
+`);
+
+    expect(exposure.inputs).toEqual({ 'secrets.token': ['NPM_TOKEN'] });
+    expect(exposure.permissions).toBeNull();
+    expect(exposure.writeScopes).toBeNull();
+  });
+
+  test('has no permissions for composite action steps', () => {
+    const [exposure] = extractStepExposures(`runs:
+  using: composite
+  steps:
+    - uses: org/tool@v1
+      with:
+        key: \${{ secrets.KEY }}
+`);
+
+    expect(exposure).toMatchObject({ job: 'composite', step: 0, secrets: ['KEY'], permissions: null, line: 4 });
+  });
+});
+
+describe('traceCompositeSecrets', () => {
+  test('follows received inputs and environment to the steps that use them', () => {
+    const actionYaml = {
+      runs: {
+        using: 'composite',
+        steps: [
+          { uses: 'org/upload@v1', with: { token: '${{ inputs.token }}', name: '${{ inputs.name }}' } },
+          { uses: 'org/notify@v1', env: { HOOK: '${{ inputs.webhook }}' } },
+          { uses: 'org/lint@v1' },
+          { run: 'echo ${{ inputs.token }}' }
+        ]
+      }
+    };
+
+    const traced = traceCompositeSecrets(actionYaml, { inputs: { token: ['NPM_TOKEN'], webhook: ['HOOK'] }, env: [] });
+
+    expect(traced).toEqual([
+      { reference: 'org/upload@v1', step: 0, inputs: { token: ['NPM_TOKEN'] }, env: [], secrets: ['NPM_TOKEN'] },
+      { reference: 'org/notify@v1', step: 1, inputs: {}, env: ['HOOK'], secrets: ['HOOK'] }
+    ]);
+  });
+
+  test('does not treat secrets referenced inside the composite action as received', () => {
+    const actionYaml = {
+      runs: {
+        using: 'composite',
+        steps: [
+          { uses: 'org/upload@v1', with: { token: '${{ secrets.NPM_TOKEN }}' }, env: { HOOK: '${{ secrets.HOOK }}' } },
+          { uses: 'org/notify@v1', with: { token: '${{ inputs.token || secrets.NPM_TOKEN }}' } }
+        ]
+      }
+    };
+
+    const traced = traceCompositeSecrets(actionYaml, { inputs: { token: ['DEPLOY_TOKEN'] }, env: [] });
+
+    expect(traced).toEqual([
+      { reference: 'org/notify@v1', step: 1, inputs: { token: ['DEPLOY_TOKEN'] }, env: [], secrets: ['DEPLOY_TOKEN'] }
+    ]);
+  });
+
+  test('hands the environment of the composite action to every step', () => {
+    const traced = traceCompositeSecrets({ runs: { using: 'composite', steps: [{ uses: 'org/lint@v1' }] } },
+      { inputs: {}, env: ['GLOBAL'] });
+
+    expect(traced).toEqual([{ reference: 'org/lint@v1', step: 0, inputs: {}, env: ['GLOBAL'], secrets: ['GLOBAL'] }]);
+  });
+});
+
+describe('exposure map', () => {
+  test('follows a secret through nested composite actions and reports every dependency that receives it', async () => {
+    const client = createFakeClient({
+      'org/release': {
+        tags: { v1: sha('1') },
+        files: { 'action.yml': 'inputs:\n  token: {}\nruns:\n  using: composite\n  steps:\n    - uses: org/upload@v1\n      with:\n        auth: ${{ inputs.token }}\n    - uses: org/lint@v1\n' }
+      },
+      'org/upload': {
+        tags: { v1: sha('2') },
+        files: { 'action.yml': 'runs:\n  using: composite\n  steps:\n    - uses: vendor/http@v3\n      env:\n        AUTH: ${{ inputs.auth }}\n' }
+      },
+      'org/lint': { tags: { v1: sha('3') }, files: { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' } },
+      'vendor/http': { tags: { v3: sha('4') }, files: { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' } }
+    });
+    const scanner = new RecursiveActionScanner({ client });
+    const [exposure] = extractStepExposures('jobs:\n  release:\n    steps:\n      - uses: org/release@v1\n        with:\n          token: ${{ secrets.NPM_TOKEN }}\n');
+
+    const report = await scanner.scanActionList(['org/release@v1'], new Map(), [], [exposure]);
+
+    expect(report.exposure[0].inherited.map(entry => [entry.fullName, entry.via, entry.secrets, entry.path])).toEqual([
+      ['org/upload@v1', 'org/release@v1', ['NPM_TOKEN'], ['org/release@v1', 'org/upload@v1']],
+      ['vendor/http@v3', 'org/upload@v1', ['NPM_TOKEN'], ['org/release@v1', 'org/upload@v1', 'vendor/http@v3']]
+    ]);
+    expect(report.securityFindings.map(finding => finding.message)).toEqual([
+      'org/upload@v1 receives NPM_TOKEN from composite action org/release@v1',
+      'vendor/http@v3 receives NPM_TOKEN from composite action org/upload@v1'
+    ]);
+    expect(report.summary).toMatchObject({ exposedActions: 1, inheritedSecrets: 2 });
+  });
+});
@@ -0,0 +1,180 @@
+import { Octokit } from 'octokit';
+import { logger, DEFAULT_API_URL, DEFAULT_SERVER_URL } from './utils.mjs';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Web URL of the server behind an API URL: https://api.github.com is github.com,
+ * GitHub Enterprise Server serves its API under /api/v3
+ * @param {string} apiUrl - REST API base URL
+ * @returns {string}
+ */
+function serverUrlFor(apiUrl) {
+  if (apiUrl === DEFAULT_API_URL) return DEFAULT_SERVER_URL;
+  return apiUrl.replace(/\/api\/v3$/, '');
+}
+
+/**
+ * Octokit instance shared by every component of a scan. Limits the number of
+ * requests in flight, backs off on primary and secondary rate limits, retries
+ * transient 5xx errors and keeps request statistics for the report.
+ */
+class GitHubClient {
+  /**
+   * @param {Object} options - {token, concurrency, maxRetries, apiUrl, serverUrl}. The
+   *                           URLs default to GITHUB_API_URL and GITHUB_SERVER_URL, which
+   *                           the Actions runner sets, and then to github.com
+   */
+  constructor(options = {}) {
+    const { apiUrl, serverUrl } = GitHubClient.resolveUrls(options);
+    this.apiUrl = apiUrl;
+    this.serverUrl = serverUrl;
+    this.host = new URL(serverUrl).host;
+    this.concurrency = Math.max(1, options.concurrency || 4);
+    this.maxRetries = options.maxRetries ?? 3;
+    this.active = 0;
+    this.waiting = [];
+    this.pausedUntil = 0;
+    this.stats = { requests: 0, httpCalls: 0, rateLimitWaits: 0, rateLimitWaitSeconds: 0 };
+
+    const onLimit = (kind) => (retryAfter, requestOptions, octokit, retryCount) => {
+      this.stats.rateLimitWaits++;
+      this.stats.rateLimitWaitSeconds += retryAfter;
+      logger.warn(`${kind} hit for ${requestOptions.method} ${requestOptions.url}, waiting ${retryAfter}s`);
+      return retryCount < this.maxRetries;
+    };
+
+    this.octokit = new Octokit({
+      auth: options.token ?? process.env?.GITHUB_TOKEN,
+      baseUrl: this.apiUrl,
+      // 5xx responses are retried with backoff by the bundled retry plugin
+      retry: { retries: this.maxRetries },
+      throttle: {
+        onRateLimit: onLimit('Rate limit'),
+        onSecondaryRateLimit: onLimit('Secondary rate limit')
+      },
+      request: {
+        // Counts every HTTP round trip, including retries made by the plugins
+        fetch: (...args) => {
+          this.stats.httpCalls++;
+          return fetch(...args);
+        }
+      }
+    });
+
+    this.octokit.hook.wrap('request', (request, requestOptions) => this.schedule(request, requestOptions));
+  }
+
+  /**
+   * API and web URL of the server a client with these options talks to
+   * @param {Object} options - {apiUrl, serverUrl}
+   * @returns {Object} - {apiUrl, serverUrl} without trailing slashes
+   */
+  static resolveUrls(options = {}) {
+    const apiUrl = (options.apiUrl || process.env?.GITHUB_API_URL || DEFAULT_API_URL).replace(/\/+$/, '');
+    // An explicit API URL wins over the runner's server URL, which may be another server's
+    const serverUrl = options.serverUrl ||
+      (options.apiUrl ? serverUrlFor(apiUrl) : process.env?.GITHUB_SERVER_URL || serverUrlFor(apiUrl));
+    return { apiUrl, serverUrl: serverUrl.replace(/\/+$/, '') };
+  }
+
+  /**
+   * Whether this client talks to github.com rather than an Enterprise Server
+   */
+  get isGitHubCom() {
+    return this.apiUrl === DEFAULT_API_URL;
+  }
+
+  async acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return;
+    }
+    await new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  release() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  /**
+   * Run a request once a concurrency slot is free and any rate limit pause is over
+   */
+  async schedule(request, requestOptions) {
+    await this.acquire();
+    try {
+      const pause = this.pausedUntil - Date.now();
+      if (pause > 0) {
+        this.stats.rateLimitWaits++;
+        this.stats.rateLimitWaitSeconds += Math.ceil(pause / 1000);
+        logger.warn(`Rate limit exhausted, pausing requests for ${Math.ceil(pause / 1000)}s`);
+        await sleep(pause);
+      }
+
+      this.stats.requests++;
+      try {
+        const response = await request(requestOptions);
+        this.trackRateLimit(response.headers);
+        return response;
+      } catch (e) {
+        this.trackRateLimit(e.response?.headers);
+        throw e;
+      }
+    } finally {
+      this.release();
+    }
+  }
+
+  /**
+   * Stop sending requests until the quota resets once x-ratelimit-remaining hits zero
+   * @param {Object} headers - Response headers
+   */
+  trackRateLimit(headers) {
+    if (headers?.['x-ratelimit-remaining'] === '0' && headers['x-ratelimit-reset']) {
+      this.pausedUntil = Math.max(this.pausedUntil, Number(headers['x-ratelimit-reset']) * 1000);
+    }
+  }
+
+  /**
+   * Request statistics for the report
+   * @returns {Object} - {requests, httpCalls, retries, rateLimitWaits, rateLimitWaitSeconds}
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      retries: Math.max(0, this.stats.httpCalls - this.stats.requests)
+    };
+  }
+}
+
+/**
+ * Pick the server an action's repository is read from. Like GitHub Enterprise Server
+ * with GitHub Connect, the configured server is used when the repository exists
+ * there, and github.com only for repositories it doesn't have.
+ * @param {GitHubClient} client - Client of the configured server
+ * @param {GitHubClient|null} fallbackClient - github.com client, null without fallback
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<GitHubClient>}
+ */
+async function selectClient(client, fallbackClient, owner, repo) {
+  if (!fallbackClient) return client;
+  try {
+    await client.octokit.rest.repos.get({ owner, repo });
+    return client;
+  } catch (e) {
+    if (e.status !== 404) {
+      logger.debug(`Failed to look up ${owner}/${repo} on ${client.host}: ${e.message}`);
+      return client;
+    }
+  }
+  logger.info(`${owner}/${repo} is not on ${client.host}, using ${fallbackClient.host}`);
+  return fallbackClient;
+}
+
+export { GitHubClient, selectClient };
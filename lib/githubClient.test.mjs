@@ -0,0 +1,145 @@
+import { GitHubClient, selectClient } from './githubClient.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, httpError, sha } from './__fixtures__/github.mjs';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('GitHubClient scheduling', () => {
+  test('never has more requests in flight than its concurrency', async () => {
+    const client = new GitHubClient({ token: 'test', concurrency: 2 });
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const request = async (options) => {
+      inFlight++;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await tick();
+      inFlight--;
+      return { data: options.n, headers: {} };
+    };
+
+    const responses = await Promise.all([1, 2, 3, 4, 5].map(n => client.schedule(request, { n })));
+
+    expect(responses.map(response => response.data)).toEqual([1, 2, 3, 4, 5]);
+    expect(maxInFlight).toBe(2);
+    expect(client.active).toBe(0);
+    expect(client.getStats()).toMatchObject({ requests: 5, rateLimitWaits: 0 });
+  });
+
+  test('a failed request frees its slot', async () => {
+    const client = new GitHubClient({ token: 'test', concurrency: 1 });
+    const failing = async () => { throw Object.assign(new Error('Not Found'), { status: 404 }); };
+
+    await expect(client.schedule(failing, {})).rejects.toThrow('Not Found');
+    await expect(client.schedule(async () => ({ data: 'ok', headers: {} }), {})).resolves.toMatchObject({ data: 'ok' });
+  });
+
+  test('pauses once the remaining quota reaches zero', () => {
+    const client = new GitHubClient({ token: 'test' });
+    const reset = Math.floor(Date.now() / 1000) + 60;
+
+    client.trackRateLimit({ 'x-ratelimit-remaining': '10', 'x-ratelimit-reset': String(reset) });
+    expect(client.pausedUntil).toBe(0);
+    client.trackRateLimit({ 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(reset) });
+    expect(client.pausedUntil).toBe(reset * 1000);
+  });
+
+  test('counts retried HTTP calls separately from requests', () => {
+    const client = new GitHubClient({ token: 'test' });
+    client.stats.requests = 3;
+    client.stats.httpCalls = 5;
+
+    expect(client.getStats().retries).toBe(2);
+  });
+});
+
+describe('GitHubClient.resolveUrls', () => {
+  const saved = {};
+  beforeEach(() => {
+    for (const name of ['GITHUB_API_URL', 'GITHUB_SERVER_URL']) {
+      saved[name] = process.env[name];
+      delete process.env[name];
+    }
+  });
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  test('defaults to github.com', () => {
+    const client = new GitHubClient({ token: 'test' });
+
+    expect(GitHubClient.resolveUrls()).toEqual({ apiUrl: 'https://api.github.com', serverUrl: 'https://github.com' });
+    expect(client.host).toBe('github.com');
+    expect(client.isGitHubCom).toBe(true);
+  });
+
+  test('derives the web URL of an Enterprise Server from its API URL', () => {
+    const client = new GitHubClient({ token: 'test', apiUrl: 'https://ghes.example.com/api/v3/' });
+
+    expect(client.apiUrl).toBe('https://ghes.example.com/api/v3');
+    expect(client.serverUrl).toBe('https://ghes.example.com');
+    expect(client.host).toBe('ghes.example.com');
+    expect(client.isGitHubCom).toBe(false);
+    expect(GitHubClient.resolveUrls({ apiUrl: 'https://ghes.example.com/api/v3', serverUrl: 'https://git.example.com/' }))
+      .toEqual({ apiUrl: 'https://ghes.example.com/api/v3', serverUrl: 'https://git.example.com' });
+  });
+
+  test('uses the runner\'s URLs unless an API URL is given', () => {
+    process.env.GITHUB_API_URL = 'https://ghes.example.com/api/v3';
+    process.env.GITHUB_SERVER_URL = 'https://ghes.example.com';
+
+    expect(GitHubClient.resolveUrls()).toEqual({ apiUrl: 'https://ghes.example.com/api/v3', serverUrl: 'https://ghes.example.com' });
+    expect(GitHubClient.resolveUrls({ apiUrl: 'https://other.example.com/api/v3' }))
+      .toEqual({ apiUrl: 'https://other.example.com/api/v3', serverUrl: 'https://other.example.com' });
+  });
+});
+
+describe('selectClient', () => {
+  const GHES = 'https://ghes.example.com/api/v3';
+
+  test('uses the configured server without a fallback or when it has the repository', async () => {
+    const client = createFakeClient({ 'corp/tool': {} }, { apiUrl: GHES });
+    const fallbackClient = createFakeClient({ 'corp/tool': {} });
+
+    expect(await selectClient(client, null, 'corp', 'tool')).toBe(client);
+    expect(client.calls).toEqual([]);
+    expect(await selectClient(client, fallbackClient, 'corp', 'tool')).toBe(client);
+    expect(fallbackClient.calls).toEqual([]);
+  });
+
+  test('falls back to github.com only for repositories the server does not have', async () => {
+    const client = createFakeClient({}, { apiUrl: GHES });
+    const fallbackClient = createFakeClient({ 'actions/checkout': {} });
+
+    expect(await selectClient(client, fallbackClient, 'actions', 'checkout')).toBe(fallbackClient);
+
+    client.octokit.rest.repos.get = async () => { throw httpError(500, 'Server Error'); };
+    expect(await selectClient(client, fallbackClient, 'actions', 'checkout')).toBe(client);
+  });
+
+  test('reads each action from the server that has it and reports its host', async () => {
+    const client = createFakeClient({
+      'corp/setup': {
+        tags: { v1: sha('1a') },
+        files: { 'action.yml': 'runs:\n  using: composite\n  steps:\n    - uses: actions/checkout@v4\n    - uses: corp/lint@v2\n' }
+      },
+      'corp/lint': { tags: { v2: sha('2a') }, files: { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' } }
+    }, { apiUrl: GHES });
+    const fallbackClient = createFakeClient({
+      'actions/checkout': { tags: { v4: sha('4a') }, files: { 'action.yml': 'runs:\n  using: node20\n  main: dist/index.js\n' } }
+    });
+    const scanner = new RecursiveActionScanner({ client, fallbackClient });
+
+    const report = await scanner.scanActionList(['corp/setup@v1']);
+
+    expect(report.allUniqueActions.map(node => [node.fullName, node.host, node.url])).toEqual([
+      ['corp/setup@v1', 'ghes.example.com', 'https://ghes.example.com/corp/setup/tree/v1'],
+      ['actions/checkout@v4', 'github.com', 'https://github.com/actions/checkout/tree/v4'],
+      ['corp/lint@v2', 'ghes.example.com', 'https://ghes.example.com/corp/lint/tree/v2']
+    ]);
+    expect(client.calls.filter(call => call === 'repos.get actions/checkout')).toHaveLength(1);
+    expect(fallbackClient.calls.some(call => call.startsWith('repos.getContent corp/'))).toBe(false);
+  });
+});
@@ -0,0 +1,307 @@
+// Fill colours per node type, shared by the Mermaid, DOT and HTML renderers
+const TYPE_STYLES = {
+  'composite': { fill: '#dbeafe', label: 'composite' },
+  'javascript': { fill: '#fef9c3', label: 'JavaScript' },
+  'docker': { fill: '#e0e7ff', label: 'Docker' },
+  'reusable-workflow': { fill: '#dcfce7', label: 'reusable workflow' },
+  'docker-image': { fill: '#ede9fe', label: 'Docker image' },
+  'npm-package': { fill: '#f3f4f6', label: 'npm package' },
+  'action': { fill: '#f9fafb', label: 'action' }
+};
+const UNPINNED_COLOR = '#d73a49';
+
+/**
+ * Whether a node's reference can move: actions not pinned to a commit SHA and
+ * Docker images not pinned by digest
+ */
+function isUnpinnedNode(node) {
+  if (node.type === 'docker-image') return !node.pinned;
+  if (node.type === 'npm-package') return false;
+  return Boolean(node.pinStatus) && node.pinStatus !== 'sha';
+}
+
+/**
+ * The action graph of a report with npm packages folded into their parent's label,
+ * since a single JavaScript action can bundle hundreds of them
+ * @param {Object} results - Scan report
+ * @returns {Object} - {nodes: [{id, node, label}], edges: [{from, to, label}]}
+ */
+function buildGraph(results) {
+  const npmCounts = new Map();
+  const nodes = new Map();
+
+  for (const node of results.allUniqueActions) {
+    if (node.type !== 'npm-package') {
+      nodes.set(node.fullName, { id: `n${nodes.size}`, node, label: node.fullName });
+    }
+  }
+
+  const edges = [];
+  for (const edge of results.edges || []) {
+    const from = nodes.get(edge.from);
+    const to = nodes.get(edge.to);
+    if (!from) continue;
+    if (!to) {
+      npmCounts.set(edge.from, (npmCounts.get(edge.from) || 0) + 1);
+      continue;
+    }
+    const label = edge.job ? `${edge.job}${edge.step !== null ? ` step ${edge.step}` : ''}` : '';
+    edges.push({ from: from.id, to: to.id, label });
+  }
+
+  for (const [fullName, count] of npmCounts) {
+    nodes.get(fullName).label += `\n(${count} npm packages)`;
+  }
+
+  return { nodes: Array.from(nodes.values()), edges };
+}
+
+/**
+ * Render the action graph as a Mermaid flowchart
+ * @param {Object} results - Scan report
+ * @returns {string} - Mermaid source
+ */
+function generateMermaidReport(results) {
+  const { nodes, edges } = buildGraph(results);
+  const escape = (text) => text.replace(/"/g, '#quot;').replace(/\n/g, '<br/>');
+  const lines = ['flowchart LR'];
+
+  for (const { id, node, label } of nodes) {
+    const text = `"${escape(label)}"`;
+    if (node.type === 'docker-image') {
+      lines.push(`  ${id}[(${text})]`);
+    } else if (node.type === 'reusable-workflow') {
+      lines.push(`  ${id}[[${text}]]`);
+    } else if (node.isRootAction) {
+      lines.push(`  ${id}([${text}])`);
+    } else {
+      lines.push(`  ${id}[${text}]`);
+    }
+  }
+
+  for (const { from, to, label } of edges) {
+    lines.push(label ? `  ${from} -->|"${escape(label)}"| ${to}` : `  ${from} --> ${to}`);
+  }
+
+  for (const [type, style] of Object.entries(TYPE_STYLES)) {
+    lines.push(`  classDef ${type.replace(/-/g, '_')} fill:${style.fill},stroke:#6b7280`);
+  }
+  lines.push('  classDef root stroke:#111827,stroke-width:3px');
+  lines.push(`  classDef unpinned stroke:${UNPINNED_COLOR},stroke-width:2px,stroke-dasharray:5 5`);
+
+  const classes = new Map();
+  const addClass = (className, id) => {
+    if (!classes.has(className)) classes.set(className, []);
+    classes.get(className).push(id);
+  };
+  for (const { id, node } of nodes) {
+    addClass((TYPE_STYLES[node.type] ? node.type : 'action').replace(/-/g, '_'), id);
+    if (node.isRootAction) addClass('root', id);
+    if (isUnpinnedNode(node)) addClass('unpinned', id);
+  }
+  for (const [className, ids] of classes) {
+    lines.push(`  class ${ids.join(',')} ${className}`);
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the action graph in Graphviz DOT
+ * @param {Object} results - Scan report
+ * @returns {string} - DOT source
+ */
+function generateDotReport(results) {
+  const { nodes, edges } = buildGraph(results);
+  const quote = (text) => `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`;
+  const lines = [
+    'digraph actions {',
+    '  rankdir=LR;',
+    '  node [shape=box, style="rounded,filled", fontname="Helvetica", fontsize=10];',
+    '  edge [fontname="Helvetica", fontsize=8, color="#6b7280"];'
+  ];
+
+  for (const { id, node, label } of nodes) {
+    const style = TYPE_STYLES[node.type] || TYPE_STYLES.action;
+    const attributes = [`label=${quote(label)}`, `fillcolor=${quote(style.fill)}`];
+    if (node.type === 'docker-image') attributes.push('shape=cylinder');
+    if (node.type === 'reusable-workflow') attributes.push('shape=component');
+    if (node.isRootAction) attributes.push('penwidth=3');
+    if (isUnpinnedNode(node)) {
+      attributes.push(`color=${quote(UNPINNED_COLOR)}`, 'style="rounded,filled,dashed"');
+    }
+    if (node.url) attributes.push(`URL=${quote(node.url)}`);
+    lines.push(`  ${id} [${attributes.join(', ')}];`);
+  }
+
+  for (const { from, to, label } of edges) {
+    lines.push(label ? `  ${from} -> ${to} [label=${quote(label)}];` : `  ${from} -> ${to};`);
+  }
+
+  lines.push('}');
+  return lines.join('\n');
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, Segoe UI, Helvetica, Arial, sans-serif; margin: 2rem; color: #111827; }
+  h1 { font-size: 1.4rem; }
+  .summary { display: flex; flex-wrap: wrap; gap: .5rem 1.5rem; margin-bottom: 1rem; color: #374151; }
+  #search { width: 100%; max-width: 32rem; padding: .4rem .6rem; font-size: 1rem; margin-bottom: 1rem; }
+  details { margin-left: 1.2rem; }
+  summary, .leaf { cursor: default; padding: .1rem 0; list-style-position: outside; }
+  .leaf { margin-left: 1.2rem; }
+  .root > summary { font-weight: 600; }
+  .badge { display: inline-block; font-size: .75rem; padding: 0 .4rem; border-radius: .6rem; margin-left: .4rem; border: 1px solid #9ca3af; }
+  .unpinned { border-color: ${UNPINNED_COLOR}; color: ${UNPINNED_COLOR}; }
+  .note { color: #6b7280; font-size: .85rem; margin-left: .4rem; }
+  .hidden { display: none; }
+  .match > summary > .name, .leaf.match > .name { background: #fde68a; }
+  a { color: inherit; }
+`;
+
+// Runs in the browser: builds the collapsible tree from the embedded report and filters it
+const HTML_SCRIPT = `
+  const data = JSON.parse(document.getElementById('report-data').textContent);
+  const styles = data.styles;
+  const nodes = new Map(data.nodes.map(node => [node.fullName, node]));
+  const children = new Map();
+  for (const edge of data.edges) {
+    if (!children.has(edge.from)) children.set(edge.from, []);
+    children.get(edge.from).push(edge);
+  }
+
+  const describe = (element, node, edge) => {
+    const name = document.createElement('span');
+    name.className = 'name';
+    if (node.url) {
+      const link = document.createElement('a');
+      link.href = node.url;
+      link.textContent = node.fullName;
+      name.appendChild(link);
+    } else {
+      name.textContent = node.fullName;
+    }
+    element.appendChild(name);
+    const badge = (text, className) => {
+      const span = document.createElement('span');
+      span.className = 'badge' + (className ? ' ' + className : '');
+      span.textContent = text;
+      element.appendChild(span);
+      return span;
+    };
+    const style = styles[node.type] || styles.action;
+    badge(style.label).style.background = style.fill;
+    if (node.unpinned) badge(node.type === 'docker-image' ? 'no digest' : (node.pinStatus || 'unpinned'), 'unpinned');
+    if (node.truncated) badge('truncated');
+    if (edge && edge.job) {
+      const note = document.createElement('span');
+      note.className = 'note';
+      note.textContent = '← ' + edge.job + (edge.step !== null ? ' step ' + edge.step : '');
+      element.appendChild(note);
+    }
+  };
+
+  const render = (fullName, edge, ancestors, expanded) => {
+    const node = nodes.get(fullName) || { fullName, type: 'action' };
+    const kids = ancestors.has(fullName) || expanded.has(fullName) ? [] : (children.get(fullName) || []);
+    let element;
+    if (kids.length === 0) {
+      element = document.createElement('div');
+      element.className = 'leaf';
+      describe(element, node, edge);
+      if (ancestors.has(fullName)) element.appendChild(Object.assign(document.createElement('span'), { className: 'note', textContent: '(cycle)' }));
+      else if (expanded.has(fullName) && children.has(fullName)) element.appendChild(Object.assign(document.createElement('span'), { className: 'note', textContent: '(see above)' }));
+    } else {
+      expanded.add(fullName);
+      element = document.createElement('details');
+      const summary = document.createElement('summary');
+      describe(summary, node, edge);
+      element.appendChild(summary);
+      const nested = new Set(ancestors).add(fullName);
+      for (const child of kids) element.appendChild(render(child.to, child, nested, expanded));
+    }
+    element.dataset.search = fullName.toLowerCase();
+    return element;
+  };
+
+  const tree = document.getElementById('tree');
+  for (const root of data.roots) {
+    const element = render(root, null, new Set(), new Set());
+    element.classList.add('root');
+    tree.appendChild(element);
+  }
+
+  // Show only branches containing a match and open them down to the match
+  document.getElementById('search').addEventListener('input', (event) => {
+    const query = event.target.value.trim().toLowerCase();
+    const filter = (element) => {
+      const self = query !== '' && element.dataset.search.includes(query);
+      let descendant = false;
+      for (const child of element.children) {
+        if (child.dataset && child.dataset.search !== undefined && filter(child)) descendant = true;
+      }
+      element.classList.toggle('match', self);
+      element.classList.toggle('hidden', query !== '' && !self && !descendant);
+      if (element.tagName === 'DETAILS') element.open = query !== '' && descendant;
+      return self || descendant;
+    };
+    for (const root of tree.children) filter(root);
+  });
+`;
+
+/**
+ * Render a standalone HTML page with a collapsible, searchable dependency tree
+ * @param {Object} results - Scan report
+ * @returns {string} - HTML document
+ */
+function generateHtmlReport(results) {
+  const escapeHtml = (text) => String(text).replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+  const data = {
+    styles: TYPE_STYLES,
+    roots: results.rootActions.filter(root => root.fullName).map(root => root.fullName),
+    nodes: results.allUniqueActions.map(node => ({
+      fullName: node.fullName,
+      url: node.url,
+      type: node.type,
+      pinStatus: node.pinStatus,
+      truncated: node.truncated,
+      unpinned: isUnpinnedNode(node)
+    })),
+    edges: results.edges || []
+  };
+  // Keep the embedded JSON from closing the script element
+  const json = JSON.stringify(data).replace(/</g, '\\u003c');
+
+  const { summary } = results;
+  const stats = [
+    `Root actions: ${summary.totalRootActions}`,
+    `Unique actions: ${summary.totalUniqueActions}`,
+    `npm packages: ${summary.totalNpmPackages ?? 0}`,
+    `Unpinned actions: ${summary.unpinnedActions ?? 0}`,
+    `Unpinned Docker images: ${summary.unpinnedDockerImages ?? 0}`,
+    `Max depth: ${summary.maxDepthUsed}`
+  ];
+  const failed = results.rootActions.filter(root => !root.success);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Recursive Action Scanner Report</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Recursive Action Scanner Report</h1>
+<p class="note">Generated: ${escapeHtml(results.timestamp)}</p>
+<div class="summary">${stats.map(stat => `<span>${escapeHtml(stat)}</span>`).join('')}</div>
+${failed.length > 0 ? `<ul>${failed.map(root => `<li>❌ ${escapeHtml(root.reference)}: ${escapeHtml(root.error)}</li>`).join('')}</ul>` : ''}
+<input id="search" type="search" placeholder="Search actions, images and packages">
+<div id="tree"></div>
+<script id="report-data" type="application/json">${json}</script>
+<script>${HTML_SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+export { generateMermaidReport, generateDotReport, generateHtmlReport };
@@ -0,0 +1,116 @@
+import { generateMermaidReport, generateDotReport, generateHtmlReport } from './graph.mjs';
+
+const SHA = 'a'.repeat(40);
+
+function report() {
+  return {
+    timestamp: '2026-01-01T00:00:00.000Z',
+    rootActions: [
+      { reference: 'org/build@v1', fullName: 'org/build@v1', success: true },
+      { reference: 'org/missing@v1', success: false, error: 'Not <found>' }
+    ],
+    allUniqueActions: [
+      { fullName: 'org/build@v1', type: 'composite', pinStatus: 'tag', isRootAction: true, url: 'https://github.com/org/build/tree/v1' },
+      { fullName: `org/node@${SHA}`, type: 'javascript', pinStatus: 'sha' },
+      { fullName: 'org/ci/.github/workflows/ci.yml@main', type: 'reusable-workflow', pinStatus: 'branch' },
+      { fullName: 'docker://alpine:3', type: 'docker-image', pinned: false },
+      { fullName: 'npm:left-pad@1.3.0', type: 'npm-package' },
+      { fullName: 'npm:"quoted"@1.0.0', type: 'npm-package' }
+    ],
+    edges: [
+      { from: 'org/build@v1', to: `org/node@${SHA}`, job: null, step: 2 },
+      { from: 'org/build@v1', to: 'org/ci/.github/workflows/ci.yml@main', job: 'test', step: null },
+      { from: 'org/build@v1', to: 'docker://alpine:3', job: 'build', step: 0 },
+      { from: `org/node@${SHA}`, to: 'npm:left-pad@1.3.0' },
+      { from: `org/node@${SHA}`, to: 'npm:"quoted"@1.0.0' }
+    ],
+    summary: {
+      totalRootActions: 2,
+      totalUniqueActions: 4,
+      totalNpmPackages: 2,
+      unpinnedActions: 2,
+      unpinnedDockerImages: 1,
+      maxDepthUsed: 5
+    }
+  };
+}
+
+describe('generateMermaidReport', () => {
+  test('draws one shaped node per action with npm packages folded into their parent', () => {
+    const lines = generateMermaidReport(report()).split('\n');
+
+    expect(lines[0]).toBe('flowchart LR');
+    expect(lines).toEqual(expect.arrayContaining([
+      '  n0(["org/build@v1"])',
+      `  n1["org/node@${SHA}<br/>(2 npm packages)"]`,
+      '  n2[["org/ci/.github/workflows/ci.yml@main"]]',
+      '  n3[("docker://alpine:3")]'
+    ]));
+    expect(lines.filter(line => line.includes('npm:'))).toEqual([]);
+  });
+
+  test('labels edges with the job and step that introduced them', () => {
+    const lines = generateMermaidReport(report()).split('\n');
+
+    expect(lines).toEqual(expect.arrayContaining([
+      '  n0 --> n1',
+      '  n0 -->|"test"| n2',
+      '  n0 -->|"build step 0"| n3'
+    ]));
+  });
+
+  test('classes nodes by type, root and unpinned reference', () => {
+    const lines = generateMermaidReport(report()).split('\n');
+
+    expect(lines).toEqual(expect.arrayContaining([
+      '  class n0 composite',
+      '  class n0 root',
+      '  class n0,n2,n3 unpinned',
+      '  class n1 javascript',
+      '  class n2 reusable_workflow',
+      '  class n3 docker_image'
+    ]));
+  });
+});
+
+describe('generateDotReport', () => {
+  test('is a digraph with shapes, links and dashed unpinned nodes', () => {
+    const dot = generateDotReport(report());
+    const lines = dot.split('\n');
+
+    expect(lines[0]).toBe('digraph actions {');
+    expect(lines[lines.length - 1]).toBe('}');
+    expect(lines).toEqual(expect.arrayContaining([
+      '  n0 [label="org/build@v1", fillcolor="#dbeafe", penwidth=3, color="#d73a49", style="rounded,filled,dashed", URL="https://github.com/org/build/tree/v1"];',
+      `  n1 [label="org/node@${SHA}\\n(2 npm packages)", fillcolor="#fef9c3"];`,
+      '  n2 [label="org/ci/.github/workflows/ci.yml@main", fillcolor="#dcfce7", shape=component, color="#d73a49", style="rounded,filled,dashed"];',
+      '  n3 [label="docker://alpine:3", fillcolor="#ede9fe", shape=cylinder, color="#d73a49", style="rounded,filled,dashed"];',
+      '  n0 -> n1;',
+      '  n0 -> n2 [label="test"];',
+      '  n0 -> n3 [label="build step 0"];'
+    ]));
+  });
+});
+
+describe('generateHtmlReport', () => {
+  test('embeds the graph as JSON the page script can read', () => {
+    const html = generateHtmlReport(report());
+    const json = html.match(/<script id="report-data" type="application\/json">(.*)<\/script>/)[1];
+    const data = JSON.parse(json);
+
+    expect(data.roots).toEqual(['org/build@v1']);
+    expect(data.edges).toHaveLength(5);
+    expect(data.nodes.find(node => node.fullName === 'docker://alpine:3')).toMatchObject({ type: 'docker-image', unpinned: true });
+    expect(data.nodes.find(node => node.fullName === `org/node@${SHA}`)).toMatchObject({ unpinned: false });
+  });
+
+  test('escapes report text so it cannot break out of the page', () => {
+    const results = report();
+    results.allUniqueActions[0].fullName = 'org/build@</script><script>alert(1)</script>';
+    const html = generateHtmlReport(results);
+
+    expect(html).not.toContain('</script><script>alert(1)');
+    expect(html).toContain('<li>❌ org/missing@v1: Not &lt;found&gt;</li>');
+    expect(html).toContain('<span>Unpinned Docker images: 1</span>');
+  });
+});
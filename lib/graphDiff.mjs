@@ -0,0 +1,100 @@
+import { Policy } from './policy.mjs';
+
+/**
+ * What stays the same when only the version of a node changes: owner/repo/path for
+ * actions, the image repository for Docker images and the package name for npm
+ * @param {Object} node - Entry of a report's allUniqueActions
+ * @returns {string}
+ */
+function nodeIdentity(node) {
+  if (node.type === 'docker-image') {
+    return `docker:${node.registry}/${node.repository}`;
+  }
+  if (node.type === 'npm-package') {
+    return `npm:${node.name}`;
+  }
+  return `action:${node.owner}/${node.repo}/${node.subPath || ''}`.toLowerCase();
+}
+
+function isThirdPartyAction(node, owner) {
+  return node.type !== 'docker-image' && node.type !== 'npm-package' &&
+         node.owner.toLowerCase() !== owner.toLowerCase();
+}
+
+/**
+ * Compare the dependency graphs of a PR's base and head. Nodes are matched by full
+ * name first; what remains is paired by identity as a version change, the rest is
+ * added or removed.
+ * @param {Object} base - Scan report of the base ref
+ * @param {Object} head - Scan report of the head ref
+ * @param {Object} context - {owner, repo, baseRef, headRef}
+ * @returns {Object} - Diff report
+ */
+function diffReports(base, head, context) {
+  const baseNodes = new Map(base.allUniqueActions.map(node => [node.fullName, node]));
+  const headNodes = new Map(head.allUniqueActions.map(node => [node.fullName, node]));
+  const basePaths = Policy.findPaths(base);
+  const headPaths = Policy.findPaths(head);
+
+  const removedByIdentity = new Map();
+  for (const node of baseNodes.values()) {
+    if (headNodes.has(node.fullName)) continue;
+    const identity = nodeIdentity(node);
+    if (!removedByIdentity.has(identity)) removedByIdentity.set(identity, []);
+    removedByIdentity.get(identity).push(node);
+  }
+
+  const added = [];
+  const changed = [];
+  for (const node of headNodes.values()) {
+    if (baseNodes.has(node.fullName)) continue;
+    const path = headPaths.get(node.fullName) || [node.fullName];
+    const previous = removedByIdentity.get(nodeIdentity(node))?.shift();
+    if (previous) {
+      changed.push({ ...node, previous: previous.fullName, path });
+    } else {
+      added.push({ ...node, path });
+    }
+  }
+
+  const removed = Array.from(removedByIdentity.values()).flat()
+    .map(node => ({ ...node, path: basePaths.get(node.fullName) || [node.fullName] }));
+
+  const newThirdPartyActions = added.filter(node => isThirdPartyAction(node, context.owner));
+  const introduced = new Set([...added, ...changed].map(node => node.fullName));
+
+  const report = {
+    timestamp: new Date().toISOString(),
+    repository: `${context.owner}/${context.repo}`,
+    base: { ref: context.baseRef, summary: base.summary },
+    head: { ref: context.headRef, summary: head.summary },
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      newThirdPartyActions: newThirdPartyActions.length,
+      addedUnpinned: added.filter(node => node.type === 'docker-image' ? !node.pinned : node.pinStatus && node.pinStatus !== 'sha').length
+    },
+    added,
+    removed,
+    changed
+  };
+
+  if (head.advisories) {
+    report.advisories = head.advisories.filter(match => introduced.has(match.fullName));
+    report.summary.advisories = report.advisories.length;
+    report.uncheckedAdvisories = (head.uncheckedAdvisories || []).filter(match => introduced.has(match.fullName));
+    report.summary.uncheckedAdvisories = report.uncheckedAdvisories.length;
+  }
+
+  // Only violations introduced by the PR count against it
+  if (head.policy) {
+    const violations = head.policy.violations.filter(violation => introduced.has(violation.fullName));
+    report.policy = { source: head.policy.source, violations };
+    report.summary.policyViolations = violations.length;
+  }
+
+  return report;
+}
+
+export { diffReports, nodeIdentity };
@@ -0,0 +1,112 @@
+import { diffReports, nodeIdentity } from './graphDiff.mjs';
+
+const CONTEXT = { owner: 'me', repo: 'app', baseRef: 'b'.repeat(40), headRef: 'c'.repeat(40) };
+
+const action = (owner, repo, ref, extra = {}) => ({
+  fullName: `${owner}/${repo}${extra.subPath ? `/${extra.subPath}` : ''}@${ref}`,
+  type: 'composite',
+  owner,
+  repo,
+  ref,
+  pinStatus: /^[a-f0-9]{40}$/.test(ref) ? 'sha' : 'tag',
+  ...extra
+});
+
+function report(roots, nodes, edges = [], extra = {}) {
+  return {
+    rootActions: roots.map(node => ({ reference: node.fullName, fullName: node.fullName, success: true })),
+    allUniqueActions: nodes,
+    edges: edges.map(([from, to]) => ({ from: from.fullName, to: to.fullName })),
+    summary: { totalRootActions: roots.length, totalUniqueActions: nodes.length },
+    ...extra
+  };
+}
+
+describe('nodeIdentity', () => {
+  test('ignores the version of actions, Docker images and npm packages', () => {
+    expect(nodeIdentity(action('Actions', 'Cache', 'v3', { subPath: 'save' })))
+      .toBe(nodeIdentity(action('actions', 'cache', 'v4', { subPath: 'save' })));
+    expect(nodeIdentity(action('actions', 'cache', 'v4'))).toBe('action:actions/cache/');
+    expect(nodeIdentity({ type: 'docker-image', registry: 'docker.io', repository: 'library/node', tag: '20' }))
+      .toBe('docker:docker.io/library/node');
+    expect(nodeIdentity({ type: 'npm-package', name: '@actions/core', version: '1.10.0' })).toBe('npm:@actions/core');
+  });
+});
+
+describe('diffReports', () => {
+  const checkout = action('actions', 'checkout', 'v4');
+  const setup = action('org', 'setup', 'v1');
+  const setupV2 = action('org', 'setup', 'v2');
+  const tool = action('vendor', 'tool', 'main', { pinStatus: 'branch' });
+  const own = action('me', 'shared', 'v1');
+  const image = { fullName: 'docker://alpine:3', type: 'docker-image', registry: 'docker.io', repository: 'library/alpine', pinned: false };
+
+  test('reports transitive additions with the path that reaches them', () => {
+    const base = report([checkout], [checkout]);
+    const head = report([checkout, setup], [checkout, setup, tool, image], [[setup, tool], [tool, image]]);
+
+    const diff = diffReports(base, head, CONTEXT);
+
+    expect(diff.repository).toBe('me/app');
+    expect(diff.base).toEqual({ ref: CONTEXT.baseRef, summary: base.summary });
+    expect(diff.head).toEqual({ ref: CONTEXT.headRef, summary: head.summary });
+    expect(diff.added.map(node => [node.fullName, node.path])).toEqual([
+      ['org/setup@v1', ['org/setup@v1']],
+      ['vendor/tool@main', ['org/setup@v1', 'vendor/tool@main']],
+      ['docker://alpine:3', ['org/setup@v1', 'vendor/tool@main', 'docker://alpine:3']]
+    ]);
+    expect(diff.removed).toEqual([]);
+    expect(diff.summary).toEqual({ added: 3, removed: 0, changed: 0, newThirdPartyActions: 2, addedUnpinned: 3 });
+  });
+
+  test('pairs a new version with the old one as a change instead of an addition and removal', () => {
+    const base = report([checkout, setup], [checkout, setup, tool], [[setup, tool]]);
+    const head = report([checkout, setupV2], [checkout, setupV2]);
+
+    const diff = diffReports(base, head, CONTEXT);
+
+    expect(diff.changed).toEqual([expect.objectContaining({ fullName: 'org/setup@v2', previous: 'org/setup@v1', path: ['org/setup@v2'] })]);
+    expect(diff.added).toEqual([]);
+    expect(diff.removed.map(node => [node.fullName, node.path])).toEqual([
+      ['vendor/tool@main', ['org/setup@v1', 'vendor/tool@main']]
+    ]);
+  });
+
+  test('does not count actions of the repository owner as new third-party actions', () => {
+    const diff = diffReports(report([], []), report([own, checkout], [own, checkout]), CONTEXT);
+
+    expect(diff.summary.added).toBe(2);
+    expect(diff.summary.newThirdPartyActions).toBe(1);
+    expect(diff.summary.addedUnpinned).toBe(2);
+  });
+
+  test('keeps only the advisories and policy violations the PR introduces', () => {
+    const base = report([checkout], [checkout]);
+    const head = report([checkout, setup], [checkout, setup], [], {
+      advisories: [{ fullName: 'actions/checkout@v4', id: 'GHSA-old' }, { fullName: 'org/setup@v1', id: 'GHSA-new' }],
+      uncheckedAdvisories: [{ fullName: 'actions/checkout@v4', id: 'GHSA-sha', reason: 'SHA-pinned' }],
+      policy: {
+        source: '.action-scanner.yml',
+        violations: [
+          { rule: 'require-sha-pinning', fullName: 'actions/checkout@v4' },
+          { rule: 'require-sha-pinning', fullName: 'org/setup@v1' }
+        ]
+      }
+    });
+
+    const diff = diffReports(base, head, CONTEXT);
+
+    expect(diff.advisories.map(match => match.id)).toEqual(['GHSA-new']);
+    expect(diff.policy).toEqual({ source: '.action-scanner.yml', violations: [{ rule: 'require-sha-pinning', fullName: 'org/setup@v1' }] });
+    expect(diff.uncheckedAdvisories).toEqual([]);
+    expect(diff.summary).toMatchObject({ advisories: 1, uncheckedAdvisories: 0, policyViolations: 1 });
+  });
+
+  test('has no advisories or policy section when the head report has none', () => {
+    const diff = diffReports(report([checkout], [checkout]), report([checkout], [checkout]), CONTEXT);
+
+    expect(diff).not.toHaveProperty('advisories');
+    expect(diff).not.toHaveProperty('policy');
+    expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 0, newThirdPartyActions: 0, addedUnpinned: 0 });
+  });
+});
@@ -0,0 +1,73 @@
+import { logger } from './utils.mjs';
+
+// Node runtimes GitHub has removed, or is removing, from its runners
+const DEPRECATED_RUNTIMES = ['node12', 'node16'];
+const STALE_AFTER_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Fetch the repository metadata that tells whether an action is still maintained
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @returns {Promise<Object|null>} - {archived, disabled, pushedAt, fork, parent}, or null
+ */
+async function fetchRepositoryMetadata(octokit, owner, repo) {
+  try {
+    const { data } = await octokit.rest.repos.get({ owner, repo });
+    return {
+      archived: Boolean(data.archived),
+      disabled: Boolean(data.disabled),
+      pushedAt: data.pushed_at || null,
+      fork: Boolean(data.fork),
+      parent: data.parent?.full_name || null
+    };
+  } catch (e) {
+    logger.debug(`Failed to get repository ${owner}/${repo}: ${e.message}`);
+    return null;
+  }
+}
+
+/**
+ * Judge whether an action needs replacing from its runtime and repository metadata
+ * @param {string|null} runtime - runs.using of the action
+ * @param {Object|null} repository - Metadata from fetchRepositoryMetadata
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - {status: 'ok'|'warning'|'error'|'unknown', issues: [{code, message}]}
+ */
+function assessHealth(runtime, repository, now = Date.now()) {
+  const issues = [];
+  let status = repository ? 'ok' : 'unknown';
+  const raise = (level) => {
+    if (level === 'error' || status !== 'error') status = level;
+  };
+
+  if (runtime && DEPRECATED_RUNTIMES.includes(runtime)) {
+    issues.push({ code: 'deprecated-runtime', message: `runs on deprecated ${runtime}` });
+    raise('error');
+  }
+
+  if (repository?.archived) {
+    issues.push({ code: 'archived', message: 'repository is archived' });
+    raise('error');
+  }
+  if (repository?.disabled) {
+    issues.push({ code: 'disabled', message: 'repository is disabled' });
+    raise('error');
+  }
+  if (repository?.pushedAt) {
+    const days = Math.floor((now - Date.parse(repository.pushedAt)) / DAY_MS);
+    if (days > STALE_AFTER_DAYS) {
+      issues.push({ code: 'stale', message: `no push for ${days} days` });
+      raise('warning');
+    }
+  }
+  if (repository?.fork) {
+    // Not a problem in itself, but the upstream is usually what should be used
+    issues.push({ code: 'fork', message: `fork of ${repository.parent || 'another repository'}` });
+  }
+
+  return { status, issues };
+}
+
+export { DEPRECATED_RUNTIMES, STALE_AFTER_DAYS, fetchRepositoryMetadata, assessHealth };
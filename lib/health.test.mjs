@@ -0,0 +1,107 @@
+import { assessHealth, fetchRepositoryMetadata } from './health.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+const RECENT = { archived: false, disabled: false, pushedAt: '2026-05-01T00:00:00Z', fork: false, parent: null };
+
+describe('assessHealth', () => {
+  test('is ok for a maintained action on a current runtime', () => {
+    expect(assessHealth('node20', RECENT, NOW)).toEqual({ status: 'ok', issues: [] });
+  });
+
+  test('is an error for deprecated runtimes and archived or disabled repositories', () => {
+    expect(assessHealth('node16', RECENT, NOW)).toEqual({
+      status: 'error',
+      issues: [{ code: 'deprecated-runtime', message: 'runs on deprecated node16' }]
+    });
+    expect(assessHealth('composite', { ...RECENT, archived: true, disabled: true }, NOW).issues.map(issue => issue.code))
+      .toEqual(['archived', 'disabled']);
+  });
+
+  test('warns about repositories without a push for over a year, without hiding an error', () => {
+    const stale = { ...RECENT, pushedAt: '2025-01-01T00:00:00Z' };
+
+    expect(assessHealth('node20', stale, NOW)).toEqual({
+      status: 'warning',
+      issues: [{ code: 'stale', message: 'no push for 516 days' }]
+    });
+    expect(assessHealth('node12', stale, NOW).status).toBe('error');
+  });
+
+  test('notes forks without changing the status', () => {
+    expect(assessHealth('node20', { ...RECENT, fork: true, parent: 'upstream/tool' }, NOW)).toEqual({
+      status: 'ok',
+      issues: [{ code: 'fork', message: 'fork of upstream/tool' }]
+    });
+  });
+
+  test('is unknown without repository metadata unless the runtime is deprecated', () => {
+    expect(assessHealth('node20', null, NOW)).toEqual({ status: 'unknown', issues: [] });
+    expect(assessHealth('node16', null, NOW).status).toBe('error');
+  });
+});
+
+describe('fetchRepositoryMetadata', () => {
+  test('keeps the fields that tell whether a repository is maintained', async () => {
+    const client = createFakeClient({
+      'org/tool': { metadata: { archived: true, pushed_at: '2024-01-01T00:00:00Z', fork: true, parent: { full_name: 'up/tool' } } }
+    });
+
+    expect(await fetchRepositoryMetadata(client.octokit, 'org', 'tool')).toEqual({
+      archived: true,
+      disabled: false,
+      pushedAt: '2024-01-01T00:00:00Z',
+      fork: true,
+      parent: 'up/tool'
+    });
+    expect(await fetchRepositoryMetadata(client.octokit, 'org', 'missing')).toBeNull();
+  });
+});
+
+describe('action health in a scan', () => {
+  test('lists unhealthy actions with their path and fetches each repository once', async () => {
+    const client = createFakeClient({
+      'org/build': {
+        tags: { v1: sha('1'), v2: sha('2') },
+        files: { 'action.yml': 'runs:\n  using: composite\n  steps:\n    - uses: old/node@v1\n    - uses: gone/tool@v1\n' },
+        metadata: { pushed_at: new Date().toISOString() }
+      },
+      'old/node': {
+        tags: { v1: sha('3') },
+        files: { 'action.yml': 'runs:\n  using: node16\n  main: index.js\n' },
+        metadata: { pushed_at: new Date().toISOString() }
+      },
+      'gone/tool': {
+        tags: { v1: sha('4') },
+        files: { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' },
+        metadata: { archived: true, pushed_at: new Date().toISOString() }
+      }
+    });
+    const scanner = new RecursiveActionScanner({ client });
+
+    const report = await scanner.scanActionList(['org/build@v1', 'org/build@v2']);
+
+    expect(report.health).toEqual([
+      {
+        fullName: 'old/node@v1',
+        status: 'error',
+        issues: [{ code: 'deprecated-runtime', message: 'runs on deprecated node16' }],
+        path: ['org/build@v1', 'old/node@v1']
+      },
+      {
+        fullName: 'gone/tool@v1',
+        status: 'error',
+        issues: [{ code: 'archived', message: 'repository is archived' }],
+        path: ['org/build@v1', 'gone/tool@v1']
+      }
+    ]);
+    expect(report.summary).toMatchObject({ deprecatedRuntimes: 1, archivedActions: 1, staleActions: 0 });
+    expect(report.allUniqueActions.find(node => node.fullName === 'org/build@v2').health).toEqual({ status: 'ok', issues: [] });
+    expect(client.calls.filter(call => call.startsWith('repos.get '))).toEqual([
+      'repos.get org/build',
+      'repos.get old/node',
+      'repos.get gone/tool'
+    ]);
+  });
+});
@@ -0,0 +1,99 @@
+import { logger } from './utils.mjs';
+import { parseVersion, compareVersions } from './advisories.mjs';
+
+// Upper bound on compare requests per commit; repositories with hundreds of tags
+// would otherwise cost hundreds of API calls for a single SHA pin
+const MAX_COMPARISONS = 50;
+
+/**
+ * Order refs by how likely they are to contain a pinned commit: release tags
+ * newest first, then other tags and branches in listing order
+ * @param {Array} tags - Tags as returned by listTags
+ * @returns {Array} - The same tags, sorted
+ */
+function sortTags(tags) {
+  const versions = new Map(tags.map(tag => [tag, parseVersion(tag.name)]));
+  return [...tags].sort((a, b) => {
+    const [versionA, versionB] = [versions.get(a), versions.get(b)];
+    if (versionA && versionB) return compareVersions(versionB, versionA);
+    return (versionA === null) - (versionB === null);
+  });
+}
+
+/**
+ * Check that a commit is reachable from a branch or tag of the named repository.
+ * GitHub serves every commit of a fork network from each repository in it, so
+ * `uses: owner/repo@<sha>` also accepts a commit that only exists in a fork.
+ * The default branch is compared first, then release tags newest first and the
+ * other branches, so a legitimate pin is usually confirmed by the first request.
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Full commit SHA
+ * @returns {Promise<Object>} - {reachable: true|false|null, ref}: the branch or tag the
+ *                              commit was found on, reachable null if it couldn't be checked
+ */
+async function verifyCommitReachable(octokit, owner, repo, sha) {
+  sha = sha.toLowerCase();
+  let comparisons = 0;
+
+  // Whether the commit is an ancestor of the ref ("behind" or "identical"), or
+  // 'missing' when it does not exist in the fork network at all
+  const contains = async (name) => {
+    comparisons++;
+    try {
+      const { data } = await octokit.rest.repos.compareCommitsWithBasehead({
+        owner,
+        repo,
+        basehead: `${name}...${sha}`,
+        per_page: 1
+      });
+      return data.status === 'behind' || data.status === 'identical';
+    } catch (e) {
+      if (e.status === 404) return 'missing';
+      logger.debug(`Failed to compare ${name} with ${sha} in ${owner}/${repo}: ${e.message}`);
+      return false;
+    }
+  };
+
+  let refs;
+  try {
+    const { data: repository } = await octokit.rest.repos.get({ owner, repo });
+    const defaultBranch = repository.default_branch;
+    const found = await contains(defaultBranch);
+    if (found === 'missing') return { reachable: false, ref: null };
+    if (found) return { reachable: true, ref: `refs/heads/${defaultBranch}` };
+
+    const tags = await octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 });
+    const branches = await octokit.paginate(octokit.rest.repos.listBranches, { owner, repo, per_page: 100 });
+    refs = [
+      ...sortTags(tags).map(tag => ({ ref: `refs/tags/${tag.name}`, name: tag.name, sha: tag.commit.sha })),
+      ...branches
+        .filter(branch => branch.name !== defaultBranch)
+        .map(branch => ({ ref: `refs/heads/${branch.name}`, name: branch.name, sha: branch.commit.sha }))
+    ];
+  } catch (e) {
+    logger.warn(`Failed to list refs of ${owner}/${repo}: ${e.message}`);
+    return { reachable: null, ref: null };
+  }
+
+  const head = refs.find(ref => ref.sha.toLowerCase() === sha);
+  if (head) {
+    return { reachable: true, ref: head.ref };
+  }
+
+  const remaining = refs.slice(0, MAX_COMPARISONS - comparisons);
+  for (const ref of remaining) {
+    const found = await contains(ref.name);
+    if (found === 'missing') return { reachable: false, ref: null };
+    if (found) return { reachable: true, ref: ref.ref };
+  }
+
+  if (refs.length > remaining.length) {
+    logger.warn(`${sha} was not found on the default branch or the first ${remaining.length} of ${refs.length} other refs of ${owner}/${repo}`);
+    return { reachable: null, ref: null };
+  }
+  return { reachable: false, ref: null };
+}
+
+export { verifyCommitReachable, MAX_COMPARISONS };
@@ -0,0 +1,116 @@
+import { verifyCommitReachable, MAX_COMPARISONS } from './impostor.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const PINNED = sha('ab');
+const NODE_ACTION = { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' };
+
+// v1.0.0 ... v1.<count - 1>.0, listed oldest first like a repository with a long history
+const releases = (count) => Object.fromEntries(Array.from({ length: count }, (_, i) => [`v1.${i}.0`, sha(`c${i}`)]));
+
+const compares = (client) => client.calls
+  .filter(call => call.startsWith('repos.compareCommitsWithBasehead'))
+  .map(call => call.split(' ').pop().split('...')[0]);
+
+async function verify(repository, commit = PINNED) {
+  const client = createFakeClient({ 'org/tool': repository });
+  return { client, result: await verifyCommitReachable(client.octokit, 'org', 'tool', commit) };
+}
+
+describe('verifyCommitReachable', () => {
+  test('confirms a commit on the default branch with one comparison and no ref listing', async () => {
+    const { client, result } = await verify({
+      defaultBranch: 'trunk',
+      branches: { trunk: sha('d1'), other: sha('d2') },
+      tags: releases(3),
+      ancestors: { trunk: [PINNED] }
+    });
+
+    expect(result).toEqual({ reachable: true, ref: 'refs/heads/trunk' });
+    expect(compares(client)).toEqual(['trunk']);
+    expect(client.calls.some(call => call.startsWith('repos.list'))).toBe(false);
+  });
+
+  test('matches branch and tag heads without comparing them', async () => {
+    const { client, result } = await verify({ branches: { main: sha('d1') }, tags: { ...releases(3), 'v0.9.0': PINNED } });
+
+    expect(result).toEqual({ reachable: true, ref: 'refs/tags/v0.9.0' });
+    expect(compares(client)).toEqual(['main']);
+  });
+
+  test('compares release tags newest first, before other tags and branches', async () => {
+    const { client, result } = await verify({
+      branches: { main: sha('d1'), 'feature/a': sha('d2') },
+      tags: { nightly: sha('e1'), ...releases(MAX_COMPARISONS + 10) },
+      ancestors: { [`v1.${MAX_COMPARISONS + 8}.0`]: [PINNED] }
+    });
+
+    expect(result).toEqual({ reachable: true, ref: `refs/tags/v1.${MAX_COMPARISONS + 8}.0` });
+    expect(compares(client)).toEqual(['main', `v1.${MAX_COMPARISONS + 9}.0`, `v1.${MAX_COMPARISONS + 8}.0`]);
+  });
+
+  test('reports a commit that only exists in a fork after the first comparison', async () => {
+    const { client, result } = await verify({ branches: { main: sha('d1') }, tags: releases(3) });
+
+    expect(result).toEqual({ reachable: false, ref: null });
+    expect(compares(client)).toEqual(['main']);
+  });
+
+  test('reports a commit in the fork network that no ref contains', async () => {
+    const { client, result } = await verify({
+      branches: { main: sha('d1'), dev: sha('d2') },
+      tags: releases(2),
+      ancestors: { 'deleted-branch': [PINNED] }
+    });
+
+    expect(result).toEqual({ reachable: false, ref: null });
+    expect(compares(client)).toEqual(['main', 'v1.1.0', 'v1.0.0', 'dev']);
+  });
+
+  test('leaves the commit unverified when the refs outnumber the comparisons or cannot be listed', async () => {
+    const { client, result } = await verify({
+      branches: { main: sha('d1') },
+      tags: releases(MAX_COMPARISONS + 10),
+      ancestors: { 'deleted-branch': [PINNED] }
+    });
+
+    expect(result).toEqual({ reachable: null, ref: null });
+    expect(compares(client)).toHaveLength(MAX_COMPARISONS);
+    expect((await verifyCommitReachable(client.octokit, 'org', 'missing', PINNED)).reachable).toBeNull();
+  });
+});
+
+describe('commit verification in a scan', () => {
+  test('reports impostor and unverified commits, and verifies each commit once', async () => {
+    const fork = sha('fa');
+    const client = createFakeClient({
+      'org/tool': { branches: { main: sha('d1') }, ancestors: { main: [PINNED] }, files: NODE_ACTION },
+      'org/big': {
+        branches: { main: sha('d2') },
+        tags: releases(MAX_COMPARISONS + 10),
+        ancestors: { 'deleted-branch': [PINNED] },
+        files: NODE_ACTION
+      },
+      'org/setup': {
+        tags: { v1: sha('b1') },
+        files: { 'action.yml': `runs:\n  using: composite\n  steps:\n    - uses: org/tool@${fork}\n    - uses: org/tool@${PINNED}\n` }
+      }
+    });
+    const scanner = new RecursiveActionScanner({ client });
+
+    const report = await scanner.scanActionList([`org/tool@${PINNED}`, 'org/setup@v1', `org/big@${PINNED}`]);
+
+    expect(report.securityFindings.map(finding => [finding.rule, finding.severity, finding.action, finding.path])).toEqual([
+      ['impostor-commit', 'error', `org/tool@${fork}`, ['org/setup@v1', `org/tool@${fork}`]],
+      ['unverified-commit', 'warning', `org/big@${PINNED}`, [`org/big@${PINNED}`]]
+    ]);
+    expect(report.summary).toMatchObject({ impostorCommits: 1, unverifiedCommits: 1 });
+    expect(report.allUniqueActions.map(node => [node.fullName, node.commitReachable])).toEqual([
+      [`org/tool@${PINNED}`, true],
+      ['org/setup@v1', undefined],
+      [`org/tool@${fork}`, false],
+      [`org/big@${PINNED}`, null]
+    ]);
+    expect(client.calls.filter(call => call === `repos.compareCommitsWithBasehead org/tool main...${PINNED}`)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,122 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { logger } from './utils.mjs';
+import { Policy } from './policy.mjs';
+
+const LOCKFILE_VERSION = 1;
+const DEFAULT_LOCKFILE = 'actions.lock.json';
+
+// Docker images and npm packages are pinned by their own digests and lockfiles
+const isActionNode = (node) => node.type !== 'docker-image' && node.type !== 'npm-package';
+const byName = (a, b) => a.localeCompare(b);
+
+/**
+ * Record every action node of a scan report with the commit its ref resolved to and
+ * the hash of its action.yml. Keys are sorted so the file diffs cleanly.
+ * @param {Object} report - Scan report
+ * @param {number} maxDepth - Depth the graph was scanned to
+ * @returns {Object} - Lockfile contents
+ */
+function createLockfile(report, maxDepth) {
+  const nodes = report.allUniqueActions.filter(isActionNode);
+  const dependencies = new Map(nodes.map(node => [node.fullName, new Set()]));
+  for (const edge of report.edges) {
+    if (dependencies.has(edge.from) && dependencies.has(edge.to)) {
+      dependencies.get(edge.from).add(edge.to);
+    }
+  }
+
+  const actions = {};
+  for (const node of nodes.sort((a, b) => byName(a.fullName, b.fullName))) {
+    if (!node.resolvedSha) {
+      logger.warn(`${node.fullName} could not be resolved to a commit; it is locked without one`);
+    }
+    actions[node.fullName] = {
+      type: node.type,
+      host: node.host || null,
+      resolvedSha: node.resolvedSha || null,
+      contentHash: node.contentHash || null,
+      dependencies: Array.from(dependencies.get(node.fullName)).sort(byName)
+    };
+  }
+
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    maxDepth,
+    roots: report.rootActions.map(root => root.reference).sort(byName),
+    actions
+  };
+}
+
+/**
+ * Read and check a lockfile written by createLockfile
+ * @param {string} path - Lockfile path
+ * @returns {Object} - Lockfile contents
+ */
+function readLockfile(path) {
+  if (!existsSync(path)) {
+    throw new Error(`Lockfile not found: ${path}`);
+  }
+  const lockfile = JSON.parse(readFileSync(path, 'utf8'));
+  if (lockfile?.lockfileVersion !== LOCKFILE_VERSION || typeof lockfile.actions !== 'object') {
+    throw new Error(`Unsupported lockfile ${path} (expected lockfileVersion ${LOCKFILE_VERSION})`);
+  }
+  return lockfile;
+}
+
+/**
+ * Compare a fresh scan of the same workflows against a lockfile
+ * @param {Object} lockfile - Lockfile contents
+ * @param {Object} report - Scan report
+ * @returns {Array} - Array of {code, fullName, message, locked, current, path}; empty
+ *                    when every ref still resolves to the locked commit and content
+ */
+function verifyLockfile(lockfile, report) {
+  const mismatches = [];
+  const paths = Policy.findPaths(report);
+  const current = new Map(report.allUniqueActions.filter(isActionNode).map(node => [node.fullName, node]));
+  const mismatch = (code, fullName, message, locked = null, actual = null) => mismatches.push({
+    code,
+    fullName,
+    message,
+    locked,
+    current: actual,
+    path: paths.get(fullName) || [fullName]
+  });
+
+  const lockedRoots = new Set(lockfile.roots || []);
+  const roots = new Set(report.rootActions.map(root => root.reference));
+  for (const root of roots) {
+    if (!lockedRoots.has(root)) mismatch('root-added', root, `${root} is used by the workflows but not locked`);
+  }
+  for (const root of lockedRoots) {
+    if (!roots.has(root)) mismatch('root-removed', root, `${root} is locked but no longer used by the workflows`);
+  }
+
+  for (const [fullName, locked] of Object.entries(lockfile.actions)) {
+    const node = current.get(fullName);
+    if (!node) {
+      mismatch('removed', fullName, `${fullName} is no longer in the dependency graph`);
+    } else if (locked.host && node.host && locked.host !== node.host) {
+      // e.g. a repository of the same name was created on the enterprise server
+      mismatch('host-changed', fullName, `${fullName} is now read from ${node.host} (locked ${locked.host})`, locked.host, node.host);
+    } else if (locked.resolvedSha && !node.resolvedSha) {
+      mismatch('unresolved', fullName, `${fullName} no longer resolves to a commit (locked ${locked.resolvedSha})`,
+        locked.resolvedSha, null);
+    } else if ((locked.resolvedSha || null) !== (node.resolvedSha || null)) {
+      mismatch('ref-moved', fullName, `${fullName} now resolves to ${node.resolvedSha} (locked ${locked.resolvedSha})`,
+        locked.resolvedSha, node.resolvedSha);
+    } else if ((locked.contentHash || null) !== (node.contentHash || null)) {
+      mismatch('content-changed', fullName, `The action file of ${fullName} changed`, locked.contentHash, node.contentHash || null);
+    }
+  }
+
+  for (const [fullName, node] of current) {
+    if (!(fullName in lockfile.actions)) {
+      mismatch('added', fullName, `${fullName} is in the dependency graph but not locked`, null, node.resolvedSha || null);
+    }
+  }
+
+  return mismatches;
+}
+
+export { DEFAULT_LOCKFILE, createLockfile, readLockfile, verifyLockfile };
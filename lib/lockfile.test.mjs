@@ -0,0 +1,147 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { createLockfile, readLockfile, verifyLockfile } from './lockfile.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const NODE_ACTION = 'runs:\n  using: node20\n  main: index.js\n';
+
+function repositories() {
+  return {
+    'org/setup': {
+      tags: { v1: sha('1') },
+      files: { 'action.yml': 'runs:\n  using: composite\n  steps:\n    - uses: org/tool@v2\n    - uses: docker://alpine:3\n' }
+    },
+    'org/tool': { tags: { v2: sha('2') }, files: { 'action.yml': NODE_ACTION } },
+    'org/extra': { tags: { v1: sha('3') }, files: { 'action.yml': NODE_ACTION } }
+  };
+}
+
+async function scan(repos, roots = ['org/setup@v1']) {
+  return new RecursiveActionScanner({ client: createFakeClient(repos) }).scanActionList(roots);
+}
+
+const codes = (mismatches) => mismatches.map(mismatch => `${mismatch.code} ${mismatch.fullName}`);
+
+describe('createLockfile', () => {
+  test('records the resolved commit, action.yml hash and dependencies of every action', async () => {
+    const lockfile = createLockfile(await scan(repositories()), 5);
+
+    expect(lockfile).toEqual({
+      lockfileVersion: 1,
+      maxDepth: 5,
+      roots: ['org/setup@v1'],
+      actions: {
+        'org/setup@v1': {
+          type: 'composite',
+          host: 'github.com',
+          resolvedSha: sha('1'),
+          contentHash: expect.stringMatching(/^sha256:[a-f0-9]{64}$/),
+          dependencies: ['org/tool@v2']
+        },
+        'org/tool@v2': {
+          type: 'javascript',
+          host: 'github.com',
+          resolvedSha: sha('2'),
+          contentHash: expect.stringMatching(/^sha256:[a-f0-9]{64}$/),
+          dependencies: []
+        }
+      }
+    });
+  });
+});
+
+describe('verifyLockfile', () => {
+  test('accepts a scan that still matches', async () => {
+    const lockfile = createLockfile(await scan(repositories()), 5);
+
+    expect(verifyLockfile(lockfile, await scan(repositories()))).toEqual([]);
+  });
+
+  test('reports a moved tag with both commits and the path to the action', async () => {
+    const lockfile = createLockfile(await scan(repositories()), 5);
+    const repos = repositories();
+    repos['org/tool'].tags.v2 = sha('9');
+
+    expect(verifyLockfile(lockfile, await scan(repos))).toEqual([{
+      code: 'ref-moved',
+      fullName: 'org/tool@v2',
+      message: `org/tool@v2 now resolves to ${sha('9')} (locked ${sha('2')})`,
+      locked: sha('2'),
+      current: sha('9'),
+      path: ['org/setup@v1', 'org/tool@v2']
+    }]);
+  });
+
+  test('reports a changed action file at the same commit', async () => {
+    const lockfile = createLockfile(await scan(repositories()), 5);
+    const repos = repositories();
+    repos['org/tool'].files['action.yml'] = 'runs:\n  using: node20\n  main: evil.js\n';
+
+    const mismatches = verifyLockfile(lockfile, await scan(repos));
+
+    expect(codes(mismatches)).toEqual(['content-changed org/tool@v2']);
+    expect(mismatches[0].locked).not.toBe(mismatches[0].current);
+  });
+
+  test('reports added and removed actions and roots', async () => {
+    const lockfile = createLockfile(await scan(repositories()), 5);
+    const repos = repositories();
+    repos['org/setup'].files['action.yml'] = 'runs:\n  using: composite\n  steps:\n    - uses: org/extra@v1\n';
+
+    const mismatches = verifyLockfile(lockfile, await scan(repos, ['org/setup@v1', 'org/extra@v1']));
+
+    expect(codes(mismatches)).toEqual([
+      'root-added org/extra@v1',
+      'content-changed org/setup@v1',
+      'removed org/tool@v2',
+      'added org/extra@v1'
+    ]);
+    expect(codes(verifyLockfile(lockfile, await scan(repositories(), [])))).toEqual([
+      'root-removed org/setup@v1',
+      'removed org/setup@v1',
+      'removed org/tool@v2'
+    ]);
+  });
+
+  test('reports refs that no longer resolve and actions read from another host', () => {
+    const lockfile = {
+      lockfileVersion: 1,
+      roots: ['org/a@v1'],
+      actions: {
+        'org/a@v1': { type: 'composite', host: 'github.com', resolvedSha: sha('1'), contentHash: 'sha256-a', dependencies: [] },
+        'org/b@v1': { type: 'composite', host: 'github.com', resolvedSha: sha('2'), contentHash: 'sha256-b', dependencies: [] }
+      }
+    };
+    const report = {
+      rootActions: [{ reference: 'org/a@v1', fullName: 'org/a@v1' }],
+      edges: [{ from: 'org/a@v1', to: 'org/b@v1' }],
+      allUniqueActions: [
+        { fullName: 'org/a@v1', type: 'composite', host: 'ghes.example.com', resolvedSha: sha('1'), contentHash: 'sha256-a' },
+        { fullName: 'org/b@v1', type: 'composite', host: 'github.com', resolvedSha: null }
+      ]
+    };
+
+    expect(verifyLockfile(lockfile, report).map(mismatch => [mismatch.code, mismatch.locked, mismatch.current])).toEqual([
+      ['host-changed', 'github.com', 'ghes.example.com'],
+      ['unresolved', sha('2'), null]
+    ]);
+  });
+});
+
+describe('readLockfile', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'lockfile-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('reads lockfiles it wrote and rejects missing or unknown ones', () => {
+    const path = join(dir, 'actions.lock.json');
+    writeFileSync(path, JSON.stringify({ lockfileVersion: 1, maxDepth: 5, roots: [], actions: {} }));
+    writeFileSync(join(dir, 'future.json'), JSON.stringify({ lockfileVersion: 2, actions: {} }));
+
+    expect(readLockfile(path)).toEqual({ lockfileVersion: 1, maxDepth: 5, roots: [], actions: {} });
+    expect(() => readLockfile(join(dir, 'future.json'))).toThrow('Unsupported lockfile');
+    expect(() => readLockfile(join(dir, 'missing.json'))).toThrow('Lockfile not found');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Collect the production packages recorded in a package-lock.json
+ * @param {Object} lockfile - Parsed package-lock.json (lockfileVersion 1, 2 or 3)
+ * @returns {Array} - Array of {name, version, resolved, integrity}
+ */
+function extractLockfilePackages(lockfile) {
+  const packages = [];
+
+  if (lockfile.packages) {
+    // lockfileVersion 2/3: flat map keyed by install path. devOptional packages are dev
+    // dependencies that are only optional outside the dev tree
+    for (const [installPath, entry] of Object.entries(lockfile.packages)) {
+      if (!installPath || entry.dev || entry.devOptional || entry.link) continue;
+      const name = entry.name || installPath.substring(installPath.lastIndexOf('node_modules/') + 'node_modules/'.length);
+      packages.push({
+        name,
+        version: entry.version,
+        resolved: entry.resolved,
+        integrity: entry.integrity
+      });
+    }
+  } else if (lockfile.dependencies) {
+    // lockfileVersion 1: nested dependency objects
+    const walk = (dependencies) => {
+      for (const [name, entry] of Object.entries(dependencies)) {
+        if (entry.dev) continue;
+        packages.push({
+          name,
+          version: entry.version,
+          resolved: entry.resolved,
+          integrity: entry.integrity
+        });
+        if (entry.dependencies) {
+          walk(entry.dependencies);
+        }
+      }
+    };
+    walk(lockfile.dependencies);
+  }
+
+  return packages;
+}
+
+class NpmPackage {
+  constructor(name, version, options = {}) {
+    this.name = name;
+    this.version = version;
+    this.direct = options.direct || false;
+    this.locked = options.locked || false;
+    this.resolved = options.resolved;
+    this.integrity = options.integrity;
+    this.type = 'npm-package';
+    this.dependencies = new Set();
+    this.edges = [];
+  }
+
+  /**
+   * Build the package nodes of a JavaScript action from its manifest and lockfile
+   * @param {Object} packageJson - Parsed package.json
+   * @param {Object|null} lockfile - Parsed package-lock.json, if the action ships one
+   * @returns {Array} - Array of NpmPackage nodes
+   */
+  static fromManifest(packageJson, lockfile = null) {
+    const direct = new Set(Object.keys({
+      ...packageJson.dependencies,
+      ...packageJson.optionalDependencies
+    }));
+
+    if (lockfile) {
+      const seen = new Set();
+      return extractLockfilePackages(lockfile)
+        .filter(({ name, version }) => {
+          const key = `${name}@${version}`;
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        })
+        .map(({ name, version, resolved, integrity }) => new NpmPackage(name, version, {
+          direct: direct.has(name),
+          locked: true,
+          resolved,
+          integrity
+        }));
+    }
+
+    // Without a lockfile only the declared ranges are known
+    return Object.entries({ ...packageJson.dependencies, ...packageJson.optionalDependencies })
+      .map(([name, range]) => new NpmPackage(name, range, { direct: true }));
+  }
+
+  get fullName() {
+    return `npm:${this.name}@${this.version}`;
+  }
+
+  get url() {
+    return this.locked
+      ? `https://www.npmjs.com/package/${this.name}/v/${this.version}`
+      : `https://www.npmjs.com/package/${this.name}`;
+  }
+
+  async scanDependencies() {
+    // The lockfile already lists the full package closure
+    return [];
+  }
+
+  toSummary() {
+    return {
+      fullName: this.fullName,
+      url: this.url,
+      type: this.type,
+      name: this.name,
+      version: this.version,
+      direct: this.direct,
+      locked: this.locked
+    };
+  }
+
+  toJSON() {
+    return {
+      ...this.toSummary(),
+      resolved: this.resolved,
+      integrity: this.integrity
+    };
+  }
+}
+
+export { NpmPackage, extractLockfilePackages };
@@ -0,0 +1,95 @@
+import { NpmPackage, extractLockfilePackages } from './npm.mjs';
+
+describe('extractLockfilePackages', () => {
+  test('reads the flat packages map of lockfileVersion 2/3 and skips the root, dev, devOptional and linked entries', () => {
+    const lockfile = {
+      lockfileVersion: 3,
+      packages: {
+        '': { name: 'my-action', version: '1.0.0' },
+        'node_modules/@actions/core': { version: '1.10.1', resolved: 'https://registry.npmjs.org/@actions/core/-/core-1.10.1.tgz', integrity: 'sha512-core' },
+        'node_modules/@actions/core/node_modules/uuid': { version: '8.3.2' },
+        'node_modules/jest': { version: '29.7.0', dev: true },
+        'node_modules/fsevents': { version: '2.3.3', devOptional: true, optional: true },
+        'node_modules/local-lib': { resolved: 'packages/local-lib', link: true },
+        'node_modules/aliased': { name: 'real-name', version: '2.0.0' }
+      }
+    };
+
+    expect(extractLockfilePackages(lockfile)).toEqual([
+      { name: '@actions/core', version: '1.10.1', resolved: 'https://registry.npmjs.org/@actions/core/-/core-1.10.1.tgz', integrity: 'sha512-core' },
+      { name: 'uuid', version: '8.3.2', resolved: undefined, integrity: undefined },
+      { name: 'real-name', version: '2.0.0', resolved: undefined, integrity: undefined }
+    ]);
+  });
+
+  test('walks the nested dependencies of lockfileVersion 1', () => {
+    const lockfile = {
+      lockfileVersion: 1,
+      dependencies: {
+        '@actions/http-client': {
+          version: '2.2.0',
+          dependencies: {
+            tunnel: { version: '0.0.6' }
+          }
+        },
+        eslint: { version: '8.56.0', dev: true, dependencies: { espree: { version: '9.6.1' } } }
+      }
+    };
+
+    expect(extractLockfilePackages(lockfile).map(({ name, version }) => `${name}@${version}`))
+      .toEqual(['@actions/http-client@2.2.0', 'tunnel@0.0.6']);
+  });
+
+  test('returns nothing for a lockfile without packages or dependencies', () => {
+    expect(extractLockfilePackages({ lockfileVersion: 3 })).toEqual([]);
+  });
+});
+
+describe('NpmPackage.fromManifest', () => {
+  const packageJson = {
+    dependencies: { '@actions/core': '^1.10.0' },
+    optionalDependencies: { fsevents: '^2.3.0' },
+    devDependencies: { jest: '^29.0.0' }
+  };
+
+  test('locks every lockfile package once and marks the declared ones as direct', () => {
+    const lockfile = {
+      lockfileVersion: 2,
+      packages: {
+        'node_modules/@actions/core': { version: '1.10.1' },
+        'node_modules/uuid': { version: '8.3.2' },
+        'node_modules/@actions/http-client/node_modules/uuid': { version: '8.3.2' }
+      }
+    };
+
+    const packages = NpmPackage.fromManifest(packageJson, lockfile);
+    expect(packages.map(node => node.toSummary())).toEqual([
+      {
+        fullName: 'npm:@actions/core@1.10.1',
+        url: 'https://www.npmjs.com/package/@actions/core/v/1.10.1',
+        type: 'npm-package',
+        name: '@actions/core',
+        version: '1.10.1',
+        direct: true,
+        locked: true
+      },
+      {
+        fullName: 'npm:uuid@8.3.2',
+        url: 'https://www.npmjs.com/package/uuid/v/8.3.2',
+        type: 'npm-package',
+        name: 'uuid',
+        version: '8.3.2',
+        direct: false,
+        locked: true
+      }
+    ]);
+  });
+
+  test('falls back to the declared ranges without a lockfile, leaving out dev dependencies', () => {
+    const packages = NpmPackage.fromManifest(packageJson);
+    expect(packages.map(node => [node.fullName, node.direct, node.locked, node.url])).toEqual([
+      ['npm:@actions/core@^1.10.0', true, false, 'https://www.npmjs.com/package/@actions/core'],
+      ['npm:fsevents@^2.3.0', true, false, 'https://www.npmjs.com/package/fsevents']
+    ]);
+  });
+});
@@ -0,0 +1,269 @@
+import { appendFileSync, existsSync, readFileSync } from 'node:fs';
+import { logger } from './utils.mjs';
+import { WorkflowParser } from './workflowParser.mjs';
+import { nodeIdentity } from './graphDiff.mjs';
+
+const VISIBILITIES = ['all', 'public', 'private', 'internal'];
+// Pin statuses of actions (commit SHA) and Docker images (digest) that can't move
+const PINNED = ['sha', 'digest'];
+
+/**
+ * Scans the workflows of many repositories (an organization or a list) one after the
+ * other and aggregates the results into a single inventory of the actions in use.
+ * Each finished repository is appended to a JSON Lines checkpoint, so an interrupted
+ * scan resumes where it stopped instead of starting over.
+ */
+class OrganizationScanner {
+  /**
+   * @param {RecursiveActionScanner} scanner - Scanner used for every repository
+   * @param {Object} options - {checkpoint: path of the checkpoint file}
+   */
+  constructor(scanner, options = {}) {
+    this.scanner = scanner;
+    this.client = scanner.client;
+    this.checkpoint = options.checkpoint || null;
+  }
+
+  /**
+   * List an organization's repositories
+   * @param {string} org - Organization login
+   * @param {Object} filters - {includeArchived, includeForks, topics: any of these,
+   *                           visibility: all|public|private|internal}
+   * @returns {Promise<Object>} - {repositories: full names, skipped: number filtered out}
+   */
+  async listRepositories(org, filters = {}) {
+    const visibility = filters.visibility || 'all';
+    const topics = (filters.topics || []).map(topic => topic.toLowerCase());
+    const all = await this.client.octokit.paginate(this.client.octokit.rest.repos.listForOrg, {
+      org,
+      type: 'all',
+      per_page: 100
+    });
+
+    const repositories = all
+      .filter(repo => filters.includeArchived || !repo.archived)
+      .filter(repo => filters.includeForks || !repo.fork)
+      .filter(repo => visibility === 'all' || (repo.visibility || (repo.private ? 'private' : 'public')) === visibility)
+      .filter(repo => topics.length === 0 || (repo.topics || []).some(topic => topics.includes(topic.toLowerCase())))
+      .map(repo => repo.full_name)
+      .sort((a, b) => a.localeCompare(b));
+
+    logger.info(`${org} has ${all.length} repositories, ${repositories.length} match the filters`);
+    return { repositories, skipped: all.length - repositories.length };
+  }
+
+  /**
+   * Read repositories from a file, one owner/repo or repository URL per line (# starts
+   * a comment)
+   * @param {string} path - List file
+   * @returns {Array} - owner/repo names
+   */
+  readRepositoriesFile(path) {
+    if (!existsSync(path)) {
+      throw new Error(`Repositories file not found: ${path}`);
+    }
+    const parser = new WorkflowParser(undefined, this.client);
+    const names = readFileSync(path, 'utf8')
+      .split('\n')
+      .map(line => line.replace(/#.*/, '').trim())
+      .filter(Boolean)
+      .map(line => {
+        const { owner, repo } = parser.parseRepoUrl(line);
+        return `${owner}/${repo}`;
+      });
+    return Array.from(new Set(names));
+  }
+
+  /**
+   * Repositories already scanned successfully according to the checkpoint file. A
+   * line cut short by an interruption is ignored, so that repository is scanned again.
+   * @returns {Map} - Full name → repository result
+   */
+  readCheckpoint() {
+    const completed = new Map();
+    if (!this.checkpoint || !existsSync(this.checkpoint)) return completed;
+
+    const content = readFileSync(this.checkpoint, 'utf8');
+    if (content && !content.endsWith('\n')) {
+      // Start the next entry on its own line instead of after the cut-off one
+      appendFileSync(this.checkpoint, '\n');
+    }
+    for (const line of content.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const result = JSON.parse(line);
+        if (result.success) {
+          completed.set(result.repository, result);
+        }
+      } catch (e) {
+        logger.warn(`Ignoring incomplete checkpoint entry in ${this.checkpoint}`);
+      }
+    }
+    return completed;
+  }
+
+  /**
+   * Scan one repository's default branch: its workflows, local actions and everything
+   * they reach
+   * @param {string} fullName - owner/repo
+   * @returns {Promise<Object>} - Repository result, with the report reduced to what the
+   *                              inventory needs
+   */
+  async scanRepository(fullName) {
+    const workflowParser = new WorkflowParser(undefined, this.client);
+    try {
+      const actionReferences = await workflowParser.scanRepositoryWorkflows(fullName);
+      const report = await this.scanner.scanActionList(actionReferences, workflowParser.locations,
+        workflowParser.securityFindings, workflowParser.exposures);
+
+      return {
+        repository: fullName,
+        success: true,
+        scannedAt: report.timestamp,
+        summary: report.summary,
+        // npm packages would dwarf the actions and are counted in the summary instead
+        nodes: report.allUniqueActions
+          .filter(node => node.type !== 'npm-package')
+          .map(node => ({
+            fullName: node.fullName,
+            identity: nodeIdentity(node),
+            type: node.type,
+            ref: node.type === 'docker-image' ? node.tag || node.digest || null : node.ref,
+            resolvedSha: node.type === 'docker-image' ? node.digest || null : node.resolvedSha || null,
+            pinStatus: node.type === 'docker-image' ? (node.pinned ? 'digest' : 'unpinned') : node.pinStatus || null,
+            isRootAction: node.isRootAction
+          }))
+      };
+    } catch (e) {
+      logger.error(`Failed to scan ${fullName}: ${e.message}`);
+      return { repository: fullName, success: false, scannedAt: new Date().toISOString(), error: e.message };
+    }
+  }
+
+  /**
+   * Scan every repository that the checkpoint doesn't already have
+   * @param {Array} repositories - owner/repo names
+   * @returns {Promise<Array>} - Results of all repositories, in the given order
+   */
+  async scanRepositories(repositories) {
+    const completed = this.readCheckpoint();
+    const resumed = repositories.filter(fullName => completed.has(fullName)).length;
+    if (resumed > 0) {
+      logger.info(`Resuming from ${this.checkpoint}: ${resumed} of ${repositories.length} repositories already scanned`);
+    }
+
+    const results = [];
+    for (const [index, fullName] of repositories.entries()) {
+      if (completed.has(fullName)) {
+        results.push(completed.get(fullName));
+        continue;
+      }
+
+      logger.info(`[${index + 1}/${repositories.length}] Scanning ${fullName}`);
+      const result = await this.scanRepository(fullName);
+      if (this.checkpoint) {
+        appendFileSync(this.checkpoint, JSON.stringify(result) + '\n');
+      }
+      results.push(result);
+    }
+    return results;
+  }
+
+  /**
+   * Aggregate repository results into one entry per action (owner/repo/path for
+   * actions, the image for Docker images) with the refs in use and the repositories
+   * using each
+   * @param {Array} results - Repository results from scanRepositories
+   * @returns {Array} - Array of {name, type, repositories, directlyUsedBy, versions:
+   *                    [{ref, resolvedSha, pinStatus, repositories}]}, most used first
+   */
+  buildInventory(results) {
+    const inventory = new Map();
+
+    for (const result of results) {
+      for (const node of result.nodes || []) {
+        if (!inventory.has(node.identity)) {
+          inventory.set(node.identity, {
+            name: node.identity.replace(/^(action|docker):/, '').replace(/\/$/, ''),
+            type: node.type,
+            repositories: new Set(),
+            directlyUsedBy: new Set(),
+            versions: new Map()
+          });
+        }
+        const entry = inventory.get(node.identity);
+        entry.repositories.add(result.repository);
+        if (node.isRootAction) {
+          entry.directlyUsedBy.add(result.repository);
+        }
+        // The most specific type wins over the generic 'action' of unfetched nodes
+        if (entry.type === 'action') {
+          entry.type = node.type;
+        }
+
+        const versionKey = `${node.ref} ${node.resolvedSha}`;
+        if (!entry.versions.has(versionKey)) {
+          entry.versions.set(versionKey, {
+            ref: node.ref,
+            resolvedSha: node.resolvedSha,
+            pinStatus: node.pinStatus,
+            repositories: new Set()
+          });
+        }
+        entry.versions.get(versionKey).repositories.add(result.repository);
+      }
+    }
+
+    const sorted = (set) => Array.from(set).sort((a, b) => a.localeCompare(b));
+    return Array.from(inventory.values())
+      .map(entry => ({
+        name: entry.name,
+        type: entry.type,
+        repositories: sorted(entry.repositories),
+        directlyUsedBy: sorted(entry.directlyUsedBy),
+        versions: Array.from(entry.versions.values())
+          .map(version => ({ ...version, repositories: sorted(version.repositories) }))
+          .sort((a, b) => b.repositories.length - a.repositories.length || String(a.ref).localeCompare(String(b.ref)))
+      }))
+      .sort((a, b) => b.repositories.length - a.repositories.length || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Scan the repositories and build the organization report
+   * @param {Array} repositories - owner/repo names
+   * @param {Object} context - {source: organization or list file, skipped: repositories
+   *                           left out by the filters}
+   * @returns {Promise<Object>} - Organization report
+   */
+  async scan(repositories, context = {}) {
+    const results = await this.scanRepositories(repositories);
+    const inventory = this.buildInventory(results);
+    const versions = inventory.flatMap(entry => entry.versions);
+
+    return {
+      timestamp: new Date().toISOString(),
+      source: context.source,
+      summary: {
+        repositories: repositories.length,
+        scanned: results.filter(result => result.success).length,
+        failed: results.filter(result => !result.success).length,
+        skippedByFilters: context.skipped || 0,
+        uniqueActions: inventory.length,
+        uniqueVersions: versions.length,
+        unpinnedVersions: versions.filter(version => version.pinStatus && !PINNED.includes(version.pinStatus)).length
+      },
+      repositories: results.map(result => ({
+        repository: result.repository,
+        success: result.success,
+        error: result.error,
+        scannedAt: result.scannedAt,
+        rootActions: result.summary?.totalRootActions ?? 0,
+        uniqueActions: result.summary?.totalUniqueActions ?? 0,
+        securityFindings: result.summary?.securityFindings ?? 0
+      })),
+      inventory
+    };
+  }
+}
+
+export { OrganizationScanner, VISIBILITIES };
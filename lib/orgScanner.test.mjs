@@ -0,0 +1,146 @@
+import { appendFileSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { OrganizationScanner } from './orgScanner.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, httpError, sha } from './__fixtures__/github.mjs';
+
+const CHECKOUT = sha('4a');
+const workflow = (...uses) => `on: push\njobs:\n  build:\n    runs-on: ubuntu-latest\n    steps:\n${uses.map(ref => `      - uses: ${ref}\n`).join('')}`;
+
+function repositories() {
+  return {
+    'acme/api': { files: { '.github/workflows/ci.yml': workflow('org/setup@v1', `actions/checkout@${CHECKOUT}`) } },
+    'acme/web': { files: { '.github/workflows/ci.yml': workflow('org/setup@v1', 'actions/checkout@v4') } },
+    'acme/docs': { files: {} },
+    'org/setup': {
+      tags: { v1: sha('1a') },
+      files: { 'action.yml': 'runs:\n  using: composite\n  steps:\n    - uses: org/tool@v2\n' }
+    },
+    'org/tool': { tags: { v2: sha('2a') }, files: { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' } },
+    'actions/checkout': {
+      branches: { main: CHECKOUT },
+      tags: { v4: CHECKOUT },
+      files: { 'action.yml': 'runs:\n  using: node20\n  main: dist/index.js\n' }
+    }
+  };
+}
+
+const ORG = [
+  { full_name: 'acme/web', visibility: 'public', topics: ['Production'] },
+  { full_name: 'acme/api', visibility: 'private', topics: ['production', 'backend'] },
+  { full_name: 'acme/docs', visibility: 'internal', topics: [] },
+  { full_name: 'acme/legacy', visibility: 'private', archived: true, topics: ['production'] },
+  { full_name: 'acme/upstream-fork', visibility: 'public', fork: true, topics: [] }
+];
+
+describe('OrganizationScanner.listRepositories', () => {
+  const orgScanner = () => new OrganizationScanner(new RecursiveActionScanner({ client: createFakeClient({}, { orgs: { acme: ORG } }) }));
+
+  test('skips archived repositories and forks unless asked to include them', async () => {
+    expect(await orgScanner().listRepositories('acme')).toEqual({ repositories: ['acme/api', 'acme/docs', 'acme/web'], skipped: 2 });
+    expect((await orgScanner().listRepositories('acme', { includeArchived: true, includeForks: true })).repositories)
+      .toEqual(['acme/api', 'acme/docs', 'acme/legacy', 'acme/upstream-fork', 'acme/web']);
+  });
+
+  test('keeps repositories with any of the topics and the given visibility', async () => {
+    expect((await orgScanner().listRepositories('acme', { topics: ['PRODUCTION'] })).repositories).toEqual(['acme/api', 'acme/web']);
+    expect((await orgScanner().listRepositories('acme', { visibility: 'internal' })).repositories).toEqual(['acme/docs']);
+    await expect(orgScanner().listRepositories('nobody')).rejects.toThrow('Not Found');
+  });
+});
+
+describe('OrganizationScanner.readRepositoriesFile', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'org-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('reads names and URLs, skipping comments and duplicates', () => {
+    const path = join(dir, 'repos.txt');
+    writeFileSync(path, '# services\nacme/api\nhttps://github.com/acme/web.git  # frontend\n\nacme/api\n');
+    const orgScanner = new OrganizationScanner(new RecursiveActionScanner({ client: createFakeClient() }));
+
+    expect(orgScanner.readRepositoriesFile(path)).toEqual(['acme/api', 'acme/web']);
+    expect(() => orgScanner.readRepositoriesFile(join(dir, 'missing.txt'))).toThrow('Repositories file not found');
+  });
+});
+
+describe('OrganizationScanner.scan', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'org-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('builds one inventory of the actions every repository reaches', async () => {
+    const orgScanner = new OrganizationScanner(new RecursiveActionScanner({ client: createFakeClient(repositories()) }));
+
+    const report = await orgScanner.scan(['acme/api', 'acme/web', 'acme/docs'], { source: 'acme', skipped: 2 });
+
+    expect(report.summary).toEqual({
+      repositories: 3,
+      scanned: 3,
+      failed: 0,
+      skippedByFilters: 2,
+      uniqueActions: 3,
+      uniqueVersions: 4,
+      unpinnedVersions: 3
+    });
+    expect(report.inventory.map(entry => [entry.name, entry.type, entry.repositories, entry.directlyUsedBy])).toEqual([
+      ['actions/checkout', 'javascript', ['acme/api', 'acme/web'], ['acme/api', 'acme/web']],
+      ['org/setup', 'composite', ['acme/api', 'acme/web'], ['acme/api', 'acme/web']],
+      ['org/tool', 'javascript', ['acme/api', 'acme/web'], []]
+    ]);
+    expect(report.inventory[0].versions).toEqual([
+      { ref: CHECKOUT, resolvedSha: CHECKOUT, pinStatus: 'sha', repositories: ['acme/api'] },
+      { ref: 'v4', resolvedSha: CHECKOUT, pinStatus: 'tag', repositories: ['acme/web'] }
+    ]);
+    expect(report.repositories.find(entry => entry.repository === 'acme/docs')).toMatchObject({ success: true, rootActions: 0 });
+  });
+
+  test('resolves and fetches an action used by several repositories once', async () => {
+    const client = createFakeClient(repositories());
+    const scanner = new RecursiveActionScanner({ client });
+
+    await new OrganizationScanner(scanner).scan(['acme/api', 'acme/web']);
+
+    const count = (prefix) => client.calls.filter(call => call.startsWith(prefix)).length;
+    expect(count('git.getRef org/setup tags/v1')).toBe(1);
+    expect(count('git.getRef org/tool tags/v2')).toBe(1);
+    expect(count('repos.get org/setup')).toBe(1);
+    expect(count('repos.getContent org/setup action.yml')).toBe(1);
+    expect(count('repos.getContent org/tool action.yml')).toBe(1);
+    expect(count(`repos.compareCommitsWithBasehead actions/checkout main...${CHECKOUT}`)).toBe(1);
+  });
+
+  test('records failed repositories and resumes from the checkpoint, retrying failures', async () => {
+    const checkpoint = join(dir, 'org-scan.jsonl');
+    const client = createFakeClient(repositories());
+    const getContent = client.octokit.rest.repos.getContent;
+    client.octokit.rest.repos.getContent = async (parameters) => {
+      if (parameters.repo === 'web') throw httpError(500, 'Server Error');
+      return getContent(parameters);
+    };
+
+    const first = await new OrganizationScanner(new RecursiveActionScanner({ client }), { checkpoint }).scan(['acme/api', 'acme/web']);
+
+    expect(first.summary).toMatchObject({ scanned: 1, failed: 1 });
+    expect(first.repositories[1]).toMatchObject({ repository: 'acme/web', success: false, error: 'Server Error' });
+
+    // An interrupted run leaves the last line cut short
+    appendFileSync(checkpoint, '{"repository":"acme/docs","succ');
+    const resumedClient = createFakeClient(repositories());
+
+    const second = await new OrganizationScanner(new RecursiveActionScanner({ client: resumedClient }), { checkpoint })
+      .scan(['acme/api', 'acme/web', 'acme/docs']);
+
+    expect(second.summary).toMatchObject({ scanned: 3, failed: 0, uniqueActions: 3 });
+    expect(resumedClient.calls.some(call => call.includes('acme/api'))).toBe(false);
+    expect(readFileSync(checkpoint, 'utf8').split('\n').filter(Boolean).map(line => {
+      try {
+        const { repository, success } = JSON.parse(line);
+        return `${repository} ${success}`;
+      } catch (e) {
+        return 'incomplete';
+      }
+    })).toEqual(['acme/api true', 'acme/web false', 'incomplete', 'acme/web true', 'acme/docs true']);
+  });
+});
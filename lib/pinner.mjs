@@ -0,0 +1,274 @@
+import { writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { Parser, CST } from 'yaml';
+import { logger, ACTION_NAME_REGEX } from './utils.mjs';
+import { FULL_SHA_RE, resolveRef } from './pinning.mjs';
+import { parseVersion, compareVersions } from './advisories.mjs';
+import { DirectoryParser } from './directoryParser.mjs';
+import { selectClient } from './githubClient.mjs';
+
+// Trailing comments that only name a version, as written by this command or Dependabot
+const VERSION_COMMENT_RE = /^#\s*(v?\d[\w.-]*)\s*$/;
+
+/**
+ * Visit every `uses:` scalar of a YAML file's CST
+ * @param {string} content - YAML content
+ * @param {Function} visitor - Called with (scalar token, uses value, trailing comment or null)
+ * @returns {Array} - The CST documents, to be stringified after editing
+ */
+function visitUses(content, visitor) {
+  const documents = Array.from(new Parser().parse(content));
+  for (const document of documents) {
+    CST.visit(document, (item) => {
+      if (!item.key || !CST.isScalar(item.key) || !item.value || !CST.isScalar(item.value)) return;
+      if (CST.resolveAsScalar(item.key)?.value !== 'uses') return;
+
+      const uses = CST.resolveAsScalar(item.value)?.value;
+      const comment = item.value.end?.find(token => token.type === 'comment')?.source ?? null;
+      if (typeof uses === 'string') {
+        visitor(item.value, uses.trim(), comment);
+      }
+    });
+  }
+  return documents;
+}
+
+/**
+ * Rewrites `uses:` references in workflow and composite action files to full commit
+ * SHAs, keeping the tag they pointed at as a trailing comment. Files are edited through
+ * the YAML CST, so everything but the rewritten values stays byte for byte the same.
+ */
+class Pinner {
+  /**
+   * @param {GitHubClient} client - Shared API client
+   * @param {Object} options - {update: move to the newest release of the same major,
+   *                           contentCache: on-disk cache for ref resolutions,
+   *                           fallbackClient: github.com client for repositories the
+   *                           configured server doesn't have}
+   */
+  constructor(client, options = {}) {
+    this.client = client;
+    this.fallbackClient = options.fallbackClient || null;
+    this.update = Boolean(options.update);
+    this.contentCache = options.contentCache || null;
+    this.hosts = new Map();
+    this.tags = new Map();
+    this.pins = new Map();
+  }
+
+  /**
+   * Octokit of the server an action's repository is read from
+   * @returns {Promise<Object>}
+   */
+  async octokitFor(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    if (!this.hosts.has(key)) {
+      this.hosts.set(key, selectClient(this.client, this.fallbackClient, owner, repo));
+    }
+    return (await this.hosts.get(key)).octokit;
+  }
+
+  /**
+   * List the `uses:` references of a file that this command would rewrite
+   * @param {string} content - YAML content
+   * @returns {Array} - Array of {uses, comment}
+   */
+  findReferences(content) {
+    const references = [];
+    visitUses(content, (token, uses, comment) => {
+      if (ACTION_NAME_REGEX.test(uses)) {
+        references.push({ uses, comment });
+      }
+    });
+    return references;
+  }
+
+  /**
+   * Release tags of a repository, fetched once
+   * @returns {Promise<Array>} - Array of {name, version, sha}
+   */
+  listReleaseTags(owner, repo) {
+    const key = `${owner}/${repo}`.toLowerCase();
+    if (!this.tags.has(key)) {
+      this.tags.set(key, this.octokitFor(owner, repo)
+        .then(octokit => octokit.paginate(octokit.rest.repos.listTags, { owner, repo, per_page: 100 }))
+        .then(tags => tags
+          .map(tag => ({ name: tag.name, version: parseVersion(tag.name), sha: tag.commit.sha }))
+          .filter(tag => tag.version && tag.version.every(part => part !== null)))
+        .catch(e => {
+          logger.warn(`Failed to list tags of ${owner}/${repo}: ${e.message}`);
+          return [];
+        }));
+    }
+    return this.tags.get(key);
+  }
+
+  /**
+   * Newest full release tag with the same major version as the given tag
+   * @returns {Promise<Object|null>} - {name, version, sha}, or null if there is none
+   */
+  async findNewestInMajor(owner, repo, tag) {
+    const current = parseVersion(tag);
+    if (!current) return null;
+
+    return (await this.listReleaseTags(owner, repo))
+      .filter(candidate => candidate.version[0] === current[0])
+      .reduce((newest, candidate) =>
+        (!newest || compareVersions(candidate.version, newest.version) > 0 ? candidate : newest), null);
+  }
+
+  /**
+   * Work out what a reference should be rewritten to
+   * @param {string} uses - The `uses:` value
+   * @param {string|null} comment - Its trailing comment
+   * @returns {Promise<Object|null>} - {uses, tag} to write, or null to leave it alone
+   */
+  async resolve(uses, comment) {
+    const { org, action, subPath, ref } = uses.match(ACTION_NAME_REGEX).groups;
+    const prefix = `${org}/${action}${subPath ? `/${subPath}` : ''}`;
+    const commentTag = comment?.match(VERSION_COMMENT_RE)?.[1] ?? null;
+    // A SHA pin's version is only known from its comment
+    const tag = FULL_SHA_RE.test(ref) ? commentTag : ref;
+
+    if (this.update && tag) {
+      // A floating v4 counts as v4.0.0, so it moves to the newest 4.x.y release
+      const newest = await this.findNewestInMajor(org, action, tag);
+      if (newest && newest.name !== tag && compareVersions(newest.version, parseVersion(tag)) >= 0) {
+        return { uses: `${prefix}@${newest.sha}`, tag: newest.name };
+      }
+    }
+
+    if (FULL_SHA_RE.test(ref)) {
+      return null;
+    }
+
+    const key = `${org}/${action}@${ref}`.toLowerCase();
+    if (!this.pins.has(key)) {
+      this.pins.set(key, this.octokitFor(org, action)
+        .then(octokit => resolveRef(octokit, org, action, ref, this.contentCache)));
+    }
+    const { sha } = await this.pins.get(key);
+    return sha ? { uses: `${prefix}@${sha}`, tag: ref } : null;
+  }
+
+  /**
+   * Resolve every reference of a file and return the rewritten content
+   * @param {string} content - YAML content
+   * @returns {Promise<Object>} - {content, changes: [{from, to, tag}]}
+   */
+  async pinContent(content) {
+    const resolutions = new Map();
+    await Promise.all(this.findReferences(content).map(async ({ uses, comment }) => {
+      const key = `${uses}\n${comment}`;
+      if (!resolutions.has(key)) {
+        resolutions.set(key, null);
+        resolutions.set(key, await this.resolve(uses, comment));
+      }
+    }));
+
+    const changes = [];
+    const documents = visitUses(content, (token, uses, comment) => {
+      const resolution = resolutions.get(`${uses}\n${comment}`);
+      if (!resolution) return;
+
+      CST.setScalarValue(token, resolution.uses);
+      changes.push({ from: uses, to: resolution.uses, tag: resolution.tag });
+
+      // Scalars inside a flow collection ({uses: ...}) can't carry a trailing comment
+      const end = token.end || [];
+      if (!end.some(endToken => endToken.type === 'newline' || endToken.type === 'comment')) {
+        logger.warn(`Pinned ${uses} inside a flow collection; its tag ${resolution.tag} is not kept as a comment`);
+        return;
+      }
+      const existing = end.find(endToken => endToken.type === 'comment');
+      let text = `# ${resolution.tag}`;
+      if (existing && !VERSION_COMMENT_RE.test(existing.source)) {
+        text += ` - ${existing.source.replace(/^#\s*/, '')}`;
+      }
+      if (existing) {
+        existing.source = text;
+      } else {
+        end.splice(end.findIndex(endToken => endToken.type === 'newline'), 0,
+          { type: 'space', offset: token.offset, indent: token.indent, source: ' ' },
+          { type: 'comment', offset: token.offset, indent: token.indent, source: text });
+      }
+    });
+
+    return { content: documents.map(document => CST.stringify(document)).join(''), changes };
+  }
+
+  /**
+   * Pin the workflows of a local checkout and the local actions they use
+   * @param {string} rootDir - Checkout root
+   * @param {boolean} dryRun - Only compute the diff, don't write anything
+   * @returns {Promise<Array>} - Array of {file, changes, diff} for each file that changes
+   */
+  async pinCheckout(rootDir, dryRun = false) {
+    const directoryParser = new DirectoryParser(rootDir);
+    await directoryParser.scanRepositoryWorkflows(directoryParser.rootDir);
+    const files = new Set(Array.from(directoryParser.locations.values()).flat().map(location => location.file));
+
+    const results = [];
+    for (const file of Array.from(files).sort()) {
+      const before = directoryParser.readFile(file);
+      const { content, changes } = await this.pinContent(before);
+      if (content === before) continue;
+
+      results.push({ file, changes, diff: unifiedDiff(file, before, content) });
+      if (!dryRun) {
+        writeFileSync(join(directoryParser.rootDir, file), content);
+        logger.info(`Pinned ${changes.length} references in ${file}`);
+      }
+    }
+    return results;
+  }
+}
+
+/**
+ * Unified diff of two versions of a file with the same number of lines, which is
+ * what pinning produces: values and comments change, lines are never added or removed
+ * @param {string} path - File path for the ---/+++ headers
+ * @param {string} before - Original content
+ * @param {string} after - Rewritten content
+ * @param {number} context - Lines of context around each change
+ * @returns {string} - Diff, empty if nothing changed
+ */
+function unifiedDiff(path, before, after, context = 3) {
+  const toLines = (content) => content.replace(/\n$/, '').split('\n');
+  const oldLines = toLines(before);
+  const newLines = toLines(after);
+  const changed = oldLines.map((line, i) => line !== newLines[i]);
+
+  const hunks = [];
+  for (let i = 0; i < changed.length; i++) {
+    if (!changed[i]) continue;
+    const start = Math.max(0, i - context);
+    const last = hunks[hunks.length - 1];
+    if (last && start <= last.end) {
+      last.end = Math.min(oldLines.length, i + context + 1);
+    } else {
+      hunks.push({ start, end: Math.min(oldLines.length, i + context + 1) });
+    }
+  }
+  if (hunks.length === 0) return '';
+
+  let diff = `--- a/${path}\n+++ b/${path}\n`;
+  for (const { start, end } of hunks) {
+    diff += `@@ -${start + 1},${end - start} +${start + 1},${end - start} @@\n`;
+    for (let i = start; i < end; i++) {
+      if (!changed[i]) {
+        diff += ` ${oldLines[i]}\n`;
+        continue;
+      }
+      // Removals of a run of changed lines come before its additions
+      let runEnd = i;
+      while (runEnd < end && changed[runEnd]) runEnd++;
+      diff += oldLines.slice(i, runEnd).map(line => `-${line}\n`).join('');
+      diff += newLines.slice(i, runEnd).map(line => `+${line}\n`).join('');
+      i = runEnd - 1;
+    }
+  }
+  return diff;
+}
+
+export { Pinner, unifiedDiff };
@@ -0,0 +1,153 @@
+import { mkdtempSync, mkdirSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Pinner, unifiedDiff } from './pinner.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const CHECKOUT_V4 = sha('4a');
+const CHECKOUT_V410 = sha('41');
+const CHECKOUT_V422 = sha('42');
+const CHECKOUT_V5 = sha('5a');
+const CACHE_V3 = sha('3c');
+
+function createPinner(options = {}) {
+  const client = createFakeClient({
+    'actions/checkout': {
+      tags: { v4: CHECKOUT_V4, 'v4.1.0': CHECKOUT_V410, 'v4.2.2': CHECKOUT_V422, 'v5.0.0': CHECKOUT_V5 }
+    },
+    'actions/cache': { tags: { v3: CACHE_V3 } }
+  });
+  return { client, pinner: new Pinner(client, options) };
+}
+
+describe('Pinner.pinContent', () => {
+  test('rewrites tags to SHAs and keeps the tag as a comment, leaving everything else untouched', async () => {
+    const { pinner } = createPinner();
+    const content = `name: CI   # keep this
+on: push
+jobs:
+  build:
+    steps:
+      - uses: actions/checkout@v4
+      - uses: "actions/cache/save@v3"   # cache the build
+      - uses: ./.github/actions/local
+      - uses: docker://alpine:3
+      - uses: actions/checkout@${CHECKOUT_V410} # v4.1.0
+`;
+
+    const { content: pinned, changes } = await pinner.pinContent(content);
+
+    expect(pinned).toBe(`name: CI   # keep this
+on: push
+jobs:
+  build:
+    steps:
+      - uses: actions/checkout@${CHECKOUT_V4} # v4
+      - uses: "actions/cache/save@${CACHE_V3}"   # v3 - cache the build
+      - uses: ./.github/actions/local
+      - uses: docker://alpine:3
+      - uses: actions/checkout@${CHECKOUT_V410} # v4.1.0
+`);
+    expect(changes).toEqual([
+      { from: 'actions/checkout@v4', to: `actions/checkout@${CHECKOUT_V4}`, tag: 'v4' },
+      { from: 'actions/cache/save@v3', to: `actions/cache/save@${CACHE_V3}`, tag: 'v3' }
+    ]);
+  });
+
+  test('pins references inside flow collections without a comment', async () => {
+    const { pinner } = createPinner();
+
+    const { content } = await pinner.pinContent('jobs:\n  build:\n    steps: [{ uses: actions/checkout@v4 }]\n');
+
+    expect(content).toBe(`jobs:\n  build:\n    steps: [{ uses: actions/checkout@${CHECKOUT_V4} }]\n`);
+  });
+
+  test('leaves references it cannot resolve alone and resolves each reference once', async () => {
+    const { client, pinner } = createPinner();
+    const content = 'runs:\n  using: composite\n  steps:\n    - uses: actions/checkout@v4\n    - uses: actions/checkout@v4\n    - uses: org/missing@v1\n';
+
+    const { content: pinned, changes } = await pinner.pinContent(content);
+
+    expect(pinned).toContain('    - uses: org/missing@v1\n');
+    expect(changes).toHaveLength(2);
+    expect(client.calls.filter(call => call.includes('actions/checkout tags/v4'))).toHaveLength(1);
+  });
+
+  test('with update, moves tags and commented SHA pins to the newest release of the same major', async () => {
+    const { pinner } = createPinner({ update: true });
+    const content = `steps:
+  - uses: actions/checkout@v4
+  - uses: actions/checkout@${CHECKOUT_V410} # v4.1.0
+  - uses: actions/checkout@${CHECKOUT_V422} # v4.2.2
+  - uses: actions/cache@v3
+`;
+
+    const { content: pinned, changes } = await pinner.pinContent(content);
+
+    expect(pinned).toBe(`steps:
+  - uses: actions/checkout@${CHECKOUT_V422} # v4.2.2
+  - uses: actions/checkout@${CHECKOUT_V422} # v4.2.2
+  - uses: actions/checkout@${CHECKOUT_V422} # v4.2.2
+  - uses: actions/cache@${CACHE_V3} # v3
+`);
+    expect(changes.map(change => change.tag)).toEqual(['v4.2.2', 'v4.2.2', 'v3']);
+  });
+});
+
+describe('unifiedDiff', () => {
+  test('shows changed lines with context and merges nearby hunks', () => {
+    const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i', 'j', 'k', 'l'].join('\n') + '\n';
+    const after = before.replace('b\n', 'B\n').replace('c\n', 'C\n').replace('l\n', 'L\n');
+
+    expect(unifiedDiff('ci.yml', before, after, 1)).toBe([
+      '--- a/ci.yml',
+      '+++ b/ci.yml',
+      '@@ -1,4 +1,4 @@',
+      ' a',
+      '-b',
+      '-c',
+      '+B',
+      '+C',
+      ' d',
+      '@@ -11,2 +11,2 @@',
+      ' k',
+      '-l',
+      '+L',
+      ''
+    ].join('\n'));
+    expect(unifiedDiff('ci.yml', before, before)).toBe('');
+  });
+});
+
+describe('Pinner.pinCheckout', () => {
+  let rootDir;
+  beforeEach(() => {
+    rootDir = mkdtempSync(join(tmpdir(), 'pinner-'));
+    mkdirSync(join(rootDir, '.github', 'workflows'), { recursive: true });
+    mkdirSync(join(rootDir, '.github', 'actions', 'setup'), { recursive: true });
+    writeFileSync(join(rootDir, '.github', 'workflows', 'ci.yml'),
+      'on: push\njobs:\n  build:\n    steps:\n      - uses: actions/checkout@v4\n      - uses: ./.github/actions/setup\n');
+    writeFileSync(join(rootDir, '.github', 'actions', 'setup', 'action.yml'),
+      'runs:\n  using: composite\n  steps:\n    - uses: actions/cache@v3\n');
+  });
+  afterEach(() => rmSync(rootDir, { recursive: true, force: true }));
+
+  test('pins workflows and the local actions they use, or only diffs them in a dry run', async () => {
+    const { pinner } = createPinner();
+
+    const dryRun = await pinner.pinCheckout(rootDir, true);
+
+    expect(dryRun.map(result => [result.file, result.changes.length])).toEqual([
+      ['.github/actions/setup/action.yml', 1],
+      ['.github/workflows/ci.yml', 1]
+    ]);
+    expect(dryRun[1].diff).toContain(`+      - uses: actions/checkout@${CHECKOUT_V4} # v4\n`);
+    expect(readFileSync(join(rootDir, '.github', 'workflows', 'ci.yml'), 'utf8')).toContain('actions/checkout@v4\n');
+
+    await pinner.pinCheckout(rootDir);
+
+    expect(readFileSync(join(rootDir, '.github', 'workflows', 'ci.yml'), 'utf8')).toContain(`actions/checkout@${CHECKOUT_V4} # v4\n`);
+    expect(readFileSync(join(rootDir, '.github', 'actions', 'setup', 'action.yml'), 'utf8')).toContain(`actions/cache@${CACHE_V3} # v3\n`);
+    expect(await pinner.pinCheckout(rootDir)).toEqual([]);
+  });
+});
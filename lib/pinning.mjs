@@ -0,0 +1,89 @@
+import { logger } from './utils.mjs';
+
+const FULL_SHA_RE = /^[a-fA-F0-9]{40}$/;
+
+/**
+ * Follow a git ref object to the commit it points at, peeling annotated tags
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} object - The ref's target object ({type, sha})
+ * @returns {Promise<string>} - Commit SHA
+ */
+async function peelToCommit(octokit, owner, repo, object) {
+  let target = object;
+  while (target.type === 'tag') {
+    const { data: tag } = await octokit.rest.git.getTag({ owner, repo, tag_sha: target.sha });
+    target = tag.object;
+  }
+  return target.sha;
+}
+
+/**
+ * Revalidate a cached tag/branch resolution with a conditional request on its ETag
+ * @returns {Promise<Object|null>} - The cached resolution if the ref is unchanged, otherwise null
+ */
+async function revalidateRef(octokit, owner, repo, cached) {
+  try {
+    await octokit.rest.git.getRef({
+      owner,
+      repo,
+      ref: cached.gitRef,
+      headers: { 'if-none-match': cached.etag }
+    });
+  } catch (e) {
+    if (e.status === 304) {
+      return cached;
+    }
+    logger.debug(`Failed to revalidate ${cached.gitRef} in ${owner}/${repo}: ${e.message}`);
+  }
+  return null;
+}
+
+/**
+ * Classify a ref as sha, tag or branch and resolve it to the commit it currently points to
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} ref - Ref from the uses: string
+ * @param {ContentCache|null} contentCache - On-disk cache to revalidate previous resolutions against
+ * @returns {Promise<Object>} - {status: 'sha'|'tag'|'branch'|'unknown', sha}
+ */
+async function resolveRef(octokit, owner, repo, ref, contentCache = null) {
+  if (FULL_SHA_RE.test(ref)) {
+    return { status: 'sha', sha: ref.toLowerCase() };
+  }
+
+  const cached = contentCache?.getRef(owner, repo, ref);
+  if (cached?.etag) {
+    const unchanged = await revalidateRef(octokit, owner, repo, cached);
+    if (unchanged) {
+      contentCache.stats.revalidated++;
+      return { status: unchanged.status, sha: unchanged.sha };
+    }
+  }
+
+  // Tags win over branches of the same name, matching how the runner resolves refs
+  for (const [status, prefix] of [['tag', 'tags'], ['branch', 'heads']]) {
+    try {
+      const gitRef = `${prefix}/${ref}`;
+      const { data, headers } = await octokit.rest.git.getRef({ owner, repo, ref: gitRef });
+      const sha = await peelToCommit(octokit, owner, repo, data.object);
+      contentCache?.putRef(owner, repo, ref, { status, sha, gitRef, etag: headers.etag });
+      return { status, sha };
+    } catch (e) {
+      if (e.status !== 404) {
+        logger.debug(`Failed to resolve ${prefix}/${ref} in ${owner}/${repo}: ${e.message}`);
+      }
+    }
+  }
+
+  logger.warn(`Could not resolve ref ${ref} in ${owner}/${repo} to a commit`);
+  return { status: 'unknown', sha: null };
+}
+
+function isPinned(pinStatus) {
+  return pinStatus === 'sha';
+}
+
+export { FULL_SHA_RE, resolveRef, isPinned };
@@ -0,0 +1,86 @@
+import { resolveRef, isPinned, FULL_SHA_RE } from './pinning.mjs';
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, httpError, sha } from './__fixtures__/github.mjs';
+
+describe('resolveRef', () => {
+  const client = createFakeClient({
+    'actions/checkout': {
+      tags: { v4: sha('4'), main: sha('7') },
+      branches: { main: sha('8'), releases: sha('9') }
+    }
+  });
+
+  test('a full SHA is pinned without any request', async () => {
+    const calls = client.calls.length;
+    expect(await resolveRef(client.octokit, 'actions', 'checkout', 'A'.repeat(40))).toEqual({ status: 'sha', sha: 'a'.repeat(40) });
+    expect(client.calls.length).toBe(calls);
+  });
+
+  test('tags are resolved before branches of the same name', async () => {
+    expect(await resolveRef(client.octokit, 'actions', 'checkout', 'v4')).toEqual({ status: 'tag', sha: sha('4') });
+    expect(await resolveRef(client.octokit, 'actions', 'checkout', 'main')).toEqual({ status: 'tag', sha: sha('7') });
+    expect(await resolveRef(client.octokit, 'actions', 'checkout', 'releases')).toEqual({ status: 'branch', sha: sha('9') });
+  });
+
+  test('a ref that is neither a tag nor a branch is unknown', async () => {
+    expect(await resolveRef(client.octokit, 'actions', 'checkout', 'v999')).toEqual({ status: 'unknown', sha: null });
+  });
+
+  test('annotated tags are peeled to the commit they point at', async () => {
+    const octokit = {
+      rest: {
+        git: {
+          getRef: async ({ ref }) => {
+            if (ref !== 'tags/v1') throw httpError(404);
+            return { data: { object: { type: 'tag', sha: sha('1') } }, headers: {} };
+          },
+          getTag: async ({ tag_sha }) => ({ data: { object: tag_sha === sha('1') ? { type: 'tag', sha: sha('2') } : { type: 'commit', sha: sha('3') } } })
+        }
+      }
+    };
+    expect(await resolveRef(octokit, 'org', 'action', 'v1')).toEqual({ status: 'tag', sha: sha('3') });
+  });
+
+  test('a cached resolution is reused when the ref is unchanged (304)', async () => {
+    const contentCache = {
+      stats: { revalidated: 0 },
+      getRef: () => ({ status: 'tag', sha: sha('5'), gitRef: 'tags/v5', etag: '"etag"' }),
+      putRef: () => { throw new Error('unexpected write'); }
+    };
+    const octokit = { rest: { git: { getRef: async ({ headers }) => { throw httpError(headers['if-none-match'] === '"etag"' ? 304 : 500); } } } };
+
+    expect(await resolveRef(octokit, 'org', 'action', 'v5', contentCache)).toEqual({ status: 'tag', sha: sha('5') });
+    expect(contentCache.stats.revalidated).toBe(1);
+  });
+});
+
+describe('isPinned', () => {
+  test('only commit SHAs are pinned', () => {
+    expect(isPinned('sha')).toBe(true);
+    expect(['tag', 'branch', 'unknown'].map(isPinned)).toEqual([false, false, false]);
+    expect(FULL_SHA_RE.test(sha('c'))).toBe(true);
+    expect(FULL_SHA_RE.test('c'.repeat(39))).toBe(false);
+  });
+});
+
+describe('scan report pinning', () => {
+  test('lists every action not pinned to a SHA with its resolved commit and path from the root', async () => {
+    const client = createFakeClient({
+      'org/composite': {
+        branches: { main: sha('1') },
+        files: { 'action.yml': `runs:\n  using: composite\n  steps:\n    - uses: actions/checkout@v4\n    - uses: actions/cache@${sha('c')}\n` }
+      },
+      'actions/checkout': { tags: { v4: sha('4') }, files: { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' } },
+      'actions/cache': { files: { 'action.yml': 'runs:\n  using: node20\n  main: index.js\n' } }
+    });
+    const scanner = new RecursiveActionScanner({ client });
+
+    const report = await scanner.scanActionList(['org/composite@main']);
+
+    expect(report.pinning).toEqual([
+      { fullName: 'org/composite@main', ref: 'main', pinStatus: 'branch', resolvedSha: sha('1'), path: ['org/composite@main'] },
+      { fullName: 'actions/checkout@v4', ref: 'v4', pinStatus: 'tag', resolvedSha: sha('4'), path: ['org/composite@main', 'actions/checkout@v4'] }
+    ]);
+    expect(report.summary.unpinnedActions).toBe(2);
+  });
+});
@@ -0,0 +1,171 @@
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import YAML from 'yaml';
+import { logger } from './utils.mjs';
+
+const DEFAULT_POLICY_FILE = '.action-scanner.yml';
+const SEVERITY_LEVELS = ['none', 'warning', 'error'];
+
+/**
+ * Convert an owner/repo glob to a regular expression: `*` matches within one path
+ * segment, `**` matches across segments
+ * @param {string} glob - Glob such as "actions/*" or "my-org/**"
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+/**
+ * Compare a severity against a --fail-on threshold
+ * @param {string} severity - Violation severity ('warning' or 'error')
+ * @param {string} threshold - 'none', 'warning' or 'error'
+ * @returns {boolean}
+ */
+function meetsThreshold(severity, threshold) {
+  const level = SEVERITY_LEVELS.indexOf(threshold);
+  return level > 0 && SEVERITY_LEVELS.indexOf(severity) >= level;
+}
+
+/**
+ * Read a list option of a policy file; a single value stands for a one-element list
+ * @param {Object} config - Parsed policy file
+ * @param {string} key - Option name
+ * @returns {Array} - Strings
+ */
+function listOption(config, key) {
+  const value = config[key] ?? [];
+  const list = typeof value === 'string' ? [value] : value;
+  if (!Array.isArray(list) || list.some(entry => typeof entry !== 'string')) {
+    throw new Error(`Policy option ${key} must be a list of names`);
+  }
+  return list;
+}
+
+/**
+ * Allowlist/denylist rules from a `.action-scanner.yml` policy file:
+ *
+ *   allowed-owners: [actions, github]
+ *   denied-owners: [some-org]
+ *   allowed-repos: ['my-org/*']
+ *   denied-repos: ['tj-actions/changed-files']
+ *   require-sha-pinning: true      # or 'warning'
+ *   max-depth: 3
+ */
+class Policy {
+  constructor(config = {}, source = null) {
+    this.source = source;
+    this.allowedOwners = listOption(config, 'allowed-owners').map(owner => owner.toLowerCase());
+    this.deniedOwners = listOption(config, 'denied-owners').map(owner => owner.toLowerCase());
+    this.allowedRepos = listOption(config, 'allowed-repos').map(globToRegExp);
+    this.deniedRepos = listOption(config, 'denied-repos').map(globToRegExp);
+    this.requireShaPinning = config['require-sha-pinning'] === true ? 'error' : (config['require-sha-pinning'] || false);
+    this.maxDepth = config['max-depth'] ?? null;
+  }
+
+  /**
+   * Load a policy file; a missing default file means no policy
+   * @param {string|undefined} path - Explicit policy path
+   * @param {string} rootDir - Checkout the default policy file is looked up in
+   * @returns {Policy|null}
+   */
+  static load(path, rootDir = '.') {
+    const policyPath = path || join(rootDir, DEFAULT_POLICY_FILE);
+    if (!existsSync(policyPath)) {
+      if (path) {
+        throw new Error(`Policy file not found: ${path}`);
+      }
+      return null;
+    }
+
+    logger.info(`Loading policy from ${policyPath}`);
+    return new Policy(YAML.parse(readFileSync(policyPath, 'utf8')) || {}, policyPath);
+  }
+
+  /**
+   * Shortest path from a root to every node, following the report's edges
+   * @param {Object} report - Scan report
+   * @returns {Map} - fullName → array of full names from the root down to the node
+   */
+  static findPaths(report) {
+    const paths = new Map();
+    const children = new Map();
+    for (const edge of report.edges || []) {
+      if (!children.has(edge.from)) children.set(edge.from, []);
+      children.get(edge.from).push(edge.to);
+    }
+
+    const queue = [];
+    for (const root of report.rootActions) {
+      if (root.fullName && !paths.has(root.fullName)) {
+        paths.set(root.fullName, [root.fullName]);
+        queue.push(root.fullName);
+      }
+    }
+    while (queue.length > 0) {
+      const current = queue.shift();
+      for (const child of children.get(current) || []) {
+        if (!paths.has(child)) {
+          paths.set(child, [...paths.get(current), child]);
+          queue.push(child);
+        }
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Check every action node of a report, including transitive ones
+   * @param {Object} report - Scan report
+   * @returns {Array} - Array of {rule, severity, fullName, message, path}
+   */
+  evaluate(report) {
+    const paths = Policy.findPaths(report);
+    const violations = [];
+    const violate = (rule, severity, node, message) => violations.push({
+      rule,
+      severity,
+      fullName: node.fullName,
+      message,
+      path: paths.get(node.fullName) || [node.fullName]
+    });
+
+    for (const node of report.allUniqueActions) {
+      if (node.type === 'docker-image' || node.type === 'npm-package') continue;
+
+      const owner = node.owner.toLowerCase();
+      const repository = `${node.owner}/${node.repo}`;
+
+      if (this.deniedOwners.includes(owner)) {
+        violate('denied-owner', 'error', node, `Owner ${node.owner} is denied by policy`);
+      } else if (this.deniedRepos.some(re => re.test(repository))) {
+        violate('denied-repo', 'error', node, `Repository ${repository} is denied by policy`);
+      } else if ((this.allowedOwners.length > 0 || this.allowedRepos.length > 0) &&
+                 !this.allowedOwners.includes(owner) &&
+                 !this.allowedRepos.some(re => re.test(repository))) {
+        violate('not-allowed', 'error', node, `${repository} is not in the policy allowlist`);
+      }
+
+      if (this.requireShaPinning && node.pinStatus && node.pinStatus !== 'sha') {
+        violate('require-sha-pinning', this.requireShaPinning, node,
+          `${node.fullName} is pinned to a ${node.pinStatus}, not a commit SHA`);
+      }
+
+      if (this.maxDepth !== null && node.depth > this.maxDepth) {
+        violate('max-depth', 'error', node,
+          `${node.fullName} is ${node.depth} levels deep, policy allows ${this.maxDepth}`);
+      }
+    }
+
+    return violations;
+  }
+}
+
+export { Policy, DEFAULT_POLICY_FILE, SEVERITY_LEVELS, meetsThreshold, globToRegExp };
@@ -0,0 +1,116 @@
+import { mkdtempSync, writeFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Policy, meetsThreshold, globToRegExp } from './policy.mjs';
+
+const action = (fullName, extra = {}) => {
+  const [, owner, repo] = fullName.match(/^([^/]+)\/([^/@]+)/);
+  return { fullName, owner, repo, type: 'composite', pinStatus: 'sha', depth: 0, ...extra };
+};
+
+/**
+ * my-org/setup@v1 → third/party@v2 → evil/thing@main, plus a Docker image
+ */
+function report() {
+  return {
+    rootActions: [{ fullName: 'my-org/setup@v1' }],
+    edges: [
+      { from: 'my-org/setup@v1', to: 'third/party@v2' },
+      { from: 'third/party@v2', to: 'evil/thing@main' },
+      { from: 'third/party@v2', to: 'docker://alpine' }
+    ],
+    allUniqueActions: [
+      action('my-org/setup@v1', { pinStatus: 'tag' }),
+      action('third/party@v2', { pinStatus: 'tag', depth: 1 }),
+      action('evil/thing@main', { pinStatus: 'branch', depth: 2 }),
+      { fullName: 'docker://alpine', type: 'docker-image', depth: 2 }
+    ]
+  };
+}
+
+describe('globToRegExp', () => {
+  test('* stays within a path segment, ** crosses segments', () => {
+    expect(globToRegExp('actions/*').test('actions/checkout')).toBe(true);
+    expect(globToRegExp('actions/*').test('actions/checkout/sub')).toBe(false);
+    expect(globToRegExp('my-org/**').test('my-org/repo/sub')).toBe(true);
+    expect(globToRegExp('My-Org/Repo').test('my-org/repo')).toBe(true);
+    expect(globToRegExp('a.b/c').test('aXb/c')).toBe(false);
+  });
+});
+
+describe('meetsThreshold', () => {
+  test('none never fails, warning fails on warnings and errors', () => {
+    expect(meetsThreshold('error', 'none')).toBe(false);
+    expect(meetsThreshold('warning', 'warning')).toBe(true);
+    expect(meetsThreshold('error', 'warning')).toBe(true);
+    expect(meetsThreshold('warning', 'error')).toBe(false);
+  });
+});
+
+describe('Policy', () => {
+  test('finds the shortest path from a root to every node', () => {
+    expect(Policy.findPaths(report()).get('evil/thing@main')).toEqual(['my-org/setup@v1', 'third/party@v2', 'evil/thing@main']);
+  });
+
+  test('reports denied, unlisted, unpinned and too deep actions with their path', () => {
+    const policy = new Policy({
+      'allowed-owners': ['my-org'],
+      'allowed-repos': ['third/*'],
+      'denied-owners': ['Evil'],
+      'require-sha-pinning': 'warning',
+      'max-depth': 1
+    });
+
+    expect(policy.evaluate(report()).map(({ rule, severity, fullName }) => [rule, severity, fullName])).toEqual([
+      ['require-sha-pinning', 'warning', 'my-org/setup@v1'],
+      ['require-sha-pinning', 'warning', 'third/party@v2'],
+      ['denied-owner', 'error', 'evil/thing@main'],
+      ['require-sha-pinning', 'warning', 'evil/thing@main'],
+      ['max-depth', 'error', 'evil/thing@main']
+    ]);
+    expect(policy.evaluate(report())[2].path).toEqual(['my-org/setup@v1', 'third/party@v2', 'evil/thing@main']);
+  });
+
+  test('an allowlist reports every action outside it; denied repos match globs', () => {
+    const violations = new Policy({ 'allowed-owners': ['my-org'], 'denied-repos': ['evil/*'] }).evaluate(report());
+
+    expect(violations.map(({ rule, fullName }) => [rule, fullName])).toEqual([
+      ['not-allowed', 'third/party@v2'],
+      ['denied-repo', 'evil/thing@main']
+    ]);
+  });
+
+  test('require-sha-pinning: true is an error', () => {
+    expect(new Policy({ 'require-sha-pinning': true }).evaluate(report())[0].severity).toBe('error');
+  });
+
+  test('accepts a single name for a list option and rejects anything else', () => {
+    expect(new Policy({ 'allowed-owners': 'Actions', 'denied-repos': 'evil/*' })).toMatchObject({ allowedOwners: ['actions'] });
+    expect(new Policy({ 'denied-repos': 'evil/*' }).deniedRepos[0].test('evil/tool')).toBe(true);
+    expect(() => new Policy({ 'denied-owners': { evil: true } })).toThrow('Policy option denied-owners must be a list of names');
+    expect(() => new Policy({ 'allowed-repos': [3] })).toThrow('allowed-repos');
+  });
+
+  describe('load', () => {
+    let dir;
+    beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'policy-')); });
+    afterEach(() => { rmSync(dir, { recursive: true, force: true }); });
+
+    test('reads a policy file and fails on an explicit path that does not exist', () => {
+      writeFileSync(join(dir, 'policy.yml'), 'denied-owners: [evil]\nmax-depth: 3\n');
+
+      const policy = Policy.load(join(dir, 'policy.yml'));
+      expect(policy.deniedOwners).toEqual(['evil']);
+      expect(policy.maxDepth).toBe(3);
+      expect(policy.source).toBe(join(dir, 'policy.yml'));
+      expect(() => Policy.load(join(dir, 'missing.yml'))).toThrow('Policy file not found');
+    });
+
+    test('looks for the default policy file in the scanned checkout', () => {
+      writeFileSync(join(dir, '.action-scanner.yml'), 'allowed-owners: actions\n');
+
+      expect(Policy.load(undefined, dir).source).toBe(join(dir, '.action-scanner.yml'));
+      expect(Policy.load(undefined, join(dir, 'missing'))).toBeNull();
+    });
+  });
+});
@@ -1,11 +1,91 @@
-import { Octokit } from 'octokit';
-import { logger } from './utils.mjs';
+import YAML from 'yaml';
+import { logger, actionSteps } from './utils.mjs';
 import { WorkflowParser } from './workflowParser.mjs';
+import { GitHubClient } from './githubClient.mjs';
+
+/**
+ * Kind of a changed file, for the files PR and commit scans look at
+ * @param {string} filename - Path of the file in the repository
+ * @returns {string|null} - 'markdown', 'workflow', 'action', 'terraform' or null
+ */
+function describeFileType(filename) {
+  if (filename.endsWith('.md')) {
+    return 'markdown';
+  }
+  if (/^\.github\/workflows\/.+\.ya?ml$/.test(filename)) {
+    return 'workflow';
+  }
+  if (/(^|\/)action\.ya?ml$/.test(filename)) {
+    return 'action';
+  }
+  if (filename.endsWith('.tf') || filename.endsWith('.hcl')) {
+    return 'terraform';
+  }
+  return null;
+}
+
+/**
+ * A signature per job and step of a workflow or composite action: the step itself and
+ * the trigger, environment and permissions it runs with, but not its position, so moving
+ * a step keeps its signature
+ * @param {string} content - YAML content of the file
+ * @returns {Array} - Array of {job, step, signature}; step is the step index, null for a
+ *                    job-level reusable workflow call
+ */
+function stepSignatures(content) {
+  let workflow;
+  try {
+    workflow = YAML.parse(content);
+  } catch (e) {
+    return [];
+  }
+  if (!workflow || typeof workflow !== 'object') {
+    return [];
+  }
+
+  const signatures = [];
+  for (const [jobKey, job, step, stepIdx] of actionSteps(workflow)) {
+    const isWorkflowJob = jobKey !== 'composite' || workflow.jobs?.composite === job;
+    const context = isWorkflowJob ? {
+      on: workflow.on,
+      env: workflow.env,
+      permissions: workflow.permissions,
+      jobEnv: job?.env,
+      jobPermissions: job?.permissions
+    } : {};
+    signatures.push({ job: jobKey, step: stepIdx, signature: JSON.stringify([jobKey, step, context]) });
+  }
+  return signatures;
+}
 
 class PRParser {
-  constructor() {
-    this.octokit = new Octokit({ auth: process.env?.GITHUB_TOKEN });
-    this.workflowParser = new WorkflowParser(process.env?.GITHUB_TOKEN);
+  constructor(client = new GitHubClient()) {
+    this.octokit = client.octokit;
+    this.workflowParser = new WorkflowParser(process.env?.GITHUB_TOKEN, client);
+  }
+
+  /**
+   * Where each reference returned by the last parseFromPR/parseFromCommit call was found
+   * @returns {Map} - Action reference → [{file, line, column}]
+   */
+  get locations() {
+    return this.workflowParser.locations;
+  }
+
+  /**
+   * Security findings in the workflow and action files changed by the last parse
+   * @returns {Array} - Findings of checkWorkflowFileSecurity with their file
+   */
+  get securityFindings() {
+    return this.workflowParser.securityFindings;
+  }
+
+  /**
+   * Secrets and permissions the steps of those files receive
+   * @returns {Array} - Exposures of extractStepExposures with their file
+   */
+  get exposures() {
+    return this.workflowParser.exposures;
   }
 
   async getChangedFiles(owner, repo, pullNumber) {
@@ -17,13 +97,8 @@ class PRParser {
       });
       
       return files.filter(file => {
-        const isMarkdown = file.filename.endsWith('.md');
-        const isWorkflow = file.filename.startsWith('.github/workflows/') &&
-                         (file.filename.endsWith('.yml') || file.filename.endsWith('.yaml'));
-        const isTerraform = file.filename.endsWith('.tf') || file.filename.endsWith('.hcl');
-
-        return (isMarkdown || isWorkflow || isTerraform) &&
-               (file.status === 'added' || file.status === 'modified');
+        return describeFileType(file.filename) !== null &&
+               (file.status === 'added' || file.status === 'modified' || file.status === 'renamed');
       });
     } catch (e) {
       logger.error(`Failed to get PR files: ${e.message}`);
@@ -64,6 +139,54 @@ class PRParser {
       .map(line => line.substring(1)); // Remove the '+' prefix
   }
 
+  /**
+   * Line numbers in the new file of the lines returned by extractAddedLines
+   * @param {string} patch - Unified diff of a single file
+   * @returns {Array} - One line number per added line, in the same order
+   */
+  extractAddedLineNumbers(patch) {
+    if (!patch) return [];
+    const lineNumbers = [];
+    let current = 0;
+    for (const line of patch.split('\n')) {
+      const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+      if (hunk) {
+        current = Number(hunk[1]);
+      } else if (line.startsWith('+') && !line.startsWith('+++')) {
+        lineNumbers.push(current++);
+      } else if (line.startsWith(' ')) {
+        current++;
+      }
+    }
+    return lineNumbers;
+  }
+
+  /**
+   * Find the line and column of each extracted reference in the content it came from
+   * @param {string} filename - File name, to pick YAML positions or a text search
+   * @param {string} content - Content the references were extracted from
+   * @param {Array} references - Action references found in the content
+   * @returns {Array} - Array of {reference, line, column} (1-based)
+   */
+  locateReferences(filename, content, references) {
+    const wanted = new Set(references);
+    if (filename.endsWith('.yml') || filename.endsWith('.yaml')) {
+      return this.workflowParser.extractActionLocations(content)
+        .filter(location => wanted.has(location.reference));
+    }
+
+    const locations = [];
+    content.split('\n').forEach((text, index) => {
+      for (const reference of wanted) {
+        const column = text.indexOf(reference);
+        if (column !== -1) {
+          locations.push({ reference, line: index + 1, column: column + 1 });
+        }
+      }
+    });
+    return locations;
+  }
+
   /**
    * Extract actions from workflow file content using YAML parsing
    * @param {string} content - YAML workflow content 
@@ -85,40 +208,118 @@ class PRParser {
    * @returns {Array} - Array of action references
    */
   extractReferencesForFileType(filename, content) {
-    if (filename.endsWith('.md')) {
+    const fileType = describeFileType(filename);
+    if (fileType === 'markdown') {
       // Use markdown pattern matching for .md files
       return this.extractActionReferences(content);
-    } else if (filename.startsWith('.github/workflows/') &&
-              (filename.endsWith('.yml') || filename.endsWith('.yaml'))) {
-      // Use YAML parsing for workflow files
+    } else if (fileType === 'workflow' || fileType === 'action') {
+      // Use YAML parsing for workflow and action files
       return this.extractActionsFromWorkflowContent(content);
-    } else if (filename.endsWith('.tf') || filename.endsWith('.hcl')) {
+    } else if (fileType === 'terraform') {
       // Use action reference extraction for Terraform files
       return this.extractActionReferences(content);
     }
     return [];
   }
 
+  /**
+   * Base and head commits of a pull request
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {number} pullNumber - Pull request number
+   * @returns {Object|null} - {baseSha, headSha}, or null if the PR could not be fetched
+   */
+  async getPullRequestRefs(owner, repo, pullNumber) {
+    try {
+      const { data: pr } = await this.octokit.rest.pulls.get({
+        owner,
+        repo,
+        pull_number: pullNumber
+      });
+      return { baseSha: pr.base.sha, headSha: pr.head.sha };
+    } catch (e) {
+      logger.warn(`Failed to get PR #${pullNumber}: ${e.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Compare the full head and base versions of a workflow or action file. A 'uses' is new
+   * when no step with the same job, step identity and reference exists in the base
+   * version, so moved or reformatted steps are not reported. The security findings and
+   * exposures of the head version are recorded for new and changed steps only.
+   * @param {string} owner - Repository owner
+   * @param {string} repo - Repository name
+   * @param {Object} file - Changed file from the PR's file list
+   * @param {Object} pullRequest - {baseSha, headSha}
+   * @returns {Array|null} - {reference, line, column} of each new 'uses' in the head
+   *                         version, or null if the head version could not be fetched
+   */
+  async findNewStepReferences(owner, repo, file, pullRequest) {
+    // The head commit is reachable from the base repository, also for PRs from forks
+    const headContent = await this.getFileContent(owner, repo, file.filename, pullRequest.headSha);
+    if (headContent === null) {
+      return null;
+    }
+
+    let baseContent = null;
+    if (file.status !== 'added') {
+      baseContent = await this.getFileContent(owner, repo, file.previous_filename || file.filename, pullRequest.baseSha);
+      if (baseContent === null) {
+        logger.warn(`Base version of ${file.filename} unavailable, treating all of its steps as new`);
+      }
+    }
+
+    // Only steps the PR adds or changes are its findings; the rest were there before it
+    const baseSignatures = new Set(baseContent === null ? [] :
+      stepSignatures(baseContent).map(entry => entry.signature));
+    const changedSteps = new Set(stepSignatures(headContent)
+      .filter(entry => !baseSignatures.has(entry.signature))
+      .map(entry => `${entry.job} ${entry.step}`));
+    this.workflowParser.recordSecurityFindings(file.filename, headContent,
+      entry => changedSteps.has(`${entry.job} ${entry.step}`));
+
+    const stepKey = entry => JSON.stringify([entry.jobKey, entry.stepKey, entry.reference]);
+    const baseSteps = new Set(baseContent === null ? [] :
+      this.workflowParser.extractStepReferences(baseContent).map(stepKey));
+
+    return this.workflowParser.extractStepReferences(headContent)
+      .filter(entry => !baseSteps.has(stepKey(entry)))
+      .map(({ reference, line, column }) => ({ reference, line, column }));
+  }
+
   async parseFromPR(owner, repo, pullNumber) {
     logger.info(`Parsing ONLY NEW actions from PR #${pullNumber} in ${owner}/${repo}`);
     
+    this.locations.clear();
+    this.workflowParser.securityFindings = [];
+    this.workflowParser.exposures = [];
     const changedFiles = await this.getChangedFiles(owner, repo, pullNumber);
     if (changedFiles.length === 0) {
-      logger.info('No markdown, workflow, or terraform files changed in this PR');
+      logger.info('No markdown, workflow, action, or terraform files changed in this PR');
       return [];
     }
 
     const actionReferences = new Set();
+    const pullRequest = await this.getPullRequestRefs(owner, repo, pullNumber);
     
     for (const file of changedFiles) {
-      let fileType = 'unknown';
-      if (file.filename.endsWith('.md')) {
-        fileType = 'markdown';
-      } else if (file.filename.startsWith('.github/workflows/') &&
-                (file.filename.endsWith('.yml') || file.filename.endsWith('.yaml'))) {
-        fileType = 'workflow';
-      } else if (file.filename.endsWith('.tf') || file.filename.endsWith('.hcl')) {
-        fileType = 'terraform';
+      const fileType = describeFileType(file.filename);
+      if ((fileType === 'workflow' || fileType === 'action') && pullRequest) {
+        logger.info(`Processing ${file.filename} (${fileType}) - comparing head and base versions`);
+        const locations = await this.findNewStepReferences(owner, repo, file, pullRequest);
+        if (locations) {
+          const references = [...new Set(locations.map(location => location.reference))];
+          if (references.length > 0) {
+            logger.info(`Found ${references.length} new actions in ${file.filename}: ${references.join(', ')}`);
+            references.forEach(ref => actionReferences.add(ref));
+            this.workflowParser.recordLocations(file.filename, locations);
+          } else {
+            logger.info(`No new or changed steps in ${file.filename}`);
+          }
+          continue;
+        }
+        logger.warn(`Could not fetch ${file.filename} at ${pullRequest.headSha}, falling back to added lines`);
       }
       logger.info(`Processing ${file.filename} (${fileType}) - analyzing only added lines`);
       
@@ -132,6 +333,11 @@ class PRParser {
           if (references.length > 0) {
             logger.info(`Found ${references.length} new actions in ${file.filename}: ${references.join(', ')}`);
             references.forEach(ref => actionReferences.add(ref));
+            // Positions within the added lines map back to line numbers in the new file
+            const lineNumbers = this.extractAddedLineNumbers(file.patch);
+            const locations = this.locateReferences(file.filename, addedContent, references)
+              .map(location => ({ ...location, line: lineNumbers[location.line - 1] }));
+            this.workflowParser.recordLocations(file.filename, locations);
           } else {
             logger.info(`No action references found in newly added lines of ${file.filename}`);
           }
@@ -145,6 +351,7 @@ class PRParser {
         if (content) {
           const references = this.extractReferencesForFileType(file.filename, content);
           references.forEach(ref => actionReferences.add(ref));
+          this.workflowParser.recordLocations(file.filename, this.locateReferences(file.filename, content, references));
         }
       }
     }
@@ -155,6 +362,9 @@ class PRParser {
 
   async parseFromCommit(owner, repo, sha) {
     logger.info(`Parsing commit ${sha} in ${owner}/${repo}`);
+    this.locations.clear();
+    this.workflowParser.securityFindings = [];
+    this.workflowParser.exposures = [];
     
     try {
       const { data: commit } = await this.octokit.rest.repos.getCommit({
@@ -164,38 +374,29 @@ class PRParser {
       });
       
       const changedFiles = commit.files.filter(file => {
-        const isMarkdown = file.filename.endsWith('.md');
-        const isWorkflow = file.filename.startsWith('.github/workflows/') &&
-                         (file.filename.endsWith('.yml') || file.filename.endsWith('.yaml'));
-        const isTerraform = file.filename.endsWith('.tf') || file.filename.endsWith('.hcl');
-
-        return (isMarkdown || isWorkflow || isTerraform) &&
-               (file.status === 'added' || file.status === 'modified');
+        return describeFileType(file.filename) !== null &&
+               (file.status === 'added' || file.status === 'modified' || file.status === 'renamed');
       });
 
       if (changedFiles.length === 0) {
-        logger.info('No markdown, workflow, or terraform files changed in this commit');
+        logger.info('No markdown, workflow, action, or terraform files changed in this commit');
         return [];
       }
 
       const actionReferences = new Set();
       
       for (const file of changedFiles) {
-        let fileType = 'unknown';
-        if (file.filename.endsWith('.md')) {
-          fileType = 'markdown';
-        } else if (file.filename.startsWith('.github/workflows/') &&
-                  (file.filename.endsWith('.yml') || file.filename.endsWith('.yaml'))) {
-          fileType = 'workflow';
-        } else if (file.filename.endsWith('.tf') || file.filename.endsWith('.hcl')) {
-          fileType = 'terraform';
-        }
-        logger.info(`Processing ${file.filename} (${fileType})`);
+        logger.info(`Processing ${file.filename} (${describeFileType(file.filename)})`);
         
         const content = await this.getFileContent(owner, repo, file.filename, sha);
         if (content) {
           const references = this.extractReferencesForFileType(file.filename, content);
           references.forEach(ref => actionReferences.add(ref));
+          this.workflowParser.recordLocations(file.filename, this.locateReferences(file.filename, content, references));
+          const fileType = describeFileType(file.filename);
+          if (fileType === 'workflow' || fileType === 'action') {
+            this.workflowParser.recordSecurityFindings(file.filename, content);
+          }
         }
       }
 
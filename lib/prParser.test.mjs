@@ -0,0 +1,137 @@
+import { PRParser } from './prParser.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const BASE = sha('b');
+const HEAD = sha('c');
+const WORKFLOW = '.github/workflows/ci.yml';
+
+const BASE_WORKFLOW = `on: pull_request
+jobs:
+  test:
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - name: Greet
+        run: echo "\${{ github.event.pull_request.title }}"
+      - uses: org/lint@v1
+        with:
+          token: \${{ secrets.LINT_TOKEN }}
+`;
+
+function parserFor(files, prFiles) {
+  const client = createFakeClient({
+    'me/app': {
+      branches: { main: BASE },
+      filesAt: { [BASE]: files.base, [HEAD]: files.head }
+    }
+  }, {
+    pulls: {
+      'me/app#7': {
+        pull: { base: { sha: BASE }, head: { sha: HEAD, repo: { full_name: 'me/app' } } },
+        files: prFiles || [{ filename: WORKFLOW, status: 'modified', patch: '' }]
+      }
+    }
+  });
+  return new PRParser(client);
+}
+
+describe('PRParser.parseFromPR', () => {
+  test('reports only the uses: of new steps, not moved or unchanged ones', async () => {
+    const head = BASE_WORKFLOW
+      .replace('      - uses: actions/checkout@v4\n', '')
+      .replace('    steps:\n', '    steps:\n      - uses: org/new@v2\n      - uses: actions/checkout@v4\n');
+    const parser = parserFor({ base: { [WORKFLOW]: BASE_WORKFLOW }, head: { [WORKFLOW]: head } });
+
+    const references = await parser.parseFromPR('me', 'app', 7);
+
+    expect(references).toEqual(['org/new@v2']);
+    expect(parser.locations.get('org/new@v2')).toEqual([{ file: WORKFLOW, line: 6, column: 15 }]);
+  });
+
+  test('keeps security findings and exposures of unchanged steps out of the report', async () => {
+    const head = BASE_WORKFLOW + `      - name: Branch
+        run: echo "\${{ github.head_ref }}"
+      - uses: org/deploy@v1
+        env:
+          KEY: \${{ secrets.DEPLOY_KEY }}
+`;
+    const parser = parserFor({ base: { [WORKFLOW]: BASE_WORKFLOW }, head: { [WORKFLOW]: head } });
+
+    await parser.parseFromPR('me', 'app', 7);
+
+    expect(parser.securityFindings).toEqual([expect.objectContaining({
+      rule: 'expression-injection',
+      message: 'github.head_ref is interpolated into a run: script (test step 3)',
+      file: WORKFLOW,
+      line: 12
+    })]);
+    expect(parser.exposures.map(exposure => [exposure.reference, exposure.secrets])).toEqual([
+      ['org/deploy@v1', ['DEPLOY_KEY']]
+    ]);
+  });
+
+  test('reports the exposures of a step whose inputs changed', async () => {
+    const head = BASE_WORKFLOW.replace('secrets.LINT_TOKEN', 'secrets.ADMIN_TOKEN');
+    const parser = parserFor({ base: { [WORKFLOW]: BASE_WORKFLOW }, head: { [WORKFLOW]: head } });
+
+    const references = await parser.parseFromPR('me', 'app', 7);
+
+    expect(references).toEqual([]);
+    expect(parser.securityFindings).toEqual([]);
+    expect(parser.exposures.map(exposure => [exposure.reference, exposure.secrets])).toEqual([
+      ['org/lint@v1', ['ADMIN_TOKEN']]
+    ]);
+  });
+
+  test('treats every step as changed when the trigger it runs under changed', async () => {
+    const head = BASE_WORKFLOW
+      .replace('on: pull_request', 'on: pull_request_target')
+      .replace('actions/checkout@v4', 'actions/checkout@v4\n        with:\n          ref: ${{ github.event.pull_request.head.sha }}');
+    const base = BASE_WORKFLOW
+      .replace('actions/checkout@v4', 'actions/checkout@v4\n        with:\n          ref: ${{ github.event.pull_request.head.sha }}');
+    const parser = parserFor({ base: { [WORKFLOW]: base }, head: { [WORKFLOW]: head } });
+
+    await parser.parseFromPR('me', 'app', 7);
+
+    expect(parser.securityFindings.map(finding => finding.rule).sort()).toEqual([
+      'checkout-persist-credentials',
+      'expression-injection',
+      'untrusted-checkout'
+    ]);
+  });
+
+  test('reports everything in an added file', async () => {
+    const parser = parserFor({ base: {}, head: { [WORKFLOW]: BASE_WORKFLOW } },
+      [{ filename: WORKFLOW, status: 'added', patch: '' }]);
+
+    const references = await parser.parseFromPR('me', 'app', 7);
+
+    expect(references.sort()).toEqual(['actions/checkout@v4', 'org/lint@v1']);
+    expect(parser.securityFindings.map(finding => finding.rule).sort()).toEqual([
+      'checkout-persist-credentials',
+      'expression-injection'
+    ]);
+    expect(parser.exposures).toHaveLength(2);
+  });
+
+  test('reads markdown references from the added lines, at their line in the new file', async () => {
+    const parser = parserFor({ base: {}, head: {} }, [{
+      filename: 'README.md',
+      status: 'modified',
+      patch: '@@ -10,2 +10,3 @@\n Use it like this:\n+    uses: org/documented@v3\n context'
+    }]);
+
+    const references = await parser.parseFromPR('me', 'app', 7);
+
+    expect(references).toEqual(['org/documented@v3']);
+    expect(parser.locations.get('org/documented@v3')).toEqual([{ file: 'README.md', line: 11, column: 11 }]);
+  });
+});
+
+describe('PRParser.extractAddedLineNumbers', () => {
+  test('numbers added lines across hunks, skipping removed ones', () => {
+    const patch = '@@ -1,3 +1,3 @@\n a\n-b\n+B\n c\n@@ -20,1 +20,3 @@\n x\n+y\n+z';
+
+    expect(new PRParser(createFakeClient()).extractAddedLineNumbers(patch)).toEqual([2, 21, 22]);
+  });
+});
@@ -0,0 +1,161 @@
+import { TOOL_INFO } from './utils.mjs';
+import { Policy } from './policy.mjs';
+import { SECURITY_RULES } from './securityChecks.mjs';
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * SARIF level of a finding severity
+ * @param {string} severity - 'error' or 'warning'
+ * @returns {string} - 'error', or 'warning' for anything less
+ */
+function toLevel(severity) {
+  return severity === 'error' ? 'error' : 'warning';
+}
+
+const RULES = {
+  'unpinned-action': {
+    shortDescription: 'Action is not pinned to a commit SHA',
+    fullDescription: 'Tags and branches can be moved to point at different code. Pin actions, including transitive ones, to a full commit SHA.',
+    level: 'warning'
+  },
+  'unpinned-docker-image': {
+    shortDescription: 'Docker image is not pinned by digest',
+    fullDescription: 'Image tags can be republished. Reference container images by their @sha256 digest.',
+    level: 'warning'
+  },
+  'unresolvable-reference': {
+    shortDescription: 'Action reference could not be resolved',
+    fullDescription: 'The action, or the ref it points at, could not be fetched from GitHub, so its dependencies could not be scanned.',
+    level: 'error'
+  },
+  'policy/denied-owner': {
+    shortDescription: 'Action owner is denied by policy',
+    level: 'error'
+  },
+  'policy/denied-repo': {
+    shortDescription: 'Action repository is denied by policy',
+    level: 'error'
+  },
+  'policy/not-allowed': {
+    shortDescription: 'Action is not in the policy allowlist',
+    level: 'error'
+  },
+  'policy/require-sha-pinning': {
+    shortDescription: 'Policy requires actions to be pinned to a commit SHA',
+    level: 'error'
+  },
+  'policy/max-depth': {
+    shortDescription: 'Action is nested deeper than the policy allows',
+    level: 'error'
+  },
+  ...Object.fromEntries(Object.entries(SECURITY_RULES)
+    .map(([id, rule]) => [`security/${id}`, { ...rule, level: toLevel(rule.severity) }]))
+};
+
+/**
+ * Convert a scan report to SARIF 2.1.0 for GitHub code scanning. Every finding is
+ * reported at each line that introduced the root reference it was reached through.
+ * @param {Object} results - Scan report
+ * @returns {Object} - SARIF log
+ */
+function generateSarifReport(results) {
+  const locationsByRoot = new Map();
+  for (const rootAction of results.rootActions) {
+    const key = rootAction.fullName || rootAction.reference;
+    locationsByRoot.set(key, [...(locationsByRoot.get(key) || []), ...(rootAction.locations || [])]);
+  }
+
+  // Code scanning rejects results without a location. Findings that can't be traced
+  // to a line (scan-action, or a root with no recorded location) are reported at the
+  // top of a scanned workflow file, or of action.yml when an action was scanned directly.
+  const fallbackFile = results.rootActions.flatMap(rootAction => rootAction.locations || [])[0]?.file || 'action.yml';
+
+  const sarifResults = [];
+  const addFinding = (ruleId, level, text, path, ownLocations = null) => {
+    const locations = ownLocations || locationsByRoot.get(path[0]) || [];
+    const message = { text: path.length > 1 ? `${text} (via ${path.join(' → ')})` : text };
+
+    for (const location of locations.length > 0 ? locations : [{ file: fallbackFile }]) {
+      const region = { startLine: location.line || 1, startColumn: location.column || 1 };
+      sarifResults.push({
+        ruleId,
+        level: toLevel(level),
+        message,
+        locations: [{
+          physicalLocation: {
+            artifactLocation: { uri: location.file },
+            region
+          }
+        }]
+      });
+    }
+  };
+
+  for (const rootAction of results.rootActions) {
+    if (!rootAction.success) {
+      addFinding('unresolvable-reference', 'error',
+        `${rootAction.reference} could not be scanned: ${rootAction.error}`, [rootAction.reference]);
+    }
+  }
+
+  for (const unpinned of results.pinning || []) {
+    if (unpinned.pinStatus !== 'unknown') {
+      addFinding('unpinned-action', 'warning',
+        `${unpinned.fullName} is pinned to a ${unpinned.pinStatus}, not a commit SHA`, unpinned.path);
+    }
+  }
+
+  const paths = Policy.findPaths(results);
+  for (const node of results.allUniqueActions) {
+    const path = paths.get(node.fullName) || [node.fullName];
+    if (node.type === 'docker-image' && !node.pinned) {
+      addFinding('unpinned-docker-image', 'warning', `Docker image ${node.image} is not pinned by digest`, path);
+    } else if (node.pinStatus === 'unknown') {
+      addFinding('unresolvable-reference', 'error', `${node.fullName}: ref ${node.ref} could not be resolved to a commit`, path);
+    } else if (node.notFound) {
+      addFinding('unresolvable-reference', 'error', `${node.fullName}: no action.yml or workflow file found`, path);
+    }
+  }
+
+  for (const violation of results.policy?.violations || []) {
+    addFinding(`policy/${violation.rule}`, violation.severity, violation.message, violation.path);
+  }
+
+  // Findings in scanned files are reported where they are; those inside actions at the roots
+  for (const finding of results.securityFindings || []) {
+    if (finding.file) {
+      addFinding(`security/${finding.rule}`, finding.severity, finding.message, [],
+        [{ file: finding.file, line: finding.line, column: finding.column }]);
+    } else {
+      addFinding(`security/${finding.rule}`, finding.severity, finding.message, finding.path);
+    }
+  }
+
+  const usedRules = new Set(sarifResults.map(result => result.ruleId));
+  return {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: TOOL_INFO.name,
+          version: TOOL_INFO.version,
+          informationUri: TOOL_INFO.informationUri,
+          rules: Object.entries(RULES)
+            .filter(([id]) => usedRules.has(id))
+            .map(([id, rule]) => ({
+              id,
+              shortDescription: { text: rule.shortDescription },
+              fullDescription: { text: rule.fullDescription || rule.shortDescription },
+              defaultConfiguration: { level: rule.level },
+              properties: { tags: ['security', 'supply-chain'] }
+            }))
+        }
+      },
+      results: sarifResults
+    }]
+  };
+}
+
+export { generateSarifReport };
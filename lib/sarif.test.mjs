@@ -0,0 +1,122 @@
+import { generateSarifReport } from './sarif.mjs';
+
+const WORKFLOW = '.github/workflows/ci.yml';
+
+function report(overrides = {}) {
+  return {
+    rootActions: [{
+      reference: 'org/setup@v1',
+      fullName: 'org/setup@v1',
+      success: true,
+      locations: [{ file: WORKFLOW, line: 12, column: 15 }, { file: '.github/workflows/release.yml', line: 8, column: 9 }]
+    }],
+    edges: [{ from: 'org/setup@v1', to: 'docker://alpine:3' }],
+    allUniqueActions: [
+      { fullName: 'org/setup@v1', type: 'composite', pinStatus: 'sha' },
+      { fullName: 'docker://alpine:3', type: 'docker-image', image: 'alpine:3', pinned: false }
+    ],
+    pinning: [],
+    securityFindings: [],
+    ...overrides
+  };
+}
+
+const everyResult = (sarif) => sarif.runs[0].results;
+
+describe('generateSarifReport', () => {
+  test('is a SARIF 2.1.0 log that only describes the rules it uses', () => {
+    const sarif = generateSarifReport(report());
+
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.$schema).toMatch(/sarif-2\.1\.0/);
+    expect(sarif.runs[0].tool.driver.name).toBe('recursive-action-scanner');
+    expect(sarif.runs[0].tool.driver.rules.map(rule => rule.id)).toEqual(['unpinned-docker-image']);
+    expect(sarif.runs[0].tool.driver.rules[0]).toMatchObject({
+      shortDescription: { text: 'Docker image is not pinned by digest' },
+      defaultConfiguration: { level: 'warning' }
+    });
+  });
+
+  test('reports a transitive finding at every line that uses its root, with the path in the message', () => {
+    const results = everyResult(generateSarifReport(report()));
+
+    expect(results).toEqual([WORKFLOW, '.github/workflows/release.yml'].map((uri, i) => ({
+      ruleId: 'unpinned-docker-image',
+      level: 'warning',
+      message: { text: 'Docker image alpine:3 is not pinned by digest (via org/setup@v1 → docker://alpine:3)' },
+      locations: [{
+        physicalLocation: {
+          artifactLocation: { uri },
+          region: i === 0 ? { startLine: 12, startColumn: 15 } : { startLine: 8, startColumn: 9 }
+        }
+      }]
+    })));
+  });
+
+  test('reports security findings in scanned files at their own line', () => {
+    const results = everyResult(generateSarifReport(report({
+      allUniqueActions: [],
+      securityFindings: [{ rule: 'expression-injection', severity: 'error', message: 'Injected', file: WORKFLOW, line: 30, column: 7 }]
+    })));
+
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({
+      ruleId: 'security/expression-injection',
+      locations: [{ physicalLocation: { artifactLocation: { uri: WORKFLOW }, region: { startLine: 30, startColumn: 7 } } }]
+    });
+  });
+
+  test('reports each security finding at the level of its severity', () => {
+    const sarif = generateSarifReport(report({
+      allUniqueActions: [],
+      securityFindings: [
+        { rule: 'expression-injection', severity: 'error', message: 'Injected', file: WORKFLOW, line: 30, column: 7 },
+        { rule: 'expression-injection', severity: 'warning', message: 'Passed to an input', file: WORKFLOW, line: 31, column: 7 },
+        { rule: 'unverified-commit', severity: 'warning', message: 'Not verified', action: 'org/setup@v1', path: ['org/setup@v1'] }
+      ]
+    }));
+
+    expect(everyResult(sarif).map(result => [result.ruleId, result.level])).toEqual([
+      ['security/expression-injection', 'error'],
+      ['security/expression-injection', 'warning'],
+      ['security/unverified-commit', 'warning'],
+      ['security/unverified-commit', 'warning']
+    ]);
+    expect(sarif.runs[0].tool.driver.rules.map(rule => [rule.id, rule.defaultConfiguration.level])).toEqual([
+      ['security/expression-injection', 'error'],
+      ['security/unverified-commit', 'warning']
+    ]);
+  });
+
+  test('gives findings without a recorded location a location in a scanned workflow file', () => {
+    const results = everyResult(generateSarifReport(report({
+      rootActions: [
+        { reference: 'org/setup@v1', fullName: 'org/setup@v1', success: true, locations: [{ file: WORKFLOW, line: 12, column: 15 }] },
+        { reference: 'other/action@main', fullName: 'other/action@main', success: true, locations: [] }
+      ],
+      allUniqueActions: [],
+      pinning: [{ fullName: 'other/action@main', pinStatus: 'branch', path: ['other/action@main'] }]
+    })));
+
+    expect(results[0].locations).toEqual([{ physicalLocation: { artifactLocation: { uri: WORKFLOW }, region: { startLine: 1, startColumn: 1 } } }]);
+  });
+
+  test('gives every result a location when an action was scanned directly (scan-action)', () => {
+    const sarif = generateSarifReport(report({
+      rootActions: [
+        { reference: 'org/setup@v1', fullName: 'org/setup@v1', success: true, locations: [] },
+        { reference: 'broken', success: false, error: 'Invalid action reference: broken', locations: [] }
+      ],
+      pinning: [{ fullName: 'org/setup@v1', pinStatus: 'tag', path: ['org/setup@v1'] }],
+      securityFindings: [{ rule: 'typosquat', severity: 'warning', message: 'Looks like', action: 'org/setup@v1', path: ['org/setup@v1'] }]
+    }));
+
+    const results = everyResult(sarif);
+    expect(results.map(result => result.ruleId)).toEqual([
+      'unresolvable-reference', 'unpinned-action', 'unpinned-docker-image', 'security/typosquat'
+    ]);
+    for (const result of results) {
+      expect(result.locations).toEqual([{ physicalLocation: { artifactLocation: { uri: 'action.yml' }, region: { startLine: 1, startColumn: 1 } } }]);
+    }
+  });
+});
@@ -0,0 +1,182 @@
+import { randomUUID } from 'node:crypto';
+import { TOOL_INFO } from './utils.mjs';
+
+const encodeSegments = (path) => path.split('/').map(encodeURIComponent).join('/');
+
+/**
+ * Package URL of a node in the dependency graph
+ * @param {Object} node - Entry of the report's allUniqueActions
+ * @returns {string} - e.g. pkg:githubactions/actions/checkout@v4
+ */
+function purlFor(node) {
+  if (node.type === 'docker-image') {
+    const version = node.digest || node.tag;
+    const qualifier = node.registry === 'docker.io' ? '' : `?repository_url=${encodeURIComponent(node.registry)}`;
+    return `pkg:docker/${encodeSegments(node.repository)}${version ? `@${encodeURIComponent(version)}` : ''}${qualifier}`;
+  }
+  if (node.type === 'npm-package') {
+    return `pkg:npm/${encodeSegments(node.name)}@${encodeURIComponent(node.version)}`;
+  }
+
+  const subpath = node.subPath ? `#${encodeSegments(node.subPath)}` : '';
+  return `pkg:githubactions/${encodeURIComponent(node.owner)}/${encodeURIComponent(node.repo)}@${encodeURIComponent(node.ref)}${subpath}`;
+}
+
+/**
+ * Parent → children full names from the report's edges, without duplicates
+ * @param {Object} results - Scan report
+ * @returns {Map} - fullName → Set of child full names
+ */
+function collectDependencies(results) {
+  const dependencies = new Map(results.allUniqueActions.map(node => [node.fullName, new Set()]));
+  for (const edge of results.edges || []) {
+    if (dependencies.has(edge.from) && dependencies.has(edge.to)) {
+      dependencies.get(edge.from).add(edge.to);
+    }
+  }
+  return dependencies;
+}
+
+function describeComponent(node) {
+  if (node.type === 'docker-image') {
+    return { type: 'container', name: node.repository, version: node.digest || node.tag };
+  }
+  if (node.type === 'npm-package') {
+    return { type: 'library', name: node.name, version: node.version };
+  }
+  return {
+    type: 'application',
+    group: node.owner,
+    name: node.subPath ? `${node.repo}/${node.subPath}` : node.repo,
+    version: node.ref
+  };
+}
+
+/**
+ * Export the dependency graph as a CycloneDX 1.5 JSON BOM
+ * @param {Object} results - Scan report
+ * @returns {Object} - CycloneDX document
+ */
+function generateCycloneDxReport(results) {
+  const components = results.allUniqueActions.map(node => {
+    const component = describeComponent(node);
+    const properties = [{ name: `${TOOL_INFO.name}:type`, value: node.type }];
+    if (node.isRootAction) {
+      properties.push({ name: `${TOOL_INFO.name}:root`, value: 'true' });
+    }
+    if (node.resolvedSha) {
+      properties.push({ name: `${TOOL_INFO.name}:resolvedSha`, value: node.resolvedSha });
+    }
+    if (node.pinStatus) {
+      properties.push({ name: `${TOOL_INFO.name}:pinStatus`, value: node.pinStatus });
+    }
+
+    return {
+      'bom-ref': node.fullName,
+      ...component,
+      purl: purlFor(node),
+      externalReferences: node.url ? [{ type: component.type === 'application' ? 'vcs' : 'distribution', url: node.url }] : [],
+      properties
+    };
+  });
+
+  return {
+    bomFormat: 'CycloneDX',
+    specVersion: '1.5',
+    serialNumber: `urn:uuid:${randomUUID()}`,
+    version: 1,
+    metadata: {
+      timestamp: results.timestamp,
+      tools: {
+        components: [{ type: 'application', name: TOOL_INFO.name, version: TOOL_INFO.version }]
+      }
+    },
+    components,
+    dependencies: Array.from(collectDependencies(results), ([ref, children]) => ({
+      ref,
+      dependsOn: Array.from(children)
+    }))
+  };
+}
+
+/**
+ * Export the dependency graph as an SPDX 2.3 JSON document
+ * @param {Object} results - Scan report
+ * @returns {Object} - SPDX document
+ */
+function generateSpdxReport(results) {
+  const ids = new Map();
+  const usedIds = new Set();
+  for (const node of results.allUniqueActions) {
+    // SPDX identifiers may only contain letters, digits, '.' and '-'
+    const base = `SPDXRef-Package-${node.fullName.replace(/[^A-Za-z0-9.-]+/g, '-')}`;
+    let id = base;
+    for (let n = 2; usedIds.has(id); n++) {
+      id = `${base}-${n}`;
+    }
+    usedIds.add(id);
+    ids.set(node.fullName, id);
+  }
+
+  const packages = results.allUniqueActions.map(node => {
+    const component = describeComponent(node);
+    let downloadLocation = 'NOASSERTION';
+    if (component.type === 'application' && node.url) {
+      const revision = node.resolvedSha || node.ref;
+      const subpath = node.subPath ? `#${node.subPath}` : '';
+      downloadLocation = `git+${new URL(node.url).origin}/${node.owner}/${node.repo}@${revision}${subpath}`;
+    }
+
+    return {
+      SPDXID: ids.get(node.fullName),
+      name: component.group ? `${component.group}/${component.name}` : component.name,
+      versionInfo: component.version || 'NOASSERTION',
+      supplier: component.group ? `Organization: ${component.group}` : 'NOASSERTION',
+      downloadLocation,
+      filesAnalyzed: false,
+      licenseConcluded: 'NOASSERTION',
+      licenseDeclared: 'NOASSERTION',
+      copyrightText: 'NOASSERTION',
+      externalRefs: [{
+        referenceCategory: 'PACKAGE-MANAGER',
+        referenceType: 'purl',
+        referenceLocator: purlFor(node)
+      }]
+    };
+  });
+
+  const relationships = results.allUniqueActions
+    .filter(node => node.isRootAction)
+    .map(node => ({
+      spdxElementId: 'SPDXRef-DOCUMENT',
+      relationshipType: 'DESCRIBES',
+      relatedSpdxElement: ids.get(node.fullName)
+    }));
+  for (const [parent, children] of collectDependencies(results)) {
+    for (const child of children) {
+      relationships.push({
+        spdxElementId: ids.get(parent),
+        relationshipType: 'DEPENDS_ON',
+        relatedSpdxElement: ids.get(child)
+      });
+    }
+  }
+
+  // SPDX timestamps have no fractional seconds
+  const created = results.timestamp.replace(/\.\d+Z$/, 'Z');
+  return {
+    spdxVersion: 'SPDX-2.3',
+    dataLicense: 'CC0-1.0',
+    SPDXID: 'SPDXRef-DOCUMENT',
+    name: `${TOOL_INFO.name}-${created}`,
+    documentNamespace: `${TOOL_INFO.informationUri}/spdx/${randomUUID()}`,
+    creationInfo: {
+      created,
+      creators: [`Tool: ${TOOL_INFO.name}-${TOOL_INFO.version}`]
+    },
+    packages,
+    relationships
+  };
+}
+
+export { purlFor, generateCycloneDxReport, generateSpdxReport };
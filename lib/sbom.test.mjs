@@ -0,0 +1,107 @@
+import { purlFor, generateCycloneDxReport, generateSpdxReport } from './sbom.mjs';
+
+const SHA = 'a'.repeat(40);
+
+function report() {
+  return {
+    timestamp: '2024-05-01T10:20:30.456Z',
+    edges: [
+      { from: 'org/setup@v1/sub', to: 'docker://ghcr.io/org/tool:1.2' },
+      { from: 'org/setup@v1/sub', to: 'npm:@actions/core@1.10.1' },
+      { from: 'org/setup@v1/sub', to: 'npm:@actions/core@1.10.1' }
+    ],
+    allUniqueActions: [
+      {
+        fullName: 'org/setup@v1/sub', url: 'https://github.com/org/setup/tree/v1/sub', type: 'composite',
+        owner: 'org', repo: 'setup', ref: 'v1', subPath: 'sub', pinStatus: 'tag', resolvedSha: SHA, isRootAction: true
+      },
+      {
+        fullName: 'docker://ghcr.io/org/tool:1.2', url: 'https://ghcr.io/org/tool', type: 'docker-image',
+        registry: 'ghcr.io', repository: 'org/tool', tag: '1.2', digest: null
+      },
+      {
+        fullName: 'npm:@actions/core@1.10.1', url: 'https://www.npmjs.com/package/@actions/core/v/1.10.1', type: 'npm-package',
+        name: '@actions/core', version: '1.10.1'
+      }
+    ]
+  };
+}
+
+describe('purlFor', () => {
+  test('builds package URLs for actions, images and npm packages', () => {
+    const [action, image, npm] = report().allUniqueActions;
+    expect(purlFor(action)).toBe('pkg:githubactions/org/setup@v1#sub');
+    expect(purlFor(image)).toBe('pkg:docker/org/tool@1.2?repository_url=ghcr.io');
+    expect(purlFor({ type: 'docker-image', registry: 'docker.io', repository: 'library/alpine', digest: `sha256:${'b'.repeat(64)}` }))
+      .toBe(`pkg:docker/library/alpine@sha256%3A${'b'.repeat(64)}`);
+    expect(purlFor(npm)).toBe('pkg:npm/%40actions/core@1.10.1');
+  });
+});
+
+describe('generateCycloneDxReport', () => {
+  test('lists every node as a component with its deduplicated dependencies', () => {
+    const bom = generateCycloneDxReport(report());
+
+    expect(bom).toMatchObject({ bomFormat: 'CycloneDX', specVersion: '1.5', version: 1, metadata: { timestamp: '2024-05-01T10:20:30.456Z' } });
+    expect(bom.serialNumber).toMatch(/^urn:uuid:[0-9a-f-]{36}$/);
+    expect(bom.components[0]).toEqual({
+      'bom-ref': 'org/setup@v1/sub',
+      type: 'application',
+      group: 'org',
+      name: 'setup/sub',
+      version: 'v1',
+      purl: 'pkg:githubactions/org/setup@v1#sub',
+      externalReferences: [{ type: 'vcs', url: 'https://github.com/org/setup/tree/v1/sub' }],
+      properties: [
+        { name: 'recursive-action-scanner:type', value: 'composite' },
+        { name: 'recursive-action-scanner:root', value: 'true' },
+        { name: 'recursive-action-scanner:resolvedSha', value: SHA },
+        { name: 'recursive-action-scanner:pinStatus', value: 'tag' }
+      ]
+    });
+    expect(bom.components.map(component => [component.type, component.name, component.version])).toEqual([
+      ['application', 'setup/sub', 'v1'],
+      ['container', 'org/tool', '1.2'],
+      ['library', '@actions/core', '1.10.1']
+    ]);
+    expect(bom.dependencies).toEqual([
+      { ref: 'org/setup@v1/sub', dependsOn: ['docker://ghcr.io/org/tool:1.2', 'npm:@actions/core@1.10.1'] },
+      { ref: 'docker://ghcr.io/org/tool:1.2', dependsOn: [] },
+      { ref: 'npm:@actions/core@1.10.1', dependsOn: [] }
+    ]);
+  });
+});
+
+describe('generateSpdxReport', () => {
+  test('describes the roots and their DEPENDS_ON relationships with valid SPDX identifiers', () => {
+    const spdx = generateSpdxReport(report());
+
+    expect(spdx).toMatchObject({ spdxVersion: 'SPDX-2.3', dataLicense: 'CC0-1.0', creationInfo: { created: '2024-05-01T10:20:30Z' } });
+    expect(spdx.packages.map(pkg => pkg.SPDXID)).toEqual([
+      'SPDXRef-Package-org-setup-v1-sub',
+      'SPDXRef-Package-docker-ghcr.io-org-tool-1.2',
+      'SPDXRef-Package-npm-actions-core-1.10.1'
+    ]);
+    expect(spdx.packages[0]).toMatchObject({
+      name: 'org/setup/sub',
+      supplier: 'Organization: org',
+      downloadLocation: `git+https://github.com/org/setup@${SHA}#sub`
+    });
+    expect(spdx.packages[1].downloadLocation).toBe('NOASSERTION');
+    expect(spdx.relationships).toEqual([
+      { spdxElementId: 'SPDXRef-DOCUMENT', relationshipType: 'DESCRIBES', relatedSpdxElement: 'SPDXRef-Package-org-setup-v1-sub' },
+      { spdxElementId: 'SPDXRef-Package-org-setup-v1-sub', relationshipType: 'DEPENDS_ON', relatedSpdxElement: 'SPDXRef-Package-docker-ghcr.io-org-tool-1.2' },
+      { spdxElementId: 'SPDXRef-Package-org-setup-v1-sub', relationshipType: 'DEPENDS_ON', relatedSpdxElement: 'SPDXRef-Package-npm-actions-core-1.10.1' }
+    ]);
+  });
+
+  test('keeps identifiers unique when names collapse to the same one', () => {
+    const results = report();
+    results.allUniqueActions = [
+      { ...results.allUniqueActions[0], fullName: 'a/b@v1' },
+      { ...results.allUniqueActions[0], fullName: 'a-b@v1' }
+    ];
+
+    expect(generateSpdxReport(results).packages.map(pkg => pkg.SPDXID)).toEqual(['SPDXRef-Package-a-b-v1', 'SPDXRef-Package-a-b-v1-2']);
+  });
+});
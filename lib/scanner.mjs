@@ -1,48 +1,142 @@
 import { logger } from './utils.mjs';
-import { Action } from './actions.mjs';
+import { Action, ActionCache } from './actions.mjs';
+import { isPinned } from './pinning.mjs';
 import { PRParser } from './prParser.mjs';
+import { GitHubClient } from './githubClient.mjs';
+import { WorkflowParser } from './workflowParser.mjs';
+import { diffReports } from './graphDiff.mjs';
+import { traceCompositeSecrets } from './exposure.mjs';
+import { Policy } from './policy.mjs';
+import { parseVersion } from './advisories.mjs';
+import { POPULAR_ACTIONS, findTyposquat } from './typosquat.mjs';
 
 class RecursiveActionScanner {
   constructor(options = {}) {
     this.maxDepth = options.maxDepth || 5;
-    this.prParser = new PRParser();
-    this.scannedActions = new Map();
-    this.dependencyTree = new Map();
+    // Without remote access only the first-level references are reported
+    this.remote = options.remote !== false;
+    this.contentCache = options.contentCache || null;
+    this.policy = options.policy || null;
+    this.advisories = options.advisories || null;
+    this.popularActions = options.popularActions || POPULAR_ACTIONS;
+    this.client = options.client || new GitHubClient();
+    this.fallbackClient = options.fallbackClient || null;
+    this.prParser = new PRParser(this.client);
+    // Ref, repository and commit lookups are kept for every scan of this scanner, so
+    // the repositories of an organization scan don't resolve the same actions again
+    this.resolutions = ActionCache.createResolutions();
+    this.cache = this.createCache();
+  }
+
+  /**
+   * Action registry for one scan, sharing this scanner's resolutions
+   * @returns {ActionCache}
+   */
+  createCache() {
+    return new ActionCache({
+      contentCache: this.contentCache,
+      client: this.client,
+      fallbackClient: this.fallbackClient,
+      resolutions: this.resolutions
+    });
   }
 
   async scanFromPR(owner, repo, pullNumber) {
     logger.info(`Starting PR scan for ${owner}/${repo}#${pullNumber}`);
     
     const actionReferences = await this.prParser.parseFromPR(owner, repo, pullNumber);
-    return await this.scanActionList(actionReferences);
+    return await this.scanActionList(actionReferences, this.prParser.locations, this.prParser.securityFindings, this.prParser.exposures);
   }
 
   async scanFromCommit(owner, repo, sha) {
     logger.info(`Starting commit scan for ${owner}/${repo}@${sha}`);
     
     const actionReferences = await this.prParser.parseFromCommit(owner, repo, sha);
-    return await this.scanActionList(actionReferences);
+    return await this.scanActionList(actionReferences, this.prParser.locations, this.prParser.securityFindings, this.prParser.exposures);
+  }
+
+  /**
+   * Build the full dependency graph of a PR's base and head and report the nodes
+   * the PR adds, removes or changes, including transitive ones
+   */
+  async scanDiff(owner, repo, pullNumber) {
+    logger.info(`Starting diff scan for ${owner}/${repo}#${pullNumber}`);
+    
+    const { data: pr } = await this.client.octokit.rest.pulls.get({
+      owner,
+      repo,
+      pull_number: pullNumber
+    });
+    // The head branch may live in a fork; it is gone if the fork was deleted
+    const headRepository = pr.head.repo?.full_name || `${owner}/${repo}`;
+    
+    const base = await this.scanRepositoryAt(`${owner}/${repo}`, pr.base.sha);
+    const head = await this.scanRepositoryAt(headRepository, pr.head.sha);
+    
+    return diffReports(base, head, {
+      owner,
+      repo,
+      baseRef: pr.base.sha,
+      headRef: pr.head.sha
+    });
   }
 
-  async scanActionList(actionReferences) {
+  /**
+   * Scan every workflow and local action of a repository at the given commit
+   * @param {string} repoUrl - owner/repo
+   * @param {string} ref - Commit, branch or tag
+   * @returns {Promise<Object>} - Scan report
+   */
+  async scanRepositoryAt(repoUrl, ref) {
+    logger.info(`Scanning workflows of ${repoUrl}@${ref}`);
+    const workflowParser = new WorkflowParser(undefined, this.client, ref);
+    const actionReferences = await workflowParser.scanRepositoryWorkflows(repoUrl);
+    return await this.scanActionList(actionReferences, workflowParser.locations, workflowParser.securityFindings, workflowParser.exposures);
+  }
+
+  /**
+   * Recursively scan a list of root action references
+   * @param {Array} actionReferences - Root 'uses' references
+   * @param {Map} locations - Reference → [{file, line, column}] where each root was found
+   * @param {Array} securityFindings - Security findings in the files the roots were found in
+   * @param {Array} exposures - Secrets and permissions each root occurrence receives
+   * @returns {Promise<Object>} - Scan report
+   */
+  async scanActionList(actionReferences, locations = new Map(), securityFindings = [], exposures = []) {
+    // Every scan gets its own graph so depth bookkeeping never leaks between scans,
+    // including the truncated actions and cycles of an empty report
+    this.cache = this.createCache();
+    
     if (actionReferences.length === 0) {
-      return this.generateReport();
+      return this.generateReport(new Map(), securityFindings);
     }
 
     logger.info(`Scanning ${actionReferences.length} action references recursively`);
     
     const results = new Map();
     
+    if (this.remote) {
+      // Fetch every root's action.yml up front; the client bounds the concurrency
+      await Promise.all(actionReferences.map(async (actionRef) => {
+        try {
+          await Action.fromUsesString(actionRef, this.cache).getActionYaml?.();
+        } catch (e) {
+          // Reported when the root is scanned below
+        }
+      }));
+    }
+    
     for (const actionRef of actionReferences) {
       try {
         logger.info(`Processing root action: ${actionRef}`);
-        const action = Action.fromUsesString(actionRef);
+        const action = Action.fromUsesString(actionRef, this.cache);
         
-        const dependencies = await action.scanDependencies(this.maxDepth);
+        const dependencies = this.remote ? await action.scanDependencies(this.maxDepth) : [];
         results.set(actionRef, {
           action,
           dependencies,
-          totalDependencies: dependencies.length
+          totalDependencies: dependencies.length,
+          locations: locations.get(actionRef) || []
         });
         
         logger.info(`Found ${dependencies.length} total dependencies for ${actionRef}`);
@@ -53,53 +147,463 @@ class RecursiveActionScanner {
           action: null,
           dependencies: [],
           error: e.message,
-          totalDependencies: 0
+          totalDependencies: 0,
+          locations: locations.get(actionRef) || []
         });
       }
     }
     
-    return this.generateReport(results);
+    // Later roots may have rescanned shared actions at a shallower depth
+    for (const result of results.values()) {
+      if (result.action) {
+        result.dependencies = Array.from(result.action.dependencies);
+        result.totalDependencies = result.dependencies.length;
+      }
+    }
+    
+    if (this.remote) {
+      await this.resolvePins(results);
+      await this.fetchRepositories(results);
+    }
+    await this.checkReferences(results);
+    if (this.remote && this.advisories) {
+      await this.findVersionTags(results);
+    }
+    
+    const { requests, cacheHits, rateLimitWaits } = this.getRequestStats();
+    logger.info(`API requests: ${requests}, cache hits: ${cacheHits}, rate limit waits: ${rateLimitWaits}`);
+    
+    const exposure = await this.traceExposures(results, exposures);
+    return this.generateReport(results, securityFindings, exposure);
   }
 
-  generateReport(results = new Map()) {
+  /**
+   * Attach each root occurrence's exposure to its action and follow the secrets it
+   * receives into the dependencies of composite actions
+   * @param {Map} results - Scan results keyed by root reference
+   * @param {Array} exposures - Exposures of the root occurrences (see extractStepExposures)
+   * @returns {Promise<Array>} - Exposures of scanned roots, each with the list of
+   *                             dependencies that inherit its secrets
+   */
+  async traceExposures(results, exposures) {
+    const traced = [];
+    
+    for (const exposure of exposures) {
+      const root = results.get(exposure.reference)?.action;
+      if (!root) continue;
+      
+      const inherited = [];
+      const queue = exposure.secrets.length > 0
+        ? [{ action: root, received: { inputs: exposure.inputs, env: exposure.env }, path: [root.fullName] }]
+        : [];
+      const visited = new Set([root]);
+      
+      while (queue.length > 0) {
+        const { action, received, path } = queue.shift();
+        // Only composite actions hand their inputs and environment to other actions
+        if (!this.remote || action.type !== 'composite' || action.expandedAt === Infinity) continue;
+        
+        for (const child of traceCompositeSecrets(await action.getActionYaml(), received)) {
+          let node;
+          try {
+            node = Action.fromUsesString(child.reference, this.cache, action);
+          } catch (e) {
+            continue;
+          }
+          inherited.push({
+            fullName: node.fullName,
+            via: action.fullName,
+            step: child.step,
+            inputs: child.inputs,
+            env: child.env,
+            secrets: child.secrets,
+            path: [...path, node.fullName]
+          });
+          if (node instanceof Action && !visited.has(node)) {
+            visited.add(node);
+            queue.push({ action: node, received: { inputs: child.inputs, env: child.env }, path: [...path, node.fullName] });
+          }
+        }
+      }
+      
+      traced.push({ ...exposure, fullName: root.fullName, inherited });
+    }
+    
+    return traced;
+  }
+
+  /**
+   * Combine the client's request counters with the on-disk cache counters
+   * @returns {Object} - Request statistics for the report
+   */
+  getRequestStats() {
+    const cacheStats = this.contentCache?.stats || { hits: 0, misses: 0, revalidated: 0 };
+    const clientStats = this.client.getStats();
+    // Requests to the github.com fallback count towards the same totals
+    for (const [key, value] of Object.entries(this.fallbackClient?.getStats() || {})) {
+      clientStats[key] += value;
+    }
+    return {
+      ...clientStats,
+      cacheHits: cacheStats.hits,
+      cacheMisses: cacheStats.misses,
+      refsRevalidated: cacheStats.revalidated
+    };
+  }
+
+  /**
+   * Resolve the ref of every action reached by the scan to a commit SHA
+   * @param {Map} results - Scan results keyed by root reference
+   */
+  async resolvePins(results) {
+    const actions = this.getScannedActions(results);
+    
+    logger.info(`Resolving pin status for ${actions.size} actions`);
+    await Promise.all(Array.from(actions).map(action => action.resolvePin()));
+  }
+
+  /**
+   * Fetch the repository metadata of every owner/repo reached by the scan
+   * @param {Map} results - Scan results keyed by root reference
+   */
+  async fetchRepositories(results) {
+    const actions = this.getScannedActions(results);
+    
+    logger.info(`Fetching repository metadata for ${actions.size} actions`);
+    await Promise.all(Array.from(actions).map(action => action.fetchRepository()));
+  }
+
+  /**
+   * Map the commits of actions not referenced by a full version tag (commits, branches
+   * and floating tags like v4) back to the version tags on them, for the actions of
+   * repositories with advisories
+   * @param {Map} results - Scan results keyed by root reference
+   */
+  async findVersionTags(results) {
+    const actions = Array.from(this.getScannedActions(results))
+      .filter(action => {
+        const version = parseVersion(action.ref);
+        return (!version || version[2] === null) && this.advisories.has(action.owner, action.repo);
+      });
+    
+    logger.info(`Looking up the version tags of ${actions.length} actions with advisories`);
+    await Promise.all(actions.map(action => action.findVersionTags()));
+  }
+
+  /**
+   * Look for typosquatted names among every action reached by the scan and, for
+   * SHA-pinned actions, for commits that only exist in a fork (impostor commits)
+   * @param {Map} results - Scan results keyed by root reference
+   */
+  async checkReferences(results) {
+    const actions = Array.from(this.getScannedActions(results));
+    
+    if (this.remote) {
+      const pinned = actions.filter(action => action.pin?.status === 'sha');
+      logger.info(`Verifying the commits of ${pinned.length} SHA-pinned actions`);
+      await Promise.all(pinned.map(action => action.verifyCommit()));
+    }
+    
+    for (const action of actions) {
+      action.referenceFindings = [];
+      
+      const typosquat = findTyposquat(`${action.owner}/${action.repo}`, this.popularActions);
+      if (typosquat) {
+        const how = typosquat.reason === 'homoglyph' ? 'with lookalike characters' : `${typosquat.distance} character${typosquat.distance === 1 ? '' : 's'} off`;
+        action.referenceFindings.push({
+          rule: 'typosquat',
+          severity: 'warning',
+          message: `${action.owner}/${action.repo} looks like the popular action ${typosquat.similarTo} (${how})`,
+          similarTo: typosquat.similarTo
+        });
+      }
+      
+      if (action.commit?.reachable === false) {
+        action.referenceFindings.push({
+          rule: 'impostor-commit',
+          severity: 'error',
+          message: `${action.fullName}: commit ${action.pin.sha} is not on any branch or tag of ${action.owner}/${action.repo} and may come from a fork`
+        });
+      } else if (action.commit?.reachable === null) {
+        action.referenceFindings.push({
+          rule: 'unverified-commit',
+          severity: 'warning',
+          message: `${action.fullName}: commit ${action.pin.sha} could not be verified against the branches and tags of ${action.owner}/${action.repo}`
+        });
+      }
+    }
+  }
+
+  /**
+   * Actions whose runtime or repository says they need replacing, with the path
+   * from a root action
+   * @param {Array} nodes - The report's allUniqueActions
+   * @param {Map} paths - fullName → path from a root
+   * @returns {Array} - Array of {fullName, status, issues, path}
+   */
+  getUnhealthyActions(nodes, paths) {
+    return nodes
+      .filter(node => node.health?.issues.length > 0)
+      .map(node => ({
+        fullName: node.fullName,
+        status: node.health.status,
+        issues: node.health.issues,
+        path: paths.get(node.fullName) || [node.fullName]
+      }));
+  }
+
+  /**
+   * Find the shortest chain of actions leading from a root action to the given node
+   * @param {Action} node - Action to find a path to
+   * @param {Set} roots - Root actions of the scan
+   * @returns {Array} - Full names from the root down to the node
+   */
+  findPath(node, roots) {
+    const previous = new Map([[node, null]]);
+    const queue = [node];
+    
+    while (queue.length > 0) {
+      const current = queue.shift();
+      if (roots.has(current)) {
+        const path = [];
+        for (let step = current; step; step = previous.get(step)) {
+          path.push(step.fullName);
+        }
+        return path;
+      }
+      for (const parent of current.parents) {
+        if (!previous.has(parent)) {
+          previous.set(parent, current);
+          queue.push(parent);
+        }
+      }
+    }
+    
+    return [node.fullName];
+  }
+
+  getRootActions(results) {
+    return Array.from(results.values())
+      .map(result => result.action)
+      .filter(action => action);
+  }
+
+  /**
+   * Collect every Action node (roots and transitive dependencies) reached by the scan
+   * @param {Map} results - Scan results keyed by root reference
+   * @returns {Set} - Set of Action instances
+   */
+  getScannedActions(results) {
+    const actions = new Set();
+    for (const [actionRef, result] of results) {
+      if (!result.action) continue;
+      [result.action, ...result.dependencies]
+        .filter(node => node instanceof Action)
+        .forEach(node => actions.add(node));
+    }
+    return actions;
+  }
+
+  getUnpinnedReferences(results) {
+    const roots = new Set(this.getRootActions(results));
+    
+    return Array.from(this.getScannedActions(results))
+      .filter(action => action.pin && !isPinned(action.pin.status))
+      .map(action => ({
+        fullName: action.fullName,
+        ref: action.ref,
+        pinStatus: action.pin.status,
+        resolvedSha: action.pin.sha,
+        path: this.findPath(action, roots)
+      }));
+  }
+
+  /**
+   * Security findings of the scanned files followed by those of the actions reached
+   * by the scan (their names and commits, then their contents), each with the path
+   * from a root action
+   * @param {Map} results - Scan results keyed by root reference
+   * @param {Array} fileFindings - Findings in the scanned workflow and action files
+   * @returns {Array} - Array of findings
+   */
+  getSecurityFindings(results, fileFindings) {
+    const roots = new Set(this.getRootActions(results));
+    const actionFindings = Array.from(this.getScannedActions(results))
+      .filter(action => action.securityFindings?.length > 0 || action.referenceFindings?.length > 0)
+      .flatMap(action => {
+        const path = this.findPath(action, roots);
+        return [...(action.referenceFindings || []), ...(action.securityFindings || [])]
+          .map(finding => ({ ...finding, action: action.fullName, path }));
+      });
+    return [...fileFindings, ...actionFindings];
+  }
+
+  /**
+   * A finding for every dependency that receives a secret passed to a composite action
+   * @param {Array} exposure - Traced exposures of the root occurrences
+   * @returns {Array} - Security findings
+   */
+  getInheritedSecretFindings(exposure) {
+    const findings = new Map();
+    for (const { inherited } of exposure) {
+      for (const entry of inherited) {
+        const message = `${entry.fullName} receives ${entry.secrets.join(', ')} from composite action ${entry.via}`;
+        findings.set(`${message} ${entry.path.join(' ')}`, {
+          rule: 'secret-inheritance',
+          severity: 'warning',
+          message,
+          action: entry.fullName,
+          path: entry.path
+        });
+      }
+    }
+    return Array.from(findings.values());
+  }
+
+  generateReport(results = new Map(), securityFindings = [], exposure = []) {
     const report = {
       timestamp: new Date().toISOString(),
       summary: {
         totalRootActions: results.size,
         totalUniqueActions: this.countUniqueActions(results),
+        totalNpmPackages: 0,
+        unpinnedDockerImages: 0,
+        unpinnedActions: 0,
+        truncatedActions: 0,
+        cycles: 0,
+        securityFindings: 0,
+        impostorCommits: 0,
+        unverifiedCommits: 0,
+        typosquats: 0,
+        exposedActions: 0,
+        inheritedSecrets: 0,
         maxDepthUsed: this.maxDepth
       },
       rootActions: [],
-      allUniqueActions: this.getAllUniqueActions(results)
+      allUniqueActions: this.getAllUniqueActions(results),
+      edges: this.getEdges(results),
+      pinning: this.getUnpinnedReferences(results),
+      truncated: this.cache.truncated.map(action => action.fullName),
+      cycles: Array.from(this.cache.cycles.values()),
+      securityFindings: [
+        ...this.getSecurityFindings(results, securityFindings),
+        ...this.getInheritedSecretFindings(exposure)
+      ],
+      exposure,
+      requestStats: this.getRequestStats()
     };
 
+    report.summary.truncatedActions = report.truncated.length;
+    report.summary.cycles = report.cycles.length;
+    report.summary.securityFindings = report.securityFindings.length;
+    report.summary.impostorCommits = report.securityFindings.filter(finding => finding.rule === 'impostor-commit').length;
+    report.summary.unverifiedCommits = report.securityFindings.filter(finding => finding.rule === 'unverified-commit').length;
+    report.summary.typosquats = report.securityFindings.filter(finding => finding.rule === 'typosquat').length;
+    report.summary.exposedActions = exposure.filter(entry => entry.secrets.length > 0).length;
+    report.summary.inheritedSecrets = exposure.reduce((total, entry) => total + entry.inherited.length, 0);
+
+    report.summary.unpinnedActions = report.pinning.length;
+
+    report.summary.totalNpmPackages = report.allUniqueActions
+      .filter(node => node.type === 'npm-package').length;
+    report.summary.unpinnedDockerImages = report.allUniqueActions
+      .filter(node => node.type === 'docker-image' && !node.pinned).length;
+
     for (const [actionRef, result] of results) {
+      const depths = result.action ? this.measureDepths([result.action]) : new Map();
       report.rootActions.push({
         reference: actionRef,
+        fullName: result.action?.fullName,
         success: !result.error,
         error: result.error,
         totalDependencies: result.totalDependencies,
+        locations: result.locations || [],
         dependencies: result.dependencies.map(dep => ({
-          fullName: dep.fullName,
-          url: dep.url,
-          owner: dep.owner,
-          repo: dep.repo,
-          ref: dep.ref,
-          subPath: dep.subPath
+          ...dep.toSummary(),
+          depth: depths.get(dep)
         }))
       });
     }
 
+    report.health = this.getUnhealthyActions(report.allUniqueActions, Policy.findPaths(report));
+    const countIssues = (...codes) => report.health
+      .filter(entry => entry.issues.some(issue => codes.includes(issue.code))).length;
+    report.summary.deprecatedRuntimes = countIssues('deprecated-runtime');
+    report.summary.archivedActions = countIssues('archived', 'disabled');
+    report.summary.staleActions = countIssues('stale');
+
+    if (this.advisories) {
+      const { matches, unchecked } = this.advisories.evaluate(report);
+      report.advisories = matches;
+      report.uncheckedAdvisories = unchecked;
+      report.summary.advisories = matches.length;
+      report.summary.uncheckedAdvisories = unchecked.length;
+    }
+
+    // Evaluated last so the policy sees the complete report, including root paths
+    if (this.policy) {
+      const violations = this.policy.evaluate(report);
+      report.policy = { source: this.policy.source, violations };
+      report.summary.policyViolations = violations.length;
+    }
+
     return report;
   }
 
+  /**
+   * Breadth-first walk of the edges from the given start nodes
+   * @param {Array} startNodes - Nodes at depth 0
+   * @returns {Map} - Shallowest depth of every reachable node
+   */
+  measureDepths(startNodes) {
+    const depths = new Map(startNodes.map(node => [node, 0]));
+    const queue = [...startNodes];
+    
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const edge of node.edges) {
+        if (!depths.has(edge.node)) {
+          depths.set(edge.node, depths.get(node) + 1);
+          queue.push(edge.node);
+        }
+      }
+    }
+    
+    return depths;
+  }
+
+  /**
+   * Collect the parent→child edges reachable from the root actions
+   * @param {Map} results - Scan results keyed by root reference
+   * @returns {Array} - Array of {from, to, job, step}
+   */
+  getEdges(results) {
+    const edges = [];
+    
+    for (const node of this.measureDepths(this.getRootActions(results)).keys()) {
+      for (const edge of node.edges) {
+        edges.push({
+          from: node.fullName,
+          to: edge.node.fullName,
+          job: edge.jobKey,
+          step: edge.stepIdx
+        });
+      }
+    }
+    
+    return edges;
+  }
+
   countUniqueActions(results) {
     const uniqueActions = new Set();
     
     for (const [actionRef, result] of results) {
       if (result.action) {
         uniqueActions.add(result.action.fullName);
-        result.dependencies.forEach(dep => uniqueActions.add(dep.fullName));
+        // npm packages are counted separately in totalNpmPackages
+        result.dependencies
+          .filter(dep => dep.type !== 'npm-package')
+          .forEach(dep => uniqueActions.add(dep.fullName));
       }
     }
     
@@ -108,28 +612,21 @@ class RecursiveActionScanner {
 
   getAllUniqueActions(results) {
     const uniqueActions = new Map();
+    const depths = this.measureDepths(this.getRootActions(results));
     
     for (const [actionRef, result] of results) {
       if (result.action) {
         uniqueActions.set(result.action.fullName, {
-          fullName: result.action.fullName,
-          url: result.action.url,
-          owner: result.action.owner,
-          repo: result.action.repo,
-          ref: result.action.ref,
-          subPath: result.action.subPath,
+          ...result.action.toSummary(),
+          depth: 0,
           isRootAction: true
         });
         
         result.dependencies.forEach(dep => {
           if (!uniqueActions.has(dep.fullName)) {
             uniqueActions.set(dep.fullName, {
-              fullName: dep.fullName,
-              url: dep.url,
-              owner: dep.owner,
-              repo: dep.repo,
-              ref: dep.ref,
-              subPath: dep.subPath,
+              ...dep.toSummary(),
+              depth: depths.get(dep),
               isRootAction: false
             });
           }
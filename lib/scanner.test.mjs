@@ -0,0 +1,117 @@
+import { RecursiveActionScanner } from './scanner.mjs';
+import { createFakeClient, sha } from './__fixtures__/github.mjs';
+
+const composite = (...uses) => `runs:\n  using: composite\n  steps:\n${uses.map(use => `    - uses: ${use}\n`).join('')}`;
+const NODE_ACTION = 'runs:\n  using: node20\n  main: index.js\n';
+
+describe('dependency tree', () => {
+  test('reports parent → child edges with the job and step that introduced them', async () => {
+    const client = createFakeClient({
+      'org/setup': { tags: { v1: sha('1') }, files: { 'action.yml': composite('actions/checkout@v4', 'actions/cache@v4') } },
+      'actions/checkout': { tags: { v4: sha('4') }, files: { 'action.yml': NODE_ACTION } },
+      'actions/cache': { tags: { v4: sha('5') }, files: { 'action.yml': composite('actions/checkout@v4') } }
+    });
+    const scanner = new RecursiveActionScanner({ client });
+
+    const report = await scanner.scanActionList(['org/setup@v1']);
+
+    expect(report.edges).toEqual([
+      { from: 'org/setup@v1', to: 'actions/checkout@v4', job: 'composite', step: 0 },
+      { from: 'org/setup@v1', to: 'actions/cache@v4', job: 'composite', step: 1 },
+      { from: 'actions/cache@v4', to: 'actions/checkout@v4', job: 'composite', step: 0 }
+    ]);
+    // A node shared by two paths is reported once, at its shallowest depth
+    expect(report.allUniqueActions.map(node => [node.fullName, node.depth, node.isRootAction])).toEqual([
+      ['org/setup@v1', 0, true],
+      ['actions/checkout@v4', 1, false],
+      ['actions/cache@v4', 1, false]
+    ]);
+    expect(report.rootActions[0].dependencies.map(node => [node.fullName, node.depth])).toEqual([
+      ['actions/checkout@v4', 1],
+      ['actions/cache@v4', 1]
+    ]);
+  });
+
+  test('records where each root reference was found', async () => {
+    const client = createFakeClient({ 'a/a': { tags: { v1: sha('a') }, files: { 'action.yml': NODE_ACTION } } });
+    const scanner = new RecursiveActionScanner({ client });
+    const locations = new Map([['a/a@v1', [{ file: '.github/workflows/ci.yml', line: 12, column: 15 }]]]);
+
+    const report = await scanner.scanActionList(['a/a@v1'], locations);
+
+    expect(report.rootActions[0]).toMatchObject({
+      reference: 'a/a@v1',
+      success: true,
+      locations: [{ file: '.github/workflows/ci.yml', line: 12, column: 15 }]
+    });
+  });
+
+  test('a root that cannot be parsed is reported as failed without stopping the scan', async () => {
+    const client = createFakeClient({ 'a/a': { tags: { v1: sha('a') }, files: { 'action.yml': NODE_ACTION } } });
+    const scanner = new RecursiveActionScanner({ client });
+
+    const report = await scanner.scanActionList(['not-an-action', 'a/a@v1']);
+
+    expect(report.rootActions.map(root => [root.reference, root.success])).toEqual([['not-an-action', false], ['a/a@v1', true]]);
+    expect(report.rootActions[0].error).toBe('Invalid action reference: not-an-action');
+  });
+});
+
+describe('depth limit and cycles', () => {
+  // a → b → c → d, and e → c
+  const chain = () => createFakeClient({
+    'a/a': { tags: { v1: sha('a') }, files: { 'action.yml': composite('b/b@v1') } },
+    'b/b': { tags: { v1: sha('b') }, files: { 'action.yml': composite('c/c@v1') } },
+    'c/c': { tags: { v1: sha('c') }, files: { 'action.yml': composite('d/d@v1') } },
+    'd/d': { tags: { v1: sha('d') }, files: { 'action.yml': NODE_ACTION } },
+    'e/e': { tags: { v1: sha('e') }, files: { 'action.yml': composite('c/c@v1') } }
+  });
+
+  test('actions reached at the depth limit are reported as truncated', async () => {
+    const scanner = new RecursiveActionScanner({ client: chain(), maxDepth: 3 });
+
+    const report = await scanner.scanActionList(['a/a@v1']);
+
+    expect(report.truncated).toEqual(['d/d@v1']);
+    expect(report.summary.truncatedActions).toBe(1);
+    expect(report.allUniqueActions.find(node => node.fullName === 'd/d@v1').truncated).toBe(true);
+  });
+
+  test('an action first reached at the limit is rescanned when a later root reaches it higher up', async () => {
+    const client = chain();
+    const scanner = new RecursiveActionScanner({ client, maxDepth: 3 });
+
+    const report = await scanner.scanActionList(['a/a@v1', 'e/e@v1']);
+
+    expect(report.truncated).toEqual([]);
+    expect(report.edges).toContainEqual({ from: 'c/c@v1', to: 'd/d@v1', job: 'composite', step: 0 });
+    expect(report.rootActions.map(root => root.totalDependencies)).toEqual([3, 2]);
+    // The rescan reuses the fetched action.yml
+    expect(client.calls.filter(call => call === 'repos.getContent c/c action.yml@v1')).toHaveLength(1);
+  });
+
+  test('cycles are recorded once and not followed', async () => {
+    const client = createFakeClient({
+      'x/x': { tags: { v1: sha('1') }, files: { 'action.yml': composite('y/y@v1') } },
+      'y/y': { tags: { v1: sha('2') }, files: { 'action.yml': composite('x/x@v1') } }
+    });
+    const scanner = new RecursiveActionScanner({ client });
+
+    const report = await scanner.scanActionList(['x/x@v1', 'y/y@v1']);
+
+    expect(report.cycles).toEqual([['x/x@v1', 'y/y@v1', 'x/x@v1']]);
+    expect(report.summary.cycles).toBe(1);
+  });
+
+  test('an empty scan does not report the truncated actions and cycles of the previous scan', async () => {
+    const scanner = new RecursiveActionScanner({ client: chain(), maxDepth: 3 });
+    await scanner.scanActionList(['a/a@v1']);
+
+    const report = await scanner.scanActionList([]);
+
+    expect(report.truncated).toEqual([]);
+    expect(report.cycles).toEqual([]);
+    expect(report.summary.truncatedActions).toBe(0);
+    expect(report.summary.totalRootActions).toBe(0);
+  });
+});
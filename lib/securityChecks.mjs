@@ -0,0 +1,173 @@
+import YAML, { LineCounter } from 'yaml';
+import { actionSteps } from './utils.mjs';
+
+// Rules of the security findings; severity is the one a finding usually gets, and the
+// default level of the rule in SARIF output
+const SECURITY_RULES = {
+  'expression-injection': {
+    severity: 'error',
+    shortDescription: 'Untrusted input is interpolated into a script',
+    fullDescription: 'Expressions such as ${{ github.event.issue.title }} or ${{ github.head_ref }} are expanded before the script runs, so whoever controls the value can inject shell commands. Pass the value through an environment variable instead.'
+  },
+  'untrusted-checkout': {
+    severity: 'error',
+    shortDescription: 'Privileged workflow checks out pull request code',
+    fullDescription: 'pull_request_target and workflow_run workflows run with a read/write token and secrets. Checking out the head of a pull request lets its author run code with those privileges.'
+  },
+  'secret-inheritance': {
+    severity: 'warning',
+    shortDescription: 'Secret passed to a composite action reaches its dependencies',
+    fullDescription: 'A composite action hands the secrets it receives through its inputs and environment on to the actions it uses, so every one of those transitive dependencies can read them.'
+  },
+  'impostor-commit': {
+    severity: 'error',
+    shortDescription: 'Action is pinned to a commit that is not in its repository',
+    fullDescription: 'GitHub serves commits from every fork of a repository under the original name, so owner/repo@<sha> also runs a commit pushed to a fork. A SHA that no branch or tag of the repository contains may come from anyone with a fork.'
+  },
+  'unverified-commit': {
+    severity: 'warning',
+    shortDescription: 'Action is pinned to a commit that could not be verified',
+    fullDescription: 'The commit was not found on the default branch or on the branches and tags compared within the request limit, or the refs of the repository could not be listed. It may still come from a fork.'
+  },
+  'typosquat': {
+    severity: 'warning',
+    shortDescription: 'Action name looks like a popular action',
+    fullDescription: 'The owner/repo differs from a widely used action by a typo or by lookalike characters, a common way to get malicious actions into workflows.'
+  },
+  'checkout-persist-credentials': {
+    severity: 'warning',
+    shortDescription: 'actions/checkout persists the token in .git/config',
+    fullDescription: 'Unless persist-credentials is false, actions/checkout leaves the GITHUB_TOKEN in the repository\'s git config, where every later step (and any artifact of the workspace) can read it.'
+  }
+};
+
+// Triggers whose workflows run with secrets and a write token on behalf of a pull request
+const PRIVILEGED_TRIGGERS = ['pull_request_target', 'workflow_run'];
+
+// Event fields that only hold numbers, commit SHAs, timestamps or fixed values
+const SAFE_EVENT_FIELD_RE = /\.(number|id|node_id|sha|head_sha|base_sha|before|after|action|merged|draft|size|additions|deletions|changed_files|run_id|run_number|run_attempt|created_at|updated_at|closed_at|merged_at)$/;
+
+// References to the head of a pull request, in a checkout ref or a git command
+const PR_HEAD_RE = /github\.event\.pull_request\.head\.(sha|ref)|github\.head_ref|github\.event\.workflow_run\.head_(sha|branch)|refs\/pull\/|gh pr checkout/;
+
+const EXPRESSION_RE = /\$\{\{([\s\S]*?)\}\}/g;
+const CONTEXT_RE = /\bgithub\s*\.\s*(?:head_ref\b|event\b(?:\s*(?:\.\s*[\w*-]+|\[[^\]]*\]))*)/g;
+
+/**
+ * Untrusted contexts referenced by the ${{ }} expressions in a string
+ * @param {string} text - run: script or with: input value
+ * @returns {Array} - Referenced contexts, e.g. ['github.event.issue.title']
+ */
+function findUntrustedContexts(text) {
+  const contexts = new Set();
+  for (const [, expression] of String(text).matchAll(EXPRESSION_RE)) {
+    for (const [reference] of expression.matchAll(CONTEXT_RE)) {
+      const context = reference.replace(/\s+/g, '');
+      if (!SAFE_EVENT_FIELD_RE.test(context)) {
+        contexts.add(context);
+      }
+    }
+  }
+  return Array.from(contexts);
+}
+
+/**
+ * Names of the events that trigger a workflow, whichever form `on:` takes
+ * @param {Object} workflow - Parsed workflow
+ * @returns {Array} - Event names
+ */
+function workflowTriggers(workflow) {
+  const on = workflow?.on;
+  if (typeof on === 'string') return [on];
+  if (Array.isArray(on)) return on;
+  return on && typeof on === 'object' ? Object.keys(on) : [];
+}
+
+function isCheckout(step) {
+  return typeof step?.uses === 'string' && /^actions\/checkout@/i.test(step.uses.trim());
+}
+
+/**
+ * Check the steps of a parsed workflow or composite action for expression injection,
+ * PR-head checkouts in privileged workflows and persisted checkout credentials
+ * @param {Object} yamlContent - Parsed workflow or action.yml
+ * @returns {Array} - Array of {rule, severity, message, job, step}; step is the step index,
+ *                    null for findings on a job-level reusable workflow call
+ */
+function checkWorkflowSecurity(yamlContent) {
+  const findings = [];
+  if (!yamlContent || typeof yamlContent !== 'object') {
+    return findings;
+  }
+
+  const privilegedTriggers = workflowTriggers(yamlContent).filter(trigger => PRIVILEGED_TRIGGERS.includes(trigger));
+
+  for (const [jobKey, job, step, stepIdx] of actionSteps(yamlContent)) {
+    if (!step || typeof step !== 'object') continue;
+    const where = stepIdx === null ? `job ${jobKey}` : `${jobKey} step ${stepIdx}`;
+    const add = (rule, severity, message) => findings.push({ rule, severity, message: `${message} (${where})`, job: jobKey, step: stepIdx });
+
+    if (typeof step.run === 'string') {
+      for (const context of findUntrustedContexts(step.run)) {
+        add('expression-injection', 'error', `${context} is interpolated into a run: script`);
+      }
+    }
+
+    const inputs = step.with && typeof step.with === 'object' ? step.with : {};
+    const runsScript = typeof step.uses === 'string' && /^actions\/github-script@/i.test(step.uses.trim());
+    // actions/checkout only hands its inputs to git as arguments
+    for (const [input, value] of isCheckout(step) ? [] : Object.entries(inputs)) {
+      for (const context of findUntrustedContexts(value)) {
+        if (runsScript && input === 'script') {
+          add('expression-injection', 'error', `${context} is interpolated into the script of ${step.uses}`);
+        } else {
+          add('expression-injection', 'warning', `${context} is passed to input '${input}' of ${step.uses}`);
+        }
+      }
+    }
+
+    if (privilegedTriggers.length > 0) {
+      const checksOutHead = (isCheckout(step) && PR_HEAD_RE.test(String(inputs.ref ?? ''))) ||
+                            (typeof step.run === 'string' && /\bgit\b|\bgh\b/.test(step.run) && PR_HEAD_RE.test(step.run));
+      if (checksOutHead) {
+        add('untrusted-checkout', 'error', `${privilegedTriggers.join('/')} workflow checks out the pull request head`);
+      }
+    }
+
+    if (isCheckout(step) && String(inputs['persist-credentials']) !== 'false') {
+      add('checkout-persist-credentials', 'warning', `${step.uses} runs without persist-credentials: false`);
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Check a workflow or action file and locate each finding at the step it is about
+ * @param {string} content - YAML content of the file
+ * @returns {Array} - Findings of checkWorkflowSecurity with line and column (1-based)
+ */
+function checkWorkflowFileSecurity(content) {
+  const lineCounter = new LineCounter();
+  const document = YAML.parseDocument(content, { lineCounter });
+  if (document.errors.length > 0) {
+    return [];
+  }
+
+  return checkWorkflowSecurity(document.toJS()).map(finding => {
+    let path = ['jobs', finding.job];
+    if (finding.job === 'composite' && !document.hasIn(['jobs', 'composite'])) {
+      path = ['runs', 'steps', finding.step];
+    } else if (finding.step !== null) {
+      path = ['jobs', finding.job, 'steps', finding.step];
+    }
+    const node = document.getIn(path, true);
+    if (!node?.range) {
+      return finding;
+    }
+    const { line, col } = lineCounter.linePos(node.range[0]);
+    return { ...finding, line, column: col };
+  });
+}
+
+export { SECURITY_RULES, checkWorkflowSecurity, checkWorkflowFileSecurity, findUntrustedContexts };
@@ -0,0 +1,126 @@
+import YAML from 'yaml';
+import { checkWorkflowSecurity, checkWorkflowFileSecurity, findUntrustedContexts } from './securityChecks.mjs';
+
+const rules = (findings) => findings.map(finding => `${finding.rule} ${finding.severity} ${finding.job} ${finding.step}`);
+
+describe('findUntrustedContexts', () => {
+  test('finds attacker-controlled event fields and head_ref in expressions', () => {
+    expect(findUntrustedContexts('echo "${{ github.event.issue.title }}" ${{ github.head_ref }}'))
+      .toEqual(['github.event.issue.title', 'github.head_ref']);
+    expect(findUntrustedContexts("${{ github.event['pull_request'].body }}")).toEqual(["github.event['pull_request'].body"]);
+    expect(findUntrustedContexts('${{ github . event . comment . body }}')).toEqual(['github.event.comment.body']);
+  });
+
+  test('ignores numbers, SHAs and text outside expressions', () => {
+    expect(findUntrustedContexts('${{ github.event.pull_request.number }} ${{ github.event.pull_request.head.sha }}')).toEqual([]);
+    expect(findUntrustedContexts('echo github.event.issue.title ${{ github.repository }}')).toEqual([]);
+    expect(findUntrustedContexts(undefined)).toEqual([]);
+  });
+});
+
+describe('checkWorkflowSecurity', () => {
+  test('flags untrusted input in run scripts, github-script and other inputs', () => {
+    const findings = checkWorkflowSecurity(YAML.parse(`
+on: issues
+jobs:
+  triage:
+    steps:
+      - run: echo "\${{ github.event.issue.title }}"
+      - uses: actions/github-script@v7
+        with:
+          script: console.log("\${{ github.event.issue.body }}")
+      - uses: org/labeler@v1
+        with:
+          text: \${{ github.event.issue.body }}
+`));
+
+    expect(rules(findings)).toEqual([
+      'expression-injection error triage 0',
+      'expression-injection error triage 1',
+      'expression-injection warning triage 2'
+    ]);
+    expect(findings[2].message).toBe("github.event.issue.body is passed to input 'text' of org/labeler@v1 (triage step 2)");
+  });
+
+  test('flags a privileged workflow that checks out the pull request head', () => {
+    const workflow = (trigger) => YAML.parse(`
+on: ${trigger}
+jobs:
+  build:
+    steps:
+      - uses: actions/checkout@v4
+        with:
+          ref: \${{ github.event.pull_request.head.sha }}
+          persist-credentials: false
+      - run: gh pr checkout \${{ github.event.number }}
+`);
+
+    expect(rules(checkWorkflowSecurity(workflow('pull_request_target')))).toEqual([
+      'untrusted-checkout error build 0',
+      'untrusted-checkout error build 1'
+    ]);
+    expect(rules(checkWorkflowSecurity(workflow('[push, workflow_run]')))).toEqual([
+      'untrusted-checkout error build 0',
+      'untrusted-checkout error build 1'
+    ]);
+    expect(checkWorkflowSecurity(workflow('pull_request'))).toEqual([]);
+  });
+
+  test('warns about checkouts that persist credentials, also in composite actions', () => {
+    const findings = checkWorkflowSecurity(YAML.parse(`
+runs:
+  using: composite
+  steps:
+    - uses: actions/checkout@v4
+    - uses: actions/checkout@v4
+      with:
+        persist-credentials: false
+`));
+
+    expect(rules(findings)).toEqual(['checkout-persist-credentials warning composite 0']);
+  });
+
+  test('checks the inputs of job-level reusable workflow calls', () => {
+    const findings = checkWorkflowSecurity(YAML.parse(`
+on: pull_request_target
+jobs:
+  call:
+    uses: org/ci/.github/workflows/build.yml@v1
+    with:
+      title: \${{ github.event.pull_request.title }}
+`));
+
+    expect(rules(findings)).toEqual(['expression-injection warning call null']);
+    expect(findings[0].message).toMatch(/\(job call\)$/);
+  });
+
+  test('has nothing to say about empty or invalid documents', () => {
+    expect(checkWorkflowSecurity(null)).toEqual([]);
+    expect(checkWorkflowSecurity('text')).toEqual([]);
+  });
+});
+
+describe('checkWorkflowFileSecurity', () => {
+  test('locates workflow and composite findings at their step', () => {
+    const workflow = checkWorkflowFileSecurity(`on: push
+jobs:
+  build:
+    steps:
+      - run: echo ok
+      - uses: actions/checkout@v4
+`);
+    const composite = checkWorkflowFileSecurity(`runs:
+  using: composite
+  steps:
+    - run: echo "\${{ github.head_ref }}"
+      shell: bash
+`);
+
+    expect(workflow).toEqual([expect.objectContaining({ rule: 'checkout-persist-credentials', line: 6, column: 9 })]);
+    expect(composite).toEqual([expect.objectContaining({ rule: 'expression-injection', line: 4, column: 7 })]);
+  });
+
+  test('skips files that do not parse', () => {
+    expect(checkWorkflowFileSecurity('jobs: [unclosed')).toEqual([]);
+  });
+});
@@ -0,0 +1,133 @@
+import { existsSync, readFileSync } from 'node:fs';
+
+// Widely used actions whose names are worth imitating
+const POPULAR_ACTIONS = [
+  'actions/cache',
+  'actions/checkout',
+  'actions/configure-pages',
+  'actions/dependency-review-action',
+  'actions/deploy-pages',
+  'actions/download-artifact',
+  'actions/github-script',
+  'actions/labeler',
+  'actions/setup-dotnet',
+  'actions/setup-go',
+  'actions/setup-java',
+  'actions/setup-node',
+  'actions/setup-python',
+  'actions/stale',
+  'actions/upload-artifact',
+  'actions/upload-pages-artifact',
+  'aws-actions/configure-aws-credentials',
+  'azure/login',
+  'codecov/codecov-action',
+  'docker/build-push-action',
+  'docker/login-action',
+  'docker/metadata-action',
+  'docker/setup-buildx-action',
+  'docker/setup-qemu-action',
+  'dtolnay/rust-toolchain',
+  'github/codeql-action',
+  'golangci/golangci-lint-action',
+  'google-github-actions/auth',
+  'hashicorp/setup-terraform',
+  'jamesives/github-pages-deploy-action',
+  'ossf/scorecard-action',
+  'peaceiris/actions-gh-pages',
+  'peter-evans/create-pull-request',
+  'pnpm/action-setup',
+  'ruby/setup-ruby',
+  'slackapi/slack-github-action',
+  'softprops/action-gh-release'
+];
+
+// Characters that read alike: Cyrillic and Greek lookalikes, digits for letters,
+// and the separators GitHub treats as distinct but readers don't
+const HOMOGLYPHS = {
+  'а': 'a', 'с': 'c', 'ԁ': 'd', 'е': 'e', 'ɡ': 'g', 'һ': 'h', 'і': 'i', 'ј': 'j', 'к': 'k',
+  'ο': 'o', 'о': 'o', 'р': 'p', 'ѕ': 's', 'т': 't', 'υ': 'u', 'ν': 'v', 'х': 'x', 'у': 'y',
+  '0': 'o', '1': 'l', 'i': 'l', '5': 's', '_': '-', '.': '-'
+};
+
+/**
+ * Reduce a name to what it looks like, so names that differ only by lookalike
+ * characters (or rn for m, vv for w) compare equal
+ * @param {string} name - owner/repo
+ * @returns {string}
+ */
+function skeleton(name) {
+  return Array.from(name.normalize('NFKC').toLowerCase())
+    .map(char => HOMOGLYPHS[char] ?? char)
+    .join('')
+    .replace(/rn/g, 'm')
+    .replace(/vv/g, 'w');
+}
+
+/**
+ * Optimal string alignment distance: insertions, deletions, substitutions and
+ * transpositions of adjacent characters each cost 1
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+/**
+ * Read a list of popular actions, one owner/repo per line (# starts a comment), and
+ * add it to the built-in list
+ * @param {string|undefined} path - List file
+ * @returns {Array} - owner/repo names
+ */
+function loadPopularActions(path) {
+  if (!path) return POPULAR_ACTIONS;
+  if (!existsSync(path)) {
+    throw new Error(`Popular actions file not found: ${path}`);
+  }
+  const names = readFileSync(path, 'utf8')
+    .split('\n')
+    .map(line => line.replace(/#.*/, '').trim().toLowerCase())
+    .filter(Boolean);
+  return Array.from(new Set([...POPULAR_ACTIONS, ...names]));
+}
+
+/**
+ * Whether an action's owner/repo looks like a popular action without being it
+ * @param {string} name - owner/repo of the action
+ * @param {Array} popularActions - owner/repo names to compare against
+ * @returns {Object|null} - {similarTo, reason: 'homoglyph'|'edit-distance', distance}
+ */
+function findTyposquat(name, popularActions = POPULAR_ACTIONS) {
+  const candidate = name.toLowerCase();
+  if (popularActions.includes(candidate)) return null;
+
+  const owner = candidate.split('/')[0];
+  let closest = null;
+  for (const popular of popularActions) {
+    // An owner's other repositories are not impersonating it
+    if (popular.split('/')[0] === owner) continue;
+
+    if (skeleton(candidate) === skeleton(popular)) {
+      return { similarTo: popular, reason: 'homoglyph', distance: editDistance(candidate, popular) };
+    }
+    const distance = editDistance(candidate, popular);
+    // Longer names leave room for two typos before they read differently
+    const threshold = popular.length >= 12 ? 2 : 1;
+    if (distance <= threshold && (!closest || distance < closest.distance)) {
+      closest = { similarTo: popular, reason: 'edit-distance', distance };
+    }
+  }
+  return closest;
+}
+
+export { POPULAR_ACTIONS, loadPopularActions, findTyposquat };
@@ -0,0 +1,50 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { POPULAR_ACTIONS, findTyposquat, loadPopularActions } from './typosquat.mjs';
+
+describe('findTyposquat', () => {
+  test('flags names one typo from a short popular name and two from a long one', () => {
+    expect(findTyposquat('actins/checkout')).toEqual({ similarTo: 'actions/checkout', reason: 'edit-distance', distance: 1 });
+    expect(findTyposquat('actoins/checkout')).toEqual({ similarTo: 'actions/checkout', reason: 'edit-distance', distance: 1 });
+    expect(findTyposquat('azurre/login')).toEqual({ similarTo: 'azure/login', reason: 'edit-distance', distance: 1 });
+    expect(findTyposquat('azurre/logn')).toBeNull();
+    expect(findTyposquat('dockr/login-acton')).toEqual({ similarTo: 'docker/login-action', reason: 'edit-distance', distance: 2 });
+  });
+
+  test('flags lookalike characters regardless of their edit distance', () => {
+    expect(findTyposquat('аctiоns/checkout')).toMatchObject({ similarTo: 'actions/checkout', reason: 'homoglyph' });
+    expect(findTyposquat('d0cker/build_push_action')).toMatchObject({ similarTo: 'docker/build-push-action', reason: 'homoglyph' });
+    expect(findTyposquat('peaceirls/actions-gh-pages')).toMatchObject({ similarTo: 'peaceiris/actions-gh-pages', reason: 'homoglyph' });
+    expect(findTyposquat('pnprn/action-setup')).toMatchObject({ similarTo: 'pnpm/action-setup', reason: 'homoglyph' });
+  });
+
+  test('does not flag popular actions themselves, their owner\'s other repositories or unrelated names', () => {
+    expect(findTyposquat('Actions/Checkout')).toBeNull();
+    expect(findTyposquat('actions/chekout')).toBeNull();
+    expect(findTyposquat('actions/checkout-v2')).toBeNull();
+    expect(findTyposquat('my-org/deploy')).toBeNull();
+  });
+
+  test('compares against the list it is given', () => {
+    expect(findTyposquat('acm/deployer', ['acme/deploy'])).toBeNull();
+    expect(findTyposquat('acne/deploy', ['acme/deploy'])).toMatchObject({ similarTo: 'acme/deploy' });
+  });
+});
+
+describe('loadPopularActions', () => {
+  let dir;
+  beforeEach(() => { dir = mkdtempSync(join(tmpdir(), 'typosquat-')); });
+  afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+  test('adds names from a file to the built-in list, skipping comments and duplicates', () => {
+    const path = join(dir, 'popular.txt');
+    writeFileSync(path, '# internal actions\nAcme/Deploy\n\nactions/checkout  # already listed\n');
+
+    const names = loadPopularActions(path);
+
+    expect(names).toEqual([...POPULAR_ACTIONS, 'acme/deploy']);
+    expect(loadPopularActions(undefined)).toBe(POPULAR_ACTIONS);
+    expect(() => loadPopularActions(join(dir, 'missing.txt'))).toThrow('Popular actions file not found');
+  });
+});
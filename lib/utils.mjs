@@ -1,7 +1,33 @@
 import winston from 'winston';
 
-const GITHUB_URL_RE = /^https:\/\/github\.com\/(?<owner>[^\/]+)\/(?<repo>[^\/]+)(?:\/(?:tree|commit)\/(?<ref>[^\/]+))?/;
+const DEFAULT_SERVER_URL = 'https://github.com';
+const DEFAULT_API_URL = 'https://api.github.com';
+
+/**
+ * Build a regex for repository URLs (optionally /tree/<ref> or /commit/<sha>) on the
+ * given servers, e.g. https://github.com and a GitHub Enterprise Server instance
+ * @param {Array} serverUrls - Web URLs of the servers
+ * @returns {RegExp} - Regex with owner, repo and ref groups
+ */
+function createGitHubUrlRegex(serverUrls = [DEFAULT_SERVER_URL]) {
+  const servers = serverUrls.map(serverUrl => serverUrl
+    .replace(/\/+$/, '')
+    .replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&')
+    // GHES instances are sometimes served over plain http
+    .replace(/^https?/, 'https?'));
+  return new RegExp(`^(?:${servers.join('|')})\\/(?<owner>[^\\/]+)\\/(?<repo>[^\\/]+?)(?:\\.git)?(?:\\/(?:tree|commit)\\/(?<ref>[^\\/]+))?(?:\\/|$)`);
+}
+
+const GITHUB_URL_RE = createGitHubUrlRegex();
 const ACTION_NAME_REGEX = /^(?<org>[^\/]+)\/(?<action>[^\/]+)(?:\/(?<subPath>[^@]+))?@(?<ref>.+)$/;
+const REUSABLE_WORKFLOW_PATH_RE = /^\.github\/workflows\/[^\/]+\.ya?ml$/;
+
+// Identifies the scanner in SARIF and SBOM documents
+const TOOL_INFO = {
+  name: 'recursive-action-scanner',
+  version: '1.0.0',
+  informationUri: 'https://github.com/pyun96/recursive-action-scanner'
+};
 
 const logger = winston.createLogger({
   level: process.env?.LOG_LEVEL || 'info',
@@ -17,7 +43,11 @@ const logger = winston.createLogger({
 function* actionSteps(yamlContent) {
   if (yamlContent.jobs) {
     for (const [jobKey, job] of Object.entries(yamlContent.jobs)) {
-      if (job.steps) {
+      // Reusable workflow calls sit on the job itself, so the job doubles as the step
+      if (job?.uses) {
+        yield [jobKey, job, job, null];
+      }
+      if (job?.steps) {
         for (const [stepidx, step] of job.steps.entries()) {
           yield [jobKey, job, step, stepidx];
         }
@@ -34,7 +64,12 @@ function* actionSteps(yamlContent) {
 
 export {
   logger,
+  DEFAULT_SERVER_URL,
+  DEFAULT_API_URL,
   GITHUB_URL_RE,
+  createGitHubUrlRegex,
   ACTION_NAME_REGEX,
+  REUSABLE_WORKFLOW_PATH_RE,
+  TOOL_INFO,
   actionSteps
 };
\ No newline at end of file
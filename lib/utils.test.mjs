@@ -0,0 +1,24 @@
+import { GITHUB_URL_RE, createGitHubUrlRegex } from './utils.mjs';
+
+describe('createGitHubUrlRegex', () => {
+  test('matches repository, tree and commit URLs on github.com', () => {
+    expect(GITHUB_URL_RE.exec('https://github.com/actions/checkout').groups)
+      .toEqual({ owner: 'actions', repo: 'checkout', ref: undefined });
+    expect(GITHUB_URL_RE.exec('https://github.com/actions/checkout.git').groups.repo).toBe('checkout');
+    expect(GITHUB_URL_RE.exec('https://github.com/actions/checkout/tree/v4/src').groups)
+      .toEqual({ owner: 'actions', repo: 'checkout', ref: 'v4' });
+    expect(GITHUB_URL_RE.exec('https://github.com/actions/checkout/commit/abc123').groups.ref).toBe('abc123');
+    expect(GITHUB_URL_RE.test('https://gitlab.com/actions/checkout')).toBe(false);
+    expect(GITHUB_URL_RE.test('https://github.com.evil.example/actions/checkout')).toBe(false);
+  });
+
+  test('matches any of the given servers, over http or https and with a path prefix', () => {
+    const regex = createGitHubUrlRegex(['https://ghes.example.com/', 'https://example.com/git']);
+
+    expect(regex.exec('http://ghes.example.com/corp/tool/tree/main').groups)
+      .toEqual({ owner: 'corp', repo: 'tool', ref: 'main' });
+    expect(regex.exec('https://example.com/git/corp/tool').groups.owner).toBe('corp');
+    expect(regex.test('https://github.com/corp/tool')).toBe(false);
+    expect(regex.test('https://ghesXexample.com/corp/tool')).toBe(false);
+  });
+});
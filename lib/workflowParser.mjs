@@ -1,11 +1,25 @@
-import { Octokit } from 'octokit';
-import YAML from 'yaml';
+import YAML, { LineCounter, isScalar } from 'yaml';
+import { REUSABLE_WORKFLOW_PATH_RE, createGitHubUrlRegex } from './utils.mjs';
+import { GitHubClient } from './githubClient.mjs';
+import { checkWorkflowFileSecurity } from './securityChecks.mjs';
+import { extractStepExposures } from './exposure.mjs';
 
 export class WorkflowParser {
-  constructor(githubToken) {
-    this.octokit = new Octokit({
-      auth: githubToken,
-    });
+  /**
+   * @param {string} githubToken - GitHub token, used only when no client is given
+   * @param {GitHubClient} client - Shared API client
+   * @param {string} ref - Branch, tag or commit to read files at (default branch if omitted)
+   */
+  constructor(githubToken, client = new GitHubClient({ token: githubToken }), ref = undefined) {
+    this.octokit = client.octokit;
+    this.serverUrl = client.serverUrl;
+    this.ref = ref;
+    // Action reference → [{file, line, column}] of every place it was found
+    this.locations = new Map();
+    // Security findings in the workflow and local action files that were parsed
+    this.securityFindings = [];
+    // Secrets and permissions every 'uses' step in those files receives
+    this.exposures = [];
   }
 
   /**
@@ -14,8 +28,15 @@ export class WorkflowParser {
    * @returns {Object} - {owner, repo}
    */
   parseRepoUrl(repoUrl) {
-    // Handle both https://github.com/owner/repo and owner/repo formats
-    const match = repoUrl.match(/(?:https?:\/\/github\.com\/)?([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/)?$/);
+    // Handle both <server>/owner/repo URLs on the configured server and owner/repo
+    const urlMatch = repoUrl.match(createGitHubUrlRegex([this.serverUrl]));
+    if (urlMatch) {
+      return { owner: urlMatch.groups.owner, repo: urlMatch.groups.repo };
+    }
+    if (/^https?:\/\//.test(repoUrl)) {
+      throw new Error(`Repository URL ${repoUrl} is not on ${this.serverUrl}`);
+    }
+    const match = repoUrl.match(/^([^\/]+)\/([^\/]+?)(?:\.git)?(?:\/)?$/);
     if (!match) {
       throw new Error(`Invalid repository URL: ${repoUrl}`);
     }
@@ -33,14 +54,15 @@ export class WorkflowParser {
   async fetchWorkflowFiles(repoUrl) {
     const { owner, repo } = this.parseRepoUrl(repoUrl);
     
-    console.log(`info: Fetching workflow files from ${owner}/${repo}`);
+    console.log(`info: Fetching workflow files from ${owner}/${repo}${this.ref ? `@${this.ref}` : ''}`);
     
     try {
       // Get contents of .github/workflows directory
       const { data: contents } = await this.octokit.rest.repos.getContent({
         owner,
         repo,
-        path: '.github/workflows'
+        path: '.github/workflows',
+        ref: this.ref
       });
 
       if (!Array.isArray(contents)) {
@@ -56,28 +78,29 @@ export class WorkflowParser {
 
       console.log(`info: Found ${workflowFiles.length} workflow files`);
 
-      // Fetch content of each workflow file
-      const workflows = [];
-      for (const file of workflowFiles) {
+      // Fetch content of each workflow file; the shared client bounds the concurrency
+      const workflows = await Promise.all(workflowFiles.map(async (file) => {
         try {
           const { data: fileContent } = await this.octokit.rest.repos.getContent({
             owner,
             repo,
-            path: file.path
+            path: file.path,
+            ref: this.ref
           });
 
           const content = Buffer.from(fileContent.content, 'base64').toString('utf8');
-          workflows.push({
+          return {
             name: file.name,
             path: file.path,
             content
-          });
+          };
         } catch (error) {
           console.log(`warn: Could not fetch ${file.path}: ${error.message}`);
+          return null;
         }
-      }
+      }));
 
-      return workflows;
+      return workflows.filter(workflow => workflow);
     } catch (error) {
       if (error.status === 404) {
         console.log('warn: Repository not found or .github/workflows directory does not exist');
@@ -93,39 +116,114 @@ export class WorkflowParser {
    * @returns {Array} - Array of action references
    */
   extractActionsFromWorkflow(yamlContent) {
+    const references = this.extractActionLocations(yamlContent).map(location => location.reference);
+    return Array.from(new Set(references));
+  }
+
+  /**
+   * Find every 'uses' value in workflow YAML content together with its position
+   * @param {string} yamlContent - YAML content of workflow or action file
+   * @returns {Array} - Array of {reference, line, column} (1-based), in document order
+   */
+  extractActionLocations(yamlContent) {
     try {
-      const workflow = YAML.parse(yamlContent);
-      const actions = new Set();
+      const lineCounter = new LineCounter();
+      const document = YAML.parseDocument(yamlContent, { lineCounter });
+      if (document.errors.length > 0) {
+        throw document.errors[0];
+      }
 
-      // Recursively search for 'uses' statements
-      const findUses = (obj) => {
-        if (typeof obj !== 'object' || obj === null) {
-          return;
+      const locations = [];
+      YAML.visit(document, {
+        Pair(_, pair) {
+          if (isScalar(pair.key) && pair.key.value === 'uses' &&
+              isScalar(pair.value) && typeof pair.value.value === 'string') {
+            const { line, col } = lineCounter.linePos(pair.value.range[0]);
+            locations.push({ reference: pair.value.value.trim(), line, column: col });
+          }
         }
+      });
+      return locations;
+    } catch (error) {
+      console.log(`warn: Failed to parse workflow YAML: ${error.message}`);
+      return [];
+    }
+  }
 
-        if (Array.isArray(obj)) {
-          obj.forEach(findUses);
+  /**
+   * List the 'uses' of every job and step in a workflow or composite action, keyed by
+   * the step's identity so the same step can be recognised after it moves or is reformatted
+   * @param {string} yamlContent - YAML content of workflow or action file
+   * @returns {Array} - Array of {jobKey, stepKey, reference, line, column}; stepKey is the
+   *                    step's id, else its name, else its 'uses' value ('job' for job-level uses)
+   */
+  extractStepReferences(yamlContent) {
+    try {
+      const lineCounter = new LineCounter();
+      const document = YAML.parseDocument(yamlContent, { lineCounter });
+      if (document.errors.length > 0) {
+        throw document.errors[0];
+      }
+
+      const references = [];
+      const addReference = (path, jobKey, step) => {
+        const node = document.getIn([...path, 'uses'], true);
+        if (!isScalar(node) || typeof node.value !== 'string') {
           return;
         }
-
-        for (const [key, value] of Object.entries(obj)) {
-          if (key === 'uses' && typeof value === 'string') {
-            // Extract action reference (now including local actions)
-            actions.add(value.trim());
-          } else {
-            findUses(value);
-          }
+        const reference = node.value.trim();
+        let stepKey = 'job';
+        if (step) {
+          stepKey = step.id ? `id:${step.id}` : step.name ? `name:${step.name}` : `uses:${reference}`;
         }
+        const { line, col } = lineCounter.linePos(node.range[0]);
+        references.push({ jobKey, stepKey, reference, line, column: col });
       };
 
-      findUses(workflow);
-      return Array.from(actions);
+      const workflow = document.toJS() || {};
+      for (const [jobKey, job] of Object.entries(workflow.jobs || {})) {
+        addReference(['jobs', jobKey], jobKey, null);
+        (job?.steps || []).forEach((step, index) => addReference(['jobs', jobKey, 'steps', index], jobKey, step));
+      }
+      (workflow.runs?.steps || []).forEach((step, index) => addReference(['runs', 'steps', index], 'composite', step));
+      return references;
     } catch (error) {
       console.log(`warn: Failed to parse workflow YAML: ${error.message}`);
       return [];
     }
   }
 
+  /**
+   * Remember where a root reference was found, for SARIF and other located output
+   * @param {string} filePath - Path of the file relative to the repository root
+   * @param {Array} locations - Array of {reference, line, column} within that file
+   */
+  recordLocations(filePath, locations) {
+    for (const { reference, line, column } of locations) {
+      if (!this.locations.has(reference)) {
+        this.locations.set(reference, []);
+      }
+      this.locations.get(reference).push({ file: filePath, line, column });
+    }
+  }
+
+  /**
+   * Run the security checks on a parsed file and remember what they found, together
+   * with the secrets and permissions its steps receive
+   * @param {string} filePath - Path of the file relative to the repository root
+   * @param {string} content - YAML content of the workflow or action file
+   * @param {Function} include - Keeps only the findings and exposures of the steps it
+   *                             accepts, given {job, step}
+   */
+  recordSecurityFindings(filePath, content, include = () => true) {
+    for (const finding of checkWorkflowFileSecurity(content).filter(include)) {
+      this.securityFindings.push({ ...finding, file: filePath });
+    }
+    for (const exposure of extractStepExposures(content).filter(include)) {
+      this.exposures.push({ ...exposure, file: filePath });
+    }
+  }
+
   /**
    * Fetch local composite action files from a repository
    * @param {string} repoUrl - Repository URL or owner/repo format
@@ -138,8 +236,9 @@ export class WorkflowParser {
 
     for (const actionPath of localActionPaths) {
       // Convert ./.github/actions/action-name to .github/actions/action-name/action.yml
+      // Local reusable workflows (./.github/workflows/build.yml) are fetched as-is
       const cleanPath = actionPath.replace(/^\.\//, '');
-      const possiblePaths = [
+      const possiblePaths = REUSABLE_WORKFLOW_PATH_RE.test(cleanPath) ? [cleanPath] : [
         `${cleanPath}/action.yml`,
         `${cleanPath}/action.yaml`
       ];
@@ -150,7 +249,8 @@ export class WorkflowParser {
           const { data: fileContent } = await this.octokit.rest.repos.getContent({
             owner,
             repo,
-            path
+            path,
+            ref: this.ref
           });
 
           const content = Buffer.from(fileContent.content, 'base64').toString('utf8');
@@ -202,7 +302,10 @@ export class WorkflowParser {
       // Mark this local action as scanned to prevent infinite recursion
       scannedLocalActions.add(localAction.name);
       
-      const actions = this.extractActionsFromWorkflow(localAction.content);
+      const locations = this.extractActionLocations(localAction.content);
+      this.recordLocations(localAction.path, locations);
+      this.recordSecurityFindings(localAction.path, localAction.content);
+      const actions = Array.from(new Set(locations.map(location => location.reference)));
       
       // Separate external and local actions
       const externalActions = [];
@@ -248,7 +351,10 @@ export class WorkflowParser {
     // First pass: scan all workflow files
     for (const workflow of workflows) {
       console.log(`info: Processing ${workflow.name}`);
-      const actions = this.extractActionsFromWorkflow(workflow.content);
+      const locations = this.extractActionLocations(workflow.content);
+      this.recordLocations(workflow.path, locations);
+      this.recordSecurityFindings(workflow.path, workflow.content);
+      const actions = Array.from(new Set(locations.map(location => location.reference)));
       
       // Separate external actions from local actions
       const externalActions = [];
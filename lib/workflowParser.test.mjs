@@ -0,0 +1,13 @@
+import { WorkflowParser } from './workflowParser.mjs';
+import { createFakeClient } from './__fixtures__/github.mjs';
+
+describe('WorkflowParser.parseRepoUrl', () => {
+  test('accepts owner/repo and URLs on the configured server only', () => {
+    const parser = new WorkflowParser(undefined, createFakeClient({}, { apiUrl: 'https://ghes.example.com/api/v3' }));
+
+    expect(parser.parseRepoUrl('https://ghes.example.com/corp/app.git')).toEqual({ owner: 'corp', repo: 'app' });
+    expect(parser.parseRepoUrl('corp/app')).toEqual({ owner: 'corp', repo: 'app' });
+    expect(() => parser.parseRepoUrl('https://github.com/corp/app')).toThrow('is not on https://ghes.example.com');
+    expect(() => parser.parseRepoUrl('app')).toThrow('Invalid repository URL');
+  });
+});